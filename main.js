@@ -2,26 +2,104 @@ const { app, BrowserWindow, ipcMain, dialog, shell, Menu } = require('electron')
 const path = require('path');
 const fs = require('fs').promises;
 const systeminformation = require('systeminformation');
-const psList = require('ps-list');
 const screenshot = require('screenshot-desktop');
-const clipboardy = require('clipboardy');
-const chokidar = require('chokidar');
 const cron = require('node-cron');
+const { MetricsHistory, extractMetrics } = require('./main/metrics-history');
+const { createDefaultRegistry } = require('./main/collectors');
+const { SamplingScheduler } = require('./main/sampling-scheduler');
+const { parseHeadlessArgs, runHeadless } = require('./main/headless');
+const { listProcesses, readSystemProcesses } = require('./main/process-list');
+const { PrometheusExporter } = require('./main/prometheus-exporter');
+const { ApiServer, generateToken } = require('./main/api-server');
+const { AlertEngine } = require('./main/alert-engine');
+const { AnomalyDetector } = require('./main/anomaly-detector');
+const { ProcessHistory } = require('./main/process-history');
+const { ProcessController, DEFAULT_PROTECTED } = require('./main/process-control');
+const { ProcessWatchdog } = require('./main/process-watchdog');
+const { inspectProcess, readProcessAttributes, readResidentSizes } = require('./main/process-inspector');
+const { listConnections } = require('./main/network-connections');
+const { ProcessLifecycle } = require('./main/process-lifecycle');
+const { LeakDetector } = require('./main/leak-detector');
+const { FileWatcher, normalizeRule: normalizeWatchRule } = require('./main/file-watcher');
+const { FileEventLog } = require('./main/file-event-log');
+const { FileActionRunner } = require('./main/file-actions');
+const { FileIntegrity } = require('./main/file-integrity');
+const { DirectoryGrowth } = require('./main/directory-growth');
+
+// clipboardy is ESM-only, so it has to be loaded with a dynamic import
+const clipboardy = () => import('clipboardy').then(module => module.default);
 
 // Development mode check
 const isDev = process.env.NODE_ENV === 'development';
 
+// Headless mode (--headless) streams samples to stdout or a file instead of opening a window
+let headlessOptions = null;
+try {
+    headlessOptions = parseHeadlessArgs(process.argv);
+} catch (error) {
+    console.error(error.message);
+    process.exit(2);
+}
+
+if (headlessOptions) {
+    // stdout carries the records, so incidental logging goes to stderr
+    console.log = console.error;
+    app.disableHardwareAcceleration();
+    app.commandLine.appendSwitch('ozone-platform', 'headless');
+}
+
 // Global variables
 let mainWindow;
-let systemMonitorInterval;
 let fileWatcher;
+let fileEventLog;
+let fileActionRunner;
+let fileIntegrity;
+let integrityTask = null;
+let directoryGrowth;
+let monitoringActive = false;
+const collectorRegistry = createDefaultRegistry();
+const collectorSchedulers = new Map();
+const latestSamples = {};
+let processSampler = null;
+const prometheusExporter = new PrometheusExporter(() => buildSystemSnapshot());
+const apiServer = new ApiServer({
+    getSnapshot: () => buildSystemSnapshot(),
+    getSystemData: () => getSystemData(),
+    getProcesses: () => getProcesses()
+});
+let metricsHistory;
+let alertEngine;
+let anomalyDetector;
+const processHistory = new ProcessHistory();
+const processController = new ProcessController();
+const processLifecycle = new ProcessLifecycle({
+    onEvent: (event) => broadcast('process-lifecycle', event)
+});
+const leakDetector = new LeakDetector({
+    onSuspect: (suspect) => broadcast('leak-event', suspect)
+});
+let lastLeakSample = 0;
+let processWatchdog;
 
 // Configuration management
 const config = {
     monitoring: {
         enabled: true,
         interval: 5000,
-        fileWatching: true
+        fileWatching: true,
+        cpu: true,
+        memory: true,
+        disk: true,
+        network: true,
+        // Per-collector interval overrides in milliseconds, keyed by collector id
+        intervals: {},
+        scheduler: {
+            // Back off once a collection takes this fraction of its interval
+            backoffThreshold: 0.8,
+            // Never stretch an interval beyond this multiple of its configured value
+            maxBackoff: 8,
+            pauseWhenHidden: true
+        }
     },
     ui: {
         theme: 'cyberpunk',
@@ -31,22 +109,117 @@ const config = {
     performance: {
         lowMode: false,
         reduceAnimations: false
+    },
+    exporter: {
+        enabled: false,
+        host: '127.0.0.1',
+        port: 9464
+    },
+    api: {
+        enabled: false,
+        host: '127.0.0.1',
+        port: 9470,
+        // Generated on first start; required as a Bearer token or ?token= parameter
+        token: ''
+    },
+    history: {
+        enabled: true,
+        flushInterval: 60000,
+        retention: {
+            raw: 60 * 60 * 1000,
+            minute: 24 * 60 * 60 * 1000,
+            hour: 30 * 24 * 60 * 60 * 1000
+        }
+    },
+    processHistory: {
+        enabled: true,
+        interval: 10000,
+        retention: 30 * 60 * 1000
+    },
+    processEvents: {
+        // Started/exited events from the process sampler; `limit` is how many are kept
+        enabled: true,
+        limit: 500
+    },
+    leakDetection: {
+        // Flags processes whose resident memory grows steadily over `window` (ms);
+        // `minGrowth` is bytes per hour and `limit` 0 projects against total memory
+        enabled: true,
+        window: 30 * 60 * 1000,
+        sampleInterval: 60 * 1000,
+        minGrowth: 10 * 1024 * 1024,
+        minR2: 0.8,
+        limit: 0,
+        notify: false
+    },
+    fileWatcher: {
+        // Quiet period in milliseconds before a burst of events on a path is reported;
+        // the watch rules themselves are kept in watch-rules.json
+        debounce: 300
+    },
+    fileEvents: {
+        // Reported file events are kept on disk for `retention` ms, at most `maxEvents` of them;
+        // file action results are kept for the same `retention`
+        retention: 30 * 24 * 60 * 60 * 1000,
+        maxEvents: 200000
+    },
+    fileIntegrity: {
+        // Cron expression for re-checking every integrity rule against its baseline;
+        // files the watcher reports are checked as they change
+        schedule: '0 * * * *',
+        notify: true
+    },
+    directoryGrowth: {
+        // Size and file count of each watched path every `interval` ms, kept for `retention` ms;
+        // alerts when growth over `window` ms exceeds `alertRate` bytes per hour (0 turns alerts off)
+        enabled: true,
+        interval: 15 * 60 * 1000,
+        retention: 7 * 24 * 60 * 60 * 1000,
+        window: 60 * 60 * 1000,
+        alertRate: 1024 * 1024 * 1024,
+        notify: true
+    },
+    processControl: {
+        // Process names that can never be signalled; the app's own processes are always protected
+        protected: [...DEFAULT_PROTECTED]
+    },
+    anomaly: {
+        enabled: true,
+        sensitivity: 3,
+        warmup: 30,
+        alpha: 0.05,
+        notify: false
     }
 };
 
+// Merge saved settings over the defaults so nested keys added later keep their defaults
+function mergeConfig(target, source) {
+    for (const [key, value] of Object.entries(source || {})) {
+        const isObject = value && typeof value === 'object' && !Array.isArray(value);
+        const targetIsObject = target[key] && typeof target[key] === 'object' && !Array.isArray(target[key]);
+        if (isObject && targetIsObject) {
+            mergeConfig(target[key], value);
+        } else {
+            target[key] = value;
+        }
+    }
+    return target;
+}
+
 // Load configuration from file
 async function loadConfig() {
     try {
         const configPath = path.join(app.getPath('userData'), 'config.json');
         const configData = await fs.readFile(configPath, 'utf8');
-        Object.assign(config, JSON.parse(configData));
+        mergeConfig(config, JSON.parse(configData));
     } catch (error) {
         console.log('No config file found, using defaults');
     }
 }
 
-// Save configuration to file
+// Save configuration to file; headless runs only read it
 async function saveConfig() {
+    if (headlessOptions) return;
     try {
         const configPath = path.join(app.getPath('userData'), 'config.json');
         await fs.writeFile(configPath, JSON.stringify(config, null, 2));
@@ -55,6 +228,14 @@ async function saveConfig() {
     }
 }
 
+// Send an event to the window and to every remote API client
+function broadcast(channel, data) {
+    if (mainWindow && !mainWindow.isDestroyed()) {
+        mainWindow.webContents.send(channel, data);
+    }
+    apiServer.broadcast(channel, data);
+}
+
 // Create main window
 function createWindow() {
     mainWindow = new BrowserWindow({
@@ -100,108 +281,277 @@ function createWindow() {
 }
 
 // System monitoring functions
+function isCollectorEnabled(collector) {
+    return collectorRegistry.isEnabled(collector, config.monitoring);
+}
+
+function isWindowHidden() {
+    return Boolean(mainWindow) && !mainWindow.isDestroyed() && (mainWindow.isMinimized() || !mainWindow.isVisible());
+}
+
+// Whether metrics history, anomaly detection or an enabled alert rule uses this collector's
+// output; those keep sampling while the window is hidden
+function feedsBackgroundConsumers(collector) {
+    // No sample yet: there is nothing to tell which metrics it produces
+    if (!(collector.id in latestSamples)) return true;
+
+    const metrics = Object.keys(extractMetrics({ [collector.id]: latestSamples[collector.id] }));
+    if (metrics.length === 0) return false;
+    if (config.history.enabled || config.anomaly.enabled) return true;
+    return (alertEngine?.rules || []).some(rule => rule.enabled && metrics.includes(rule.metric));
+}
+
+// Collection pauses while nobody can see the window, unless configured otherwise
+function shouldPauseSampling(collector) {
+    if (!config.monitoring.scheduler?.pauseWhenHidden || !isWindowHidden()) return false;
+    // Scrapers and remote dashboards still need fresh data while the window is hidden
+    if (prometheusExporter.isRunning() || apiServer.clientCount() > 0) return false;
+    return !feedsBackgroundConsumers(collector);
+}
+
+// Schedule every enabled collector independently; a collector never overlaps itself
 function startSystemMonitoring() {
-    if (systemMonitorInterval) {
-        clearInterval(systemMonitorInterval);
+    stopSystemMonitoring();
+    monitoringActive = true;
+
+    const schedulerConfig = config.monitoring.scheduler || {};
+    for (const collector of collectorRegistry.list()) {
+        if (!isCollectorEnabled(collector)) continue;
+
+        const scheduler = new SamplingScheduler(() => collector.collect(), {
+            interval: collectorRegistry.getInterval(collector, config.monitoring),
+            backoffThreshold: schedulerConfig.backoffThreshold,
+            maxBackoff: schedulerConfig.maxBackoff,
+            shouldSkip: () => shouldPauseSampling(collector),
+            onResult: (data) => handleCollectorResult(collector, data),
+            onError: (error) => console.error(`Collector ${collector.id} error:`, error)
+        });
+        collectorSchedulers.set(collector.id, scheduler);
+        scheduler.start();
     }
-    
-    systemMonitorInterval = setInterval(async () => {
-        try {
-            const data = await getSystemData();
-            mainWindow.webContents.send('system-data-update', data);
-        } catch (error) {
-            console.error('System monitoring error:', error);
+
+    startProcessSampler();
+}
+
+// The process sampler feeds per-process history and the watchdog; it keeps running while
+// the window is hidden, so background spikes and exits are still caught
+function startProcessSampler() {
+    const recordHistory = config.processHistory.enabled;
+    const trackLifecycle = config.processEvents.enabled;
+    const detectLeaks = config.leakDetection.enabled;
+    const watchRules = processWatchdog?.rules.some(rule => rule.enabled);
+    if (!recordHistory && !trackLifecycle && !detectLeaks && !watchRules) return;
+
+    processHistory.setRetention(config.processHistory.retention);
+    processLifecycle.setLimit(config.processEvents.limit);
+    processLifecycle.reset();
+    processSampler = new SamplingScheduler(() => listProcesses(), {
+        interval: config.processHistory.interval,
+        backoffThreshold: config.monitoring.scheduler?.backoffThreshold,
+        maxBackoff: config.monitoring.scheduler?.maxBackoff,
+        onResult: (processes) => {
+            const timestamp = Date.now();
+            if (recordHistory) processHistory.record(timestamp, processes);
+            if (trackLifecycle) processLifecycle.update(processes, timestamp);
+            if (detectLeaks) sampleLeaks(processes, timestamp);
+            processWatchdog?.evaluate(processes, timestamp);
+        },
+        onError: (error) => console.error('Process sampler error:', error)
+    });
+    processSampler.start();
+}
+
+// The %mem-derived RSS moves in steps too coarse to fit a trend to, so exact sizes are read,
+// but only as often as the leak detector keeps a sample
+async function sampleLeaks(processes, timestamp) {
+    if (timestamp - lastLeakSample < config.leakDetection.sampleInterval) return;
+    lastLeakSample = timestamp;
+
+    try {
+        const sizes = await readResidentSizes(processes.map(p => p.pid));
+        leakDetector.record(timestamp, processes.map(p => ({ ...p, rss: sizes[p.pid] ?? p.rss })));
+    } catch (error) {
+        console.error('Leak detection error:', error);
+    }
+}
+
+function handleCollectorResult(collector, data) {
+    latestSamples[collector.id] = data;
+
+    const timestamp = Date.now();
+    const values = extractMetrics({ [collector.id]: data });
+    recordHistory(timestamp, values);
+    alertEngine?.evaluate(values, timestamp);
+    detectAnomalies(values, timestamp);
+    // Collectors that keep sampling for history and alerts need not redraw a hidden window
+    if (config.monitoring.scheduler?.pauseWhenHidden && isWindowHidden()) {
+        apiServer.broadcast('system-data-update', buildSystemSnapshot(timestamp, [collector.id]));
+    } else {
+        broadcast('system-data-update', buildSystemSnapshot(timestamp, [collector.id]));
+    }
+}
+
+// Per-collector timing, so consumers can tell a quiet system from a struggling sampler
+function getSamplingStats() {
+    const stats = {};
+    for (const [id, scheduler] of collectorSchedulers) {
+        stats[id] = scheduler.getStats();
+    }
+    return stats;
+}
+
+// Combine the latest output of every enabled collector into one payload; `updated` lists the
+// sections sampled for this snapshot (all of them by default), so charts only plot new samples
+function buildSystemSnapshot(timestamp = Date.now(), updated = null) {
+    const snapshot = {};
+    for (const collector of collectorRegistry.list()) {
+        if (isCollectorEnabled(collector) && collector.id in latestSamples) {
+            snapshot[collector.id] = latestSamples[collector.id];
         }
-    }, config.monitoring.interval);
+    }
+    snapshot.sampling = getSamplingStats();
+    snapshot.timestamp = timestamp;
+    snapshot.updated = (updated || Object.keys(snapshot)).filter(id => id in latestSamples);
+    return snapshot;
+}
+
+// Anomalies go out before the snapshot so the dashboard can mark the point it is about to plot
+function detectAnomalies(values, timestamp) {
+    if (!anomalyDetector || !config.anomaly.enabled) return;
+    anomalyDetector.observe(values, timestamp).forEach(anomaly => broadcast('anomaly-event', anomaly));
+}
+
+function recordHistory(timestamp, values) {
+    if (!metricsHistory || !config.history.enabled) return;
+    metricsHistory.record(timestamp, values);
 }
 
 function stopSystemMonitoring() {
-    if (systemMonitorInterval) {
-        clearInterval(systemMonitorInterval);
-        systemMonitorInterval = null;
+    for (const scheduler of collectorSchedulers.values()) {
+        scheduler.stop();
     }
+    collectorSchedulers.clear();
+    if (processSampler) {
+        processSampler.stop();
+        processSampler = null;
+    }
+    monitoringActive = false;
 }
 
+// Run every enabled collector once, for on-demand requests
 async function getSystemData() {
     try {
-        const [cpu, mem, disk, network] = await Promise.all([
-            systeminformation.currentLoad(),
-            systeminformation.mem(),
-            systeminformation.fsSize(),
-            systeminformation.networkStats()
-        ]);
+        const enabled = collectorRegistry.list().filter(isCollectorEnabled);
+        const results = await Promise.allSettled(enabled.map(collector => collector.collect()));
+        const updated = [];
 
-        return {
-            cpu: {
-                load: cpu.currentLoad,
-                cores: cpu.cpus.length,
-                temperature: cpu.cpus[0]?.temperature || 0
-            },
-            memory: {
-                total: mem.total,
-                used: mem.used,
-                free: mem.free,
-                active: mem.active,
-                available: mem.available,
-                percentage: ((mem.used / mem.total) * 100).toFixed(1)
-            },
-            disk: disk.map(d => ({
-                fs: d.fs,
-                size: d.size,
-                used: d.used,
-                available: d.available,
-                percentage: d.use
-            })),
-            network: {
-                rx_sec: network[0]?.rx_sec || 0,
-                tx_sec: network[0]?.tx_sec || 0,
-                connections: network[0]?.connections || 0
-            },
-            timestamp: Date.now()
-        };
+        results.forEach((result, index) => {
+            if (result.status === 'fulfilled') {
+                latestSamples[enabled[index].id] = result.value;
+                updated.push(enabled[index].id);
+            } else {
+                console.error(`Collector ${enabled[index].id} error:`, result.reason);
+            }
+        });
+
+        return buildSystemSnapshot(Date.now(), updated);
     } catch (error) {
         console.error('Error getting system data:', error);
         return null;
     }
 }
 
+// Start, stop or rebind the /metrics listener to match config.exporter
+async function applyExporterConfig() {
+    const { enabled, host, port } = config.exporter || {};
+    const address = `${host}:${port}`;
+
+    if (prometheusExporter.isRunning() && (!enabled || prometheusExporter.address !== address)) {
+        await prometheusExporter.stop();
+    }
+
+    if (enabled && !prometheusExporter.isRunning()) {
+        try {
+            await prometheusExporter.start({ host, port });
+        } catch (error) {
+            console.error('Failed to start Prometheus exporter:', error);
+        }
+    }
+}
+
+// Start, stop or rebind the API server to match config.api
+async function applyApiConfig() {
+    const { enabled, host, port, token } = config.api || {};
+    const address = `${host}:${port}`;
+
+    if (apiServer.isRunning() && (!enabled || apiServer.address !== address || apiServer.token !== token)) {
+        await apiServer.stop();
+    }
+
+    if (enabled && !apiServer.isRunning()) {
+        try {
+            await apiServer.start({ host, port, token });
+        } catch (error) {
+            console.error('Failed to start API server:', error);
+        }
+    }
+}
+
+async function getProcesses() {
+    try {
+        // One systeminformation scan per refresh supplies both Windows usage and the attributes
+        const systemList = await readSystemProcesses();
+        const processes = await listProcesses(systemList);
+        const attributes = await readProcessAttributes(systemList).catch(() => ({}));
+        return processes.map(p => ({
+            ...p,
+            state: null,
+            user: null,
+            started: null,
+            threads: null,
+            ...attributes[p.pid]
+        }));
+    } catch (error) {
+        console.error('Error getting processes:', error);
+        return [];
+    }
+}
+
 // File watching functions
 function startFileWatcher() {
-    if (fileWatcher) {
-        fileWatcher.close();
-    }
+    fileWatcher?.start();
+}
 
-    const watchPaths = config.fileWatchPaths || [];
-    if (watchPaths.length === 0) return;
+// Earlier versions kept bare path lists in the config; they become the first watch rules
+function takeLegacyWatchPaths() {
+    const paths = [...(config.fileWatchPaths || []), ...(config.fileWatcher.paths || [])];
+    delete config.fileWatchPaths;
+    delete config.fileWatcher.paths;
+    return paths;
+}
 
-    fileWatcher = chokidar.watch(watchPaths, {
-        ignored: /(^|[\/\\])\../,
-        persistent: true,
-        ignoreInitial: true
-    });
+// Re-verify integrity baselines on the configured cron schedule
+function applyIntegritySchedule() {
+    integrityTask?.stop();
+    integrityTask = null;
 
-    fileWatcher
-        .on('add', path => {
-            mainWindow.webContents.send('file-event', {
-                type: 'add',
-                path: path,
-                timestamp: Date.now()
-            });
-        })
-        .on('change', path => {
-            mainWindow.webContents.send('file-event', {
-                type: 'change',
-                path: path,
-                timestamp: Date.now()
-            });
-        })
-        .on('unlink', path => {
-            mainWindow.webContents.send('file-event', {
-                type: 'unlink',
-                path: path,
-                timestamp: Date.now()
-            });
-        });
+    const schedule = config.fileIntegrity.schedule;
+    if (!fileIntegrity || !schedule) return;
+    if (!cron.validate(schedule)) {
+        console.error(`Invalid integrity schedule "${schedule}"`);
+        return;
+    }
+    integrityTask = cron.schedule(schedule, () => fileIntegrity.verifyAll());
+}
+
+function applyDirectoryGrowthConfig() {
+    if (!directoryGrowth) return;
+    directoryGrowth.configure(config.directoryGrowth);
+    if (config.directoryGrowth.enabled) {
+        if (!directoryGrowth.running) directoryGrowth.start();
+    } else {
+        directoryGrowth.stop();
+    }
 }
 
 // IPC Handlers
@@ -211,6 +561,26 @@ ipcMain.handle('get-config', async () => {
 
 ipcMain.handle('save-config', async (event, newConfig) => {
     Object.assign(config, newConfig);
+    metricsHistory?.setRetention(config.history?.retention);
+    anomalyDetector?.configure(config.anomaly);
+    leakDetector.configure(config.leakDetection);
+    fileWatcher?.setDebounce(config.fileWatcher.debounce);
+    fileEventLog?.setOptions(config.fileEvents);
+    fileActionRunner?.setRetention(config.fileEvents.retention);
+    applyIntegritySchedule();
+    applyDirectoryGrowthConfig();
+    if (config.monitoring.fileWatching) {
+        startFileWatcher();
+    } else {
+        fileWatcher?.stop();
+    }
+    processController.setProtected(config.processControl.protected);
+    if (monitoringActive) {
+        // Pick up collector toggles and interval changes without a restart
+        startSystemMonitoring();
+    }
+    await applyExporterConfig();
+    await applyApiConfig();
     await saveConfig();
     return true;
 });
@@ -219,22 +589,142 @@ ipcMain.handle('get-system-data', async () => {
     return await getSystemData();
 });
 
+ipcMain.handle('regenerate-api-token', async () => {
+    config.api.token = generateToken();
+    await applyApiConfig();
+    await saveConfig();
+    return config.api.token;
+});
+
+ipcMain.handle('get-collectors', async () => {
+    return collectorRegistry.describe(config.monitoring);
+});
+
+ipcMain.handle('get-metrics-history', async (event, query) => {
+    if (!metricsHistory) return null;
+    return metricsHistory.query(query);
+});
+
+ipcMain.handle('get-metrics-list', async () => {
+    return metricsHistory ? metricsHistory.listMetrics() : [];
+});
+
+ipcMain.handle('get-alert-rules', async () => {
+    return alertEngine ? alertEngine.rules : [];
+});
+
+ipcMain.handle('save-alert-rules', async (event, rules) => {
+    try {
+        const saved = alertEngine.setRules(rules);
+        await alertEngine.save();
+        return { success: true, rules: saved };
+    } catch (error) {
+        console.error('Save alert rules error:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('get-alerts', async () => {
+    return alertEngine ? alertEngine.getAlerts() : { rules: [], events: [] };
+});
+
 ipcMain.handle('get-processes', async () => {
+    return await getProcesses();
+});
+
+ipcMain.handle('get-process-sparklines', async (event, points) => {
+    return processHistory.sparklines(points);
+});
+
+ipcMain.handle('get-top-processes', async (event, options) => {
     try {
-        const processes = await psList();
-        return processes.map(p => ({
-            name: p.name,
-            pid: p.pid,
-            cpu: p.cpu,
-            memory: p.memory,
-            command: p.cmd
-        }));
+        return processHistory.top(options);
     } catch (error) {
-        console.error('Error getting processes:', error);
+        console.error('Top processes error:', error);
         return [];
     }
 });
 
+ipcMain.handle('get-process-history', async (event, query) => {
+    return processHistory.query(query);
+});
+
+ipcMain.handle('signal-process', async (event, pid, signal, options) => {
+    try {
+        const result = await processController.signal(pid, signal, options);
+        return {
+            success: result.errors.length === 0,
+            signalled: result.signalled,
+            error: result.errors.join(' ') || undefined
+        };
+    } catch (error) {
+        console.error('Signal process error:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('get-connections', async () => {
+    try {
+        return await listConnections();
+    } catch (error) {
+        console.error('Error getting connections:', error);
+        return [];
+    }
+});
+
+ipcMain.handle('inspect-process', async (event, pid) => {
+    try {
+        const details = await inspectProcess(pid);
+        if (!details) {
+            return { success: false, error: `Process ${pid} is not running.` };
+        }
+        return { success: true, details };
+    } catch (error) {
+        console.error('Inspect process error:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('get-process-priority', async (event, pid) => {
+    return processController.getPriority(pid);
+});
+
+ipcMain.handle('set-process-priority', async (event, pid, priority) => {
+    try {
+        return { success: true, ...(await processController.setPriority(pid, priority)) };
+    } catch (error) {
+        console.error('Set process priority error:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('get-process-events', async (event, options) => {
+    return processLifecycle.getEvents(options);
+});
+
+ipcMain.handle('get-leak-suspects', async () => {
+    return config.leakDetection.enabled ? leakDetector.getSuspects() : [];
+});
+
+ipcMain.handle('get-watchdog-status', async () => {
+    return processWatchdog ? processWatchdog.getStatus() : { rules: [], log: [] };
+});
+
+ipcMain.handle('save-watchdog-rules', async (event, rules) => {
+    try {
+        const saved = processWatchdog.setRules(rules);
+        await processWatchdog.save();
+        if (monitoringActive) {
+            // The sampler only runs when there is something to feed
+            startSystemMonitoring();
+        }
+        return { success: true, rules: saved };
+    } catch (error) {
+        console.error('Save watchdog rules error:', error);
+        return { success: false, error: error.message };
+    }
+});
+
 ipcMain.handle('take-screenshot', async () => {
     try {
         const img = await screenshot();
@@ -252,7 +742,7 @@ ipcMain.handle('take-screenshot', async () => {
 
 ipcMain.handle('copy-to-clipboard', async (event, text) => {
     try {
-        await clipboardy.write(text);
+        await (await clipboardy()).write(text);
         return true;
     } catch (error) {
         console.error('Clipboard error:', error);
@@ -302,6 +792,105 @@ ipcMain.handle('start-file-watcher', async () => {
     return true;
 });
 
+ipcMain.handle('get-watch-rules', async () => {
+    return fileWatcher ? fileWatcher.getStatus() : [];
+});
+
+ipcMain.handle('query-file-events', async (event, filters) => {
+    return fileEventLog ? fileEventLog.query(filters) : { total: 0, events: [] };
+});
+
+ipcMain.handle('get-file-event-histogram', async (event, filters) => {
+    return fileEventLog ? fileEventLog.histogram(filters) : [];
+});
+
+ipcMain.handle('export-file-events', async (event, filters, format) => {
+    try {
+        return { success: true, content: fileEventLog.export(filters, format) };
+    } catch (error) {
+        console.error('Export file events error:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('clear-file-events', async () => {
+    await fileEventLog?.clear();
+    return true;
+});
+
+ipcMain.handle('get-file-action-log', async () => {
+    return fileActionRunner ? fileActionRunner.getLog() : [];
+});
+
+// Dry run of a rule's actions, which may not be saved yet, against the rule's latest event
+// or a made-up file in the watched directory
+ipcMain.handle('preview-file-actions', async (event, rule, sample) => {
+    try {
+        const normalized = normalizeWatchRule(rule);
+        const latest = rule.id ? fileEventLog?.query({ rule: rule.id, limit: 1 }).events[0] : null;
+        const target = sample?.path
+            ? { type: sample.type || 'change', path: sample.path }
+            : latest || { type: 'add', path: path.join(normalized.path, 'example.txt') };
+        return { success: true, event: target, steps: fileActionRunner.preview(normalized, target) };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('get-integrity-status', async () => {
+    return fileIntegrity ? fileIntegrity.getStatus() : [];
+});
+
+ipcMain.handle('verify-integrity', async (event, ruleId) => {
+    try {
+        return { success: true, status: await fileIntegrity.verify(ruleId) };
+    } catch (error) {
+        console.error('Verify integrity error:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('accept-integrity-baseline', async (event, ruleId) => {
+    try {
+        return { success: true, status: await fileIntegrity.accept(ruleId) };
+    } catch (error) {
+        console.error('Accept integrity baseline error:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('export-integrity-report', async (event, ruleId, format) => {
+    try {
+        return { success: true, content: fileIntegrity.export(ruleId, format) };
+    } catch (error) {
+        console.error('Export integrity report error:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('get-directory-growth', async () => {
+    return directoryGrowth ? directoryGrowth.getStatus() : [];
+});
+
+ipcMain.handle('measure-directory-growth', async () => {
+    await directoryGrowth?.sampleAll();
+    return directoryGrowth ? directoryGrowth.getStatus() : [];
+});
+
+ipcMain.handle('save-watch-rules', async (event, rules) => {
+    try {
+        // Takes effect immediately; unchanged watchers keep running
+        const saved = fileWatcher.setRules(rules);
+        await fileWatcher.save();
+        fileIntegrity.setRules(saved);
+        directoryGrowth.setRules(saved);
+        return { success: true, rules: saved };
+    } catch (error) {
+        console.error('Save watch rules error:', error);
+        return { success: false, error: error.message };
+    }
+});
+
 // File operations for plugin system
 ipcMain.handle('read-file', async (event, filePath) => {
     try {
@@ -364,6 +953,77 @@ ipcMain.handle('execute-command', async (event, command) => {
 // App lifecycle events
 app.whenReady().then(async () => {
     await loadConfig();
+    processController.setProtected(config.processControl.protected);
+    leakDetector.configure(config.leakDetection);
+
+    if (headlessOptions) {
+        const exitCode = await runHeadless(headlessOptions, { getSystemData, getProcesses });
+        app.exit(exitCode);
+        return;
+    }
+
+    if (!config.api.token) {
+        config.api.token = generateToken();
+        await saveConfig();
+    }
+
+    metricsHistory = new MetricsHistory(app.getPath('userData'), config.history);
+    await metricsHistory.load();
+    metricsHistory.startAutoSave();
+
+    alertEngine = new AlertEngine(app.getPath('userData'), {
+        onEvent: (alert) => broadcast('alert-event', alert)
+    });
+    await alertEngine.load();
+
+    anomalyDetector = new AnomalyDetector({ directory: app.getPath('userData'), ...config.anomaly });
+    await anomalyDetector.load();
+    anomalyDetector.startAutoSave();
+
+    processWatchdog = new ProcessWatchdog(app.getPath('userData'), {
+        controller: processController,
+        onEvent: (entry) => broadcast('watchdog-event', entry)
+    });
+    await processWatchdog.load();
+
+    fileEventLog = new FileEventLog(app.getPath('userData'), config.fileEvents);
+    await fileEventLog.load();
+
+    fileActionRunner = new FileActionRunner(app.getPath('userData'), {
+        retention: config.fileEvents.retention,
+        onResult: (result) => broadcast('file-action', result)
+    });
+    await fileActionRunner.load();
+
+    fileIntegrity = new FileIntegrity(app.getPath('userData'), {
+        onChange: (report) => broadcast('integrity-event', report)
+    });
+    await fileIntegrity.load();
+
+    fileWatcher = new FileWatcher(app.getPath('userData'), {
+        debounce: config.fileWatcher.debounce,
+        onEvent: (fileEvent) => {
+            const entry = fileEventLog.record(fileEvent);
+            broadcast('file-event', entry);
+            const rule = fileWatcher.getRule(entry.rule);
+            if (rule) fileActionRunner.run(rule, entry);
+            fileIntegrity.check(entry).catch(error => console.error('Integrity check error:', error));
+        }
+    });
+    const legacyWatchPaths = takeLegacyWatchPaths();
+    await fileWatcher.load(legacyWatchPaths);
+    if (legacyWatchPaths.length > 0) await saveConfig();
+    fileIntegrity.setRules(fileWatcher.rules);
+    applyIntegritySchedule();
+
+    directoryGrowth = new DirectoryGrowth(app.getPath('userData'), {
+        ...config.directoryGrowth,
+        onAlert: (alert) => broadcast('growth-event', alert)
+    });
+    await directoryGrowth.load();
+    directoryGrowth.setRules(fileWatcher.rules);
+    applyDirectoryGrowthConfig();
+
     createWindow();
     
     // Start monitoring if enabled
@@ -375,6 +1035,9 @@ app.whenReady().then(async () => {
     if (config.monitoring.fileWatching) {
         startFileWatcher();
     }
+
+    await applyExporterConfig();
+    await applyApiConfig();
     
     app.on('activate', () => {
         if (BrowserWindow.getAllWindows().length === 0) {
@@ -389,16 +1052,49 @@ app.on('window-all-closed', () => {
     }
 });
 
-app.on('before-quit', async () => {
+// Electron does not wait for an async before-quit handler, so quitting is held off until
+// everything is stopped and saved, then finished with app.exit()
+let shuttingDown = false;
+app.on('before-quit', (event) => {
+    event.preventDefault();
+    if (shuttingDown) return;
+    shuttingDown = true;
+
+    shutdown()
+        .catch(error => console.error('Shutdown error:', error))
+        .finally(() => app.exit(0));
+});
+
+async function shutdown() {
     stopSystemMonitoring();
+    prometheusExporter.stop();
+    apiServer.stop();
     if (fileWatcher) {
-        fileWatcher.close();
+        await fileWatcher.stop();
+    }
+    if (fileEventLog) {
+        await fileEventLog.flush();
+    }
+    integrityTask?.stop();
+    if (fileIntegrity) {
+        await fileIntegrity.flush();
+    }
+    directoryGrowth?.stop();
+    if (metricsHistory) {
+        metricsHistory.stopAutoSave();
+        await metricsHistory.save();
+    }
+    if (anomalyDetector) {
+        anomalyDetector.stopAutoSave();
+        await anomalyDetector.save();
     }
     await saveConfig();
-});
+}
 
-// Security: Prevent multiple instances
-app.requestSingleInstanceLock();
+// Security: Prevent multiple instances (headless runs may sit alongside the GUI)
+if (!headlessOptions) {
+    app.requestSingleInstanceLock();
+}
 
 // Handle second instance
 app.on('second-instance', () => {
@@ -0,0 +1,253 @@
+/**
+ * PlayNexus Alert Engine
+ * Evaluates threshold rules against every sample with duration, hysteresis and cooldown
+ *
+ * A rule moves ok -> pending when its condition first holds, pending -> firing once
+ * it has held for `duration`, and firing -> resolved once the value has moved back
+ * past the threshold by more than `hysteresis`.
+ */
+
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+
+const OPERATORS = {
+    '>': (value, threshold) => value > threshold,
+    '>=': (value, threshold) => value >= threshold,
+    '<': (value, threshold) => value < threshold,
+    '<=': (value, threshold) => value <= threshold
+};
+
+const SEVERITIES = ['info', 'warning', 'critical'];
+
+const MAX_EVENTS = 200;
+
+const DEFAULT_RULES = [
+    {
+        id: 'cpu-high',
+        name: 'CPU above 90%',
+        metric: 'cpu.load',
+        operator: '>',
+        threshold: 90,
+        duration: 60000,
+        hysteresis: 5,
+        cooldown: 300000,
+        severity: 'warning',
+        enabled: true
+    },
+    {
+        id: 'memory-high',
+        name: 'Memory above 90%',
+        metric: 'memory.percentage',
+        operator: '>',
+        threshold: 90,
+        duration: 60000,
+        hysteresis: 5,
+        cooldown: 300000,
+        severity: 'warning',
+        enabled: true
+    },
+    {
+        id: 'disk-root-full',
+        name: 'Disk / above 95%',
+        metric: 'disk[/].percentage',
+        operator: '>',
+        threshold: 95,
+        duration: 0,
+        hysteresis: 1,
+        cooldown: 3600000,
+        severity: 'critical',
+        enabled: true
+    }
+];
+
+/**
+ * Check and normalize a rule; throws with a readable message when it is invalid
+ */
+function normalizeRule(rule) {
+    if (!rule || typeof rule !== 'object') {
+        throw new Error('Rule must be an object');
+    }
+    if (!rule.metric || typeof rule.metric !== 'string') {
+        throw new Error('Rule metric is required');
+    }
+    if (!OPERATORS[rule.operator]) {
+        throw new Error(`Unknown operator "${rule.operator}" in rule "${rule.name || rule.metric}"`);
+    }
+
+    const threshold = Number(rule.threshold);
+    if (!Number.isFinite(threshold)) {
+        throw new Error(`Threshold must be a number in rule "${rule.name || rule.metric}"`);
+    }
+
+    const nonNegative = (value) => Math.max(0, Number(value) || 0);
+
+    return {
+        id: rule.id || crypto.randomUUID(),
+        name: rule.name || `${rule.metric} ${rule.operator} ${threshold}`,
+        metric: rule.metric.trim(),
+        operator: rule.operator,
+        threshold,
+        duration: nonNegative(rule.duration),
+        hysteresis: nonNegative(rule.hysteresis),
+        cooldown: nonNegative(rule.cooldown),
+        severity: SEVERITIES.includes(rule.severity) ? rule.severity : 'warning',
+        enabled: rule.enabled !== false
+    };
+}
+
+class AlertEngine {
+    constructor(directory, options = {}) {
+        this.filePath = path.join(directory, 'alert-rules.json');
+        this.onEvent = options.onEvent || (() => {});
+        this.rules = [];
+        this.states = new Map();
+        this.events = [];
+    }
+
+    /**
+     * Load rules saved next to config.json, falling back to the defaults
+     */
+    async load() {
+        try {
+            const content = await fs.readFile(this.filePath, 'utf8');
+            this.setRules(JSON.parse(content));
+        } catch (error) {
+            console.log('No alert rules found, using defaults');
+            this.setRules(DEFAULT_RULES);
+        }
+    }
+
+    async save() {
+        try {
+            await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+            await fs.writeFile(this.filePath, JSON.stringify(this.rules, null, 2), 'utf8');
+        } catch (error) {
+            console.error('Failed to save alert rules:', error);
+        }
+    }
+
+    /**
+     * Replace the rule set; state is kept for rules whose id survives
+     */
+    setRules(rules) {
+        if (!Array.isArray(rules)) {
+            throw new Error('Alert rules must be an array');
+        }
+
+        this.rules = rules.map(normalizeRule);
+
+        const ids = new Set(this.rules.map(rule => rule.id));
+        for (const id of this.states.keys()) {
+            if (!ids.has(id)) this.states.delete(id);
+        }
+        return this.rules;
+    }
+
+    getState(rule) {
+        if (!this.states.has(rule.id)) {
+            this.states.set(rule.id, {
+                state: 'ok',
+                since: null,
+                value: null,
+                firedAt: null,
+                resolvedAt: null
+            });
+        }
+        return this.states.get(rule.id);
+    }
+
+    /**
+     * Evaluate every rule whose metric is present in this sample
+     */
+    evaluate(values, timestamp = Date.now()) {
+        for (const rule of this.rules) {
+            if (!rule.enabled || !(rule.metric in values)) continue;
+            this.evaluateRule(rule, values[rule.metric], timestamp);
+        }
+    }
+
+    evaluateRule(rule, value, timestamp) {
+        const state = this.getState(rule);
+        const breaching = OPERATORS[rule.operator](value, rule.threshold);
+        state.value = value;
+
+        if (state.state === 'firing') {
+            // Only resolve once the value is clear of the threshold by the hysteresis margin
+            const above = rule.operator.startsWith('>');
+            const cleared = above
+                ? value < rule.threshold - rule.hysteresis
+                : value > rule.threshold + rule.hysteresis;
+
+            if (cleared) {
+                state.state = 'resolved';
+                state.since = timestamp;
+                state.resolvedAt = timestamp;
+                this.emit('resolved', rule, value, timestamp);
+            }
+            return;
+        }
+
+        if (!breaching) {
+            if (state.state === 'pending') {
+                state.state = 'ok';
+                state.since = timestamp;
+            }
+            return;
+        }
+
+        if (state.state !== 'pending') {
+            state.state = 'pending';
+            state.since = timestamp;
+        }
+
+        const heldLongEnough = timestamp - state.since >= rule.duration;
+        const cooledDown = !state.firedAt || timestamp - state.firedAt >= rule.cooldown;
+
+        if (heldLongEnough && cooledDown) {
+            state.state = 'firing';
+            state.firedAt = timestamp;
+            this.emit('firing', rule, value, timestamp);
+        }
+    }
+
+    emit(type, rule, value, timestamp) {
+        const event = {
+            type,
+            ruleId: rule.id,
+            name: rule.name,
+            metric: rule.metric,
+            operator: rule.operator,
+            threshold: rule.threshold,
+            severity: rule.severity,
+            value,
+            timestamp,
+            message: type === 'firing'
+                ? `${rule.name}: ${rule.metric} is ${formatValue(value)} (${rule.operator} ${rule.threshold})`
+                : `${rule.name} resolved: ${rule.metric} is ${formatValue(value)}`
+        };
+
+        this.events.unshift(event);
+        this.events.length = Math.min(this.events.length, MAX_EVENTS);
+        this.onEvent(event);
+    }
+
+    /**
+     * Current state of every rule plus the recent event log
+     */
+    getAlerts() {
+        return {
+            rules: this.rules.map(rule => ({
+                ...rule,
+                ...this.getState(rule)
+            })),
+            events: this.events
+        };
+    }
+}
+
+function formatValue(value) {
+    return Number.isInteger(value) ? String(value) : value.toFixed(1);
+}
+
+module.exports = { AlertEngine, normalizeRule, DEFAULT_RULES, OPERATORS };
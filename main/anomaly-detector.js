@@ -0,0 +1,179 @@
+/**
+ * PlayNexus Anomaly Detector
+ * Keeps an EWMA mean/variance baseline per metric and per hour of day, and flags
+ * samples that sit more than `sensitivity` standard deviations from the baseline
+ *
+ * The detector has no Electron dependencies so recorded samples can be replayed
+ * through it, e.g. the `raw` array of metrics-history.json (see replay()).
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+
+const DEFAULT_OPTIONS = {
+    // Standard deviations from the baseline before a sample counts as anomalous
+    sensitivity: 3,
+    // Samples a baseline needs before it is trusted
+    warmup: 30,
+    // EWMA smoothing factor; smaller adapts more slowly
+    alpha: 0.05
+};
+
+// Deviation floor relative to the mean, so a perfectly flat metric does not flag on noise
+const RELATIVE_FLOOR = 0.05;
+const ABSOLUTE_FLOOR = 1e-3;
+
+// How often learned baselines are written out, so a crash loses at most this much learning
+const DEFAULT_SAVE_INTERVAL = 5 * 60 * 1000;
+
+function createStat() {
+    return { mean: 0, variance: 0, count: 0 };
+}
+
+/**
+ * Fold a value into an EWMA estimate; early samples use a plain running average
+ */
+function updateStat(stat, value, alpha) {
+    stat.count++;
+    if (stat.count === 1) {
+        stat.mean = value;
+        stat.variance = 0;
+        return;
+    }
+
+    const weight = Math.max(alpha, 1 / stat.count);
+    const diff = value - stat.mean;
+    const increment = weight * diff;
+    stat.mean += increment;
+    stat.variance = (1 - weight) * (stat.variance + diff * increment);
+}
+
+class AnomalyDetector {
+    constructor(options = {}) {
+        this.filePath = options.directory ? path.join(options.directory, 'anomaly-baseline.json') : null;
+        this.saveInterval = options.saveInterval || DEFAULT_SAVE_INTERVAL;
+        this.saveTimer = null;
+        this.dirty = false;
+        this.options = { ...DEFAULT_OPTIONS };
+        this.baselines = {};
+        this.configure(options);
+    }
+
+    configure(options = {}) {
+        for (const key of Object.keys(DEFAULT_OPTIONS)) {
+            const value = Number(options[key]);
+            if (Number.isFinite(value) && value > 0) {
+                this.options[key] = value;
+            }
+        }
+        this.options.alpha = Math.min(this.options.alpha, 1);
+    }
+
+    /**
+     * Check every metric of a sample against its baseline, then learn from it
+     * Returns the anomalies found in this sample
+     */
+    observe(values, timestamp = Date.now()) {
+        const hour = new Date(timestamp).getHours();
+        const anomalies = [];
+
+        for (const [metric, value] of Object.entries(values)) {
+            if (!Number.isFinite(value)) continue;
+
+            if (!this.baselines[metric]) {
+                this.baselines[metric] = { global: createStat(), hours: new Array(24).fill(null) };
+            }
+            const baseline = this.baselines[metric];
+            if (!baseline.hours[hour]) baseline.hours[hour] = createStat();
+
+            const anomaly = this.score(metric, value, timestamp, baseline.hours[hour], baseline.global);
+            if (anomaly) anomalies.push(anomaly);
+
+            updateStat(baseline.global, value, this.options.alpha);
+            updateStat(baseline.hours[hour], value, this.options.alpha);
+            this.dirty = true;
+        }
+
+        return anomalies;
+    }
+
+    score(metric, value, timestamp, hourly, global) {
+        // Prefer the time-of-day baseline once it is warm, otherwise fall back to all hours
+        const stat = hourly.count >= this.options.warmup ? hourly : global;
+        if (stat.count < this.options.warmup) return null;
+
+        const deviation = Math.max(
+            Math.sqrt(stat.variance),
+            Math.abs(stat.mean) * RELATIVE_FLOOR,
+            ABSOLUTE_FLOOR
+        );
+        const score = (value - stat.mean) / deviation;
+        if (Math.abs(score) < this.options.sensitivity) return null;
+
+        return {
+            metric,
+            value,
+            expected: stat.mean,
+            deviation,
+            score,
+            baseline: stat === hourly ? 'hour' : 'global',
+            timestamp
+        };
+    }
+
+    async load() {
+        if (!this.filePath) return;
+
+        try {
+            const content = await fs.readFile(this.filePath, 'utf8');
+            const stored = JSON.parse(content);
+            this.baselines = stored && typeof stored.baselines === 'object' ? stored.baselines : {};
+        } catch (error) {
+            console.log('No anomaly baseline found, starting warm-up');
+        }
+    }
+
+    /**
+     * Write baselines to disk, replacing the previous file atomically
+     */
+    async save() {
+        if (!this.filePath || !this.dirty) return;
+
+        try {
+            const tempPath = `${this.filePath}.tmp`;
+            await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+            await fs.writeFile(tempPath, JSON.stringify({ baselines: this.baselines }), 'utf8');
+            await fs.rename(tempPath, this.filePath);
+            this.dirty = false;
+        } catch (error) {
+            console.error('Failed to save anomaly baseline:', error);
+        }
+    }
+
+    startAutoSave() {
+        this.stopAutoSave();
+        this.saveTimer = setInterval(() => this.save(), this.saveInterval);
+    }
+
+    stopAutoSave() {
+        if (this.saveTimer) {
+            clearInterval(this.saveTimer);
+            this.saveTimer = null;
+        }
+    }
+}
+
+/**
+ * Run recorded samples ([{ t, values }], as stored in metrics-history.json) through a
+ * fresh detector and return every anomaly it flags
+ */
+function replay(samples, options = {}) {
+    const detector = new AnomalyDetector(options);
+    const anomalies = [];
+    for (const sample of samples) {
+        anomalies.push(...detector.observe(sample.values, sample.t));
+    }
+    return anomalies;
+}
+
+module.exports = { AnomalyDetector, replay, DEFAULT_OPTIONS };
@@ -0,0 +1,196 @@
+/**
+ * PlayNexus API Server
+ * Token-authenticated REST endpoints, a WebSocket push channel and a
+ * read-only web dashboard for watching the machine from another device
+ */
+
+const http = require('http');
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const { WebSocketServer } = require('ws');
+
+const WEB_ROOT = path.join(__dirname, '..', 'web');
+
+// Static dashboard files; anything else under / is a 404
+const STATIC_FILES = {
+    '/': { file: 'index.html', type: 'text/html; charset=utf-8' },
+    '/index.html': { file: 'index.html', type: 'text/html; charset=utf-8' },
+    '/dashboard.js': { file: 'dashboard.js', type: 'application/javascript; charset=utf-8' },
+    '/dashboard.css': { file: 'dashboard.css', type: 'text/css; charset=utf-8' }
+};
+
+const RECENT_FILE_EVENTS = 100;
+
+function generateToken() {
+    return crypto.randomBytes(24).toString('hex');
+}
+
+function tokensMatch(expected, provided) {
+    if (!expected || !provided) return false;
+    const a = Buffer.from(String(expected));
+    const b = Buffer.from(String(provided));
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+class ApiServer {
+    constructor({ getSnapshot, getSystemData, getProcesses }) {
+        this.getSnapshot = getSnapshot;
+        this.getSystemData = getSystemData;
+        this.getProcesses = getProcesses;
+        this.server = null;
+        this.wss = null;
+        this.token = null;
+        this.address = null;
+        this.recentFileEvents = [];
+    }
+
+    isRunning() {
+        return this.server !== null;
+    }
+
+    clientCount() {
+        return this.wss ? this.wss.clients.size : 0;
+    }
+
+    start({ host = '127.0.0.1', port = 9470, token } = {}) {
+        if (!token) {
+            return Promise.reject(new Error('API token is required'));
+        }
+
+        return new Promise((resolve, reject) => {
+            const server = http.createServer((req, res) => {
+                this.handleRequest(req, res).catch(error => {
+                    console.error('API request error:', error);
+                    this.sendJson(res, 500, { error: 'Internal server error' });
+                });
+            });
+            const wss = new WebSocketServer({ noServer: true });
+
+            server.on('upgrade', (req, socket, head) => this.handleUpgrade(req, socket, head));
+            server.once('error', reject);
+            server.listen(port, host, () => {
+                server.removeListener('error', reject);
+                server.on('error', error => console.error('API server error:', error));
+                this.server = server;
+                this.wss = wss;
+                this.token = token;
+                this.address = `${host}:${port}`;
+                console.log(`API server listening on http://${this.address}/`);
+                resolve();
+            });
+        });
+    }
+
+    stop() {
+        return new Promise((resolve) => {
+            if (!this.server) return resolve();
+
+            this.wss.clients.forEach(client => client.terminate());
+            this.wss.close();
+            this.server.close(() => resolve());
+            this.server = null;
+            this.wss = null;
+            this.address = null;
+        });
+    }
+
+    /**
+     * Push an event to every connected WebSocket client
+     */
+    broadcast(channel, data) {
+        if (channel === 'file-event') {
+            this.recentFileEvents.unshift(data);
+            this.recentFileEvents.length = Math.min(this.recentFileEvents.length, RECENT_FILE_EVENTS);
+        }
+
+        if (!this.wss || this.wss.clients.size === 0) return;
+
+        const message = JSON.stringify({ channel, data });
+        this.wss.clients.forEach(client => {
+            if (client.readyState === client.OPEN) {
+                client.send(message);
+            }
+        });
+    }
+
+    isAuthorized(req, url) {
+        const header = req.headers.authorization || '';
+        const bearer = header.startsWith('Bearer ') ? header.slice(7) : null;
+        return tokensMatch(this.token, bearer || url.searchParams.get('token'));
+    }
+
+    handleUpgrade(req, socket, head) {
+        const url = new URL(req.url, 'http://localhost');
+
+        if (url.pathname !== '/api/stream' || !this.isAuthorized(req, url)) {
+            socket.write('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+            socket.destroy();
+            return;
+        }
+
+        this.wss.handleUpgrade(req, socket, head, (ws) => {
+            // Send the current state straight away so clients do not wait a full interval
+            ws.send(JSON.stringify({ channel: 'system-data-update', data: this.getSnapshot() }));
+        });
+    }
+
+    async handleRequest(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+
+        if (req.method !== 'GET') {
+            return this.sendJson(res, 405, { error: 'Method not allowed' });
+        }
+
+        if (!url.pathname.startsWith('/api/')) {
+            return this.serveStatic(url.pathname, res);
+        }
+
+        if (!this.isAuthorized(req, url)) {
+            return this.sendJson(res, 401, { error: 'Missing or invalid token' });
+        }
+
+        switch (url.pathname) {
+            case '/api/system':
+                return this.sendJson(res, 200, this.getSnapshot());
+            case '/api/system/refresh':
+                return this.sendJson(res, 200, await this.getSystemData());
+            case '/api/processes':
+                return this.sendJson(res, 200, await this.getProcesses());
+            case '/api/file-events':
+                return this.sendJson(res, 200, this.recentFileEvents);
+            default:
+                return this.sendJson(res, 404, { error: 'Not found' });
+        }
+    }
+
+    async serveStatic(pathname, res) {
+        const entry = STATIC_FILES[pathname];
+        if (!entry) {
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            res.end('Not found\n');
+            return;
+        }
+
+        const content = await fs.readFile(path.join(WEB_ROOT, entry.file));
+        res.writeHead(200, {
+            'Content-Type': entry.type,
+            'Cache-Control': 'no-cache',
+            'X-Content-Type-Options': 'nosniff',
+            'Content-Security-Policy': "default-src 'self'; connect-src 'self' ws: wss:"
+        });
+        res.end(content);
+    }
+
+    sendJson(res, status, body) {
+        if (res.headersSent) return;
+        res.writeHead(status, {
+            'Content-Type': 'application/json; charset=utf-8',
+            'Cache-Control': 'no-store',
+            'X-Content-Type-Options': 'nosniff'
+        });
+        res.end(JSON.stringify(body));
+    }
+}
+
+module.exports = { ApiServer, generateToken };
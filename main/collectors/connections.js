@@ -0,0 +1,17 @@
+const { listConnections, summarizeConnections } = require('../network-connections');
+
+module.exports = {
+    id: 'connections',
+    description: 'Open TCP/UDP sockets, listening ports and established connections',
+    interval: 10000,
+    enabled: true,
+    schema: {
+        total: { type: 'number' },
+        listening: { type: 'number' },
+        established: { type: 'number' }
+    },
+
+    async collect() {
+        return summarizeConnections(await listConnections());
+    }
+};
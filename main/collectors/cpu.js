@@ -0,0 +1,84 @@
+const fs = require('fs').promises;
+const systeminformation = require('systeminformation');
+
+// Cumulative /proc/stat counters from the previous sample, used for iowait deltas
+let lastCpuTimes = null;
+
+// Per-core iowait percentage since the previous call (Linux only, zeros elsewhere)
+async function readCpuIowait() {
+    if (process.platform !== 'linux') return [];
+
+    try {
+        const stat = await fs.readFile('/proc/stat', 'utf8');
+        const times = stat.split('\n')
+            .filter(line => /^cpu\d+ /.test(line))
+            .map(line => {
+                const values = line.trim().split(/\s+/).slice(1).map(Number);
+                return {
+                    iowait: values[4] || 0,
+                    total: values.reduce((sum, value) => sum + value, 0)
+                };
+            });
+
+        const previous = lastCpuTimes;
+        lastCpuTimes = times;
+        if (!previous) return times.map(() => 0);
+
+        return times.map((current, index) => {
+            const before = previous[index];
+            const totalDelta = before ? current.total - before.total : 0;
+            if (totalDelta <= 0) return 0;
+            return ((current.iowait - before.iowait) / totalDelta) * 100;
+        });
+    } catch (error) {
+        console.error('Error reading CPU iowait:', error);
+        return [];
+    }
+}
+
+module.exports = {
+    id: 'cpu',
+    description: 'Total and per-core CPU load and temperature',
+    interval: 5000,
+    enabled: true,
+    schema: {
+        load: { type: 'number', unit: 'percent' },
+        cores: { type: 'number' },
+        temperature: { type: 'number', unit: 'celsius' },
+        perCore: {
+            type: 'array',
+            items: {
+                core: { type: 'number' },
+                load: { type: 'number', unit: 'percent' },
+                user: { type: 'number', unit: 'percent' },
+                system: { type: 'number', unit: 'percent' },
+                idle: { type: 'number', unit: 'percent' },
+                iowait: { type: 'number', unit: 'percent' },
+                temperature: { type: 'number', unit: 'celsius' }
+            }
+        }
+    },
+
+    async collect() {
+        const [cpu, temperature, iowait] = await Promise.all([
+            systeminformation.currentLoad(),
+            systeminformation.cpuTemperature(),
+            readCpuIowait()
+        ]);
+
+        return {
+            load: cpu.currentLoad,
+            cores: cpu.cpus.length,
+            temperature: temperature.main || cpu.cpus[0]?.temperature || 0,
+            perCore: cpu.cpus.map((core, index) => ({
+                core: index,
+                load: core.load,
+                user: core.loadUser,
+                system: core.loadSystem,
+                idle: core.loadIdle,
+                iowait: iowait[index] || 0,
+                temperature: temperature.cores?.[index] ?? null
+            }))
+        };
+    }
+};
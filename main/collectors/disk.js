@@ -0,0 +1,35 @@
+const systeminformation = require('systeminformation');
+
+module.exports = {
+    id: 'disk',
+    description: 'Usage of every mounted filesystem',
+    // fsSize() stats every mount, which is slow on network shares
+    interval: 15000,
+    enabled: true,
+    schema: {
+        type: 'array',
+        items: {
+            fs: { type: 'string' },
+            type: { type: 'string' },
+            mount: { type: 'string' },
+            size: { type: 'number', unit: 'bytes' },
+            used: { type: 'number', unit: 'bytes' },
+            available: { type: 'number', unit: 'bytes' },
+            percentage: { type: 'number', unit: 'percent' }
+        }
+    },
+
+    async collect() {
+        const disk = await systeminformation.fsSize();
+
+        return disk.map(d => ({
+            fs: d.fs,
+            type: d.type,
+            mount: d.mount,
+            size: d.size,
+            used: d.used,
+            available: d.available,
+            percentage: d.use
+        }));
+    }
+};
@@ -0,0 +1,89 @@
+/**
+ * PlayNexus Collector Registry
+ * Each collector declares an id, a schema, a default interval and an enable flag
+ */
+
+class CollectorRegistry {
+    constructor() {
+        this.collectors = new Map();
+    }
+
+    /**
+     * Register a collector definition
+     */
+    register(collector) {
+        if (!collector || !collector.id) {
+            throw new Error('Collector must have an id');
+        }
+        if (typeof collector.collect !== 'function') {
+            throw new Error(`Collector ${collector.id} must provide a collect() function`);
+        }
+        if (this.collectors.has(collector.id)) {
+            throw new Error(`Collector ${collector.id} is already registered`);
+        }
+
+        this.collectors.set(collector.id, {
+            description: '',
+            schema: {},
+            interval: null,
+            enabled: true,
+            ...collector
+        });
+        return this;
+    }
+
+    unregister(id) {
+        return this.collectors.delete(id);
+    }
+
+    get(id) {
+        return this.collectors.get(id);
+    }
+
+    list() {
+        return Array.from(this.collectors.values());
+    }
+
+    /**
+     * A collector runs unless monitoring.<id> is explicitly set in config
+     */
+    isEnabled(collector, monitoringConfig = {}) {
+        const override = monitoringConfig[collector.id];
+        return typeof override === 'boolean' ? override : collector.enabled;
+    }
+
+    /**
+     * Per-collector override, then the collector's own default, then the global interval
+     */
+    getInterval(collector, monitoringConfig = {}) {
+        return monitoringConfig.intervals?.[collector.id] ||
+            collector.interval ||
+            monitoringConfig.interval ||
+            5000;
+    }
+
+    /**
+     * Serializable description of every collector for the renderer
+     */
+    describe(monitoringConfig = {}) {
+        return this.list().map(collector => ({
+            id: collector.id,
+            description: collector.description,
+            schema: collector.schema,
+            interval: this.getInterval(collector, monitoringConfig),
+            enabled: this.isEnabled(collector, monitoringConfig)
+        }));
+    }
+}
+
+function createDefaultRegistry() {
+    return new CollectorRegistry()
+        .register(require('./cpu'))
+        .register(require('./memory'))
+        .register(require('./disk'))
+        .register(require('./network'))
+        .register(require('./connections'))
+        .register(require('./processes'));
+}
+
+module.exports = { CollectorRegistry, createDefaultRegistry };
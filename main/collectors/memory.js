@@ -0,0 +1,29 @@
+const systeminformation = require('systeminformation');
+
+module.exports = {
+    id: 'memory',
+    description: 'Physical memory usage',
+    interval: 5000,
+    enabled: true,
+    schema: {
+        total: { type: 'number', unit: 'bytes' },
+        used: { type: 'number', unit: 'bytes' },
+        free: { type: 'number', unit: 'bytes' },
+        active: { type: 'number', unit: 'bytes' },
+        available: { type: 'number', unit: 'bytes' },
+        percentage: { type: 'string', unit: 'percent' }
+    },
+
+    async collect() {
+        const mem = await systeminformation.mem();
+
+        return {
+            total: mem.total,
+            used: mem.used,
+            free: mem.free,
+            active: mem.active,
+            available: mem.available,
+            percentage: ((mem.used / mem.total) * 100).toFixed(1)
+        };
+    }
+};
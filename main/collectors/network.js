@@ -0,0 +1,60 @@
+const systeminformation = require('systeminformation');
+
+// systeminformation reports -1 or null for rates it has not measured yet
+function rate(value) {
+    return value > 0 ? value : 0;
+}
+
+function isLoopback(iface) {
+    return /^lo\d*$|loopback/i.test(iface || '');
+}
+
+module.exports = {
+    id: 'network',
+    description: 'Throughput, errors and drops for every network interface',
+    interval: 5000,
+    enabled: true,
+    schema: {
+        rx_sec: { type: 'number', unit: 'bytes/s' },
+        tx_sec: { type: 'number', unit: 'bytes/s' },
+        interfaces: {
+            type: 'array',
+            items: {
+                iface: { type: 'string' },
+                operstate: { type: 'string' },
+                rx_sec: { type: 'number', unit: 'bytes/s' },
+                tx_sec: { type: 'number', unit: 'bytes/s' },
+                rx_bytes: { type: 'number', unit: 'bytes' },
+                tx_bytes: { type: 'number', unit: 'bytes' },
+                rx_errors: { type: 'number' },
+                tx_errors: { type: 'number' },
+                rx_dropped: { type: 'number' },
+                tx_dropped: { type: 'number' }
+            }
+        }
+    },
+
+    async collect() {
+        const network = await systeminformation.networkStats('*');
+
+        const interfaces = network.map(n => ({
+            iface: n.iface,
+            operstate: n.operstate,
+            rx_sec: rate(n.rx_sec),
+            tx_sec: rate(n.tx_sec),
+            rx_bytes: n.rx_bytes,
+            tx_bytes: n.tx_bytes,
+            rx_errors: n.rx_errors || 0,
+            tx_errors: n.tx_errors || 0,
+            rx_dropped: n.rx_dropped || 0,
+            tx_dropped: n.tx_dropped || 0
+        }));
+        const external = interfaces.filter(n => !isLoopback(n.iface));
+
+        return {
+            rx_sec: external.reduce((sum, n) => sum + n.rx_sec, 0),
+            tx_sec: external.reduce((sum, n) => sum + n.tx_sec, 0),
+            interfaces
+        };
+    }
+};
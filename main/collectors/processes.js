@@ -0,0 +1,19 @@
+const { listProcesses } = require('../process-list');
+
+module.exports = {
+    id: 'processes',
+    description: 'Number of running processes',
+    interval: 10000,
+    enabled: true,
+    schema: {
+        count: { type: 'number' }
+    },
+
+    async collect() {
+        const processes = await listProcesses();
+
+        return {
+            count: processes.length
+        };
+    }
+};
@@ -0,0 +1,14 @@
+/**
+ * PlayNexus CSV helpers shared by the headless runner and the CSV exports
+ */
+
+/**
+ * Quote a value for a CSV field when it contains a separator, quote or line break
+ */
+function escapeCsv(value) {
+    if (value === undefined || value === null) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+module.exports = { escapeCsv };
@@ -0,0 +1,319 @@
+/**
+ * PlayNexus Directory Growth
+ * Every `interval` ms the total size and file count under each enabled watch rule's path is
+ * measured, along with the size of each first-level subdirectory. Everything under the path
+ * counts, whatever the rule's globs, since all of it takes up disk; symlinks are not followed.
+ * Growth over the last `window` ms is compared with `alertRate` (bytes per hour, 0 for no
+ * alerts), which raises an alert when exceeded and again only after it has fallen back below.
+ * Samples are kept for `retention` ms in directory-growth.json in the user data directory.
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+
+const HOUR = 60 * 60 * 1000;
+
+const DEFAULT_OPTIONS = {
+    interval: 15 * 60 * 1000,
+    retention: 7 * 24 * HOUR,
+    window: HOUR,
+    alertRate: 1024 * 1024 * 1024
+};
+
+// Files directly in the watched path are listed as their own entry among its subdirectories
+const TOP_LEVEL = '.';
+const MAX_TOP_GROWING = 10;
+
+class DirectoryGrowth {
+    constructor(directory, options = {}) {
+        this.filePath = path.join(directory, 'directory-growth.json');
+        this.onAlert = options.onAlert || (() => {});
+        this.options = { ...DEFAULT_OPTIONS };
+        // Rule id -> { path, samples: [{ timestamp, size, files, children }], alerting, error }
+        this.series = new Map();
+        this.rules = [];
+        this.timer = null;
+        this.running = false;
+        this.sampling = null;
+        // Set when rules change during a run, which only measures the rules it started with
+        this.sampleAgain = false;
+        this.configure(options);
+    }
+
+    configure(options = {}) {
+        const previousInterval = this.options.interval;
+        for (const key of Object.keys(DEFAULT_OPTIONS)) {
+            const value = Number(options[key]);
+            // alertRate may be 0 to turn alerts off; everything else must be positive
+            if (Number.isFinite(value) && (value > 0 || (key === 'alertRate' && value === 0))) {
+                this.options[key] = value;
+            }
+        }
+        if (this.running && this.options.interval !== previousInterval) {
+            this.start();
+        }
+    }
+
+    async load() {
+        try {
+            const content = await fs.readFile(this.filePath, 'utf8');
+            for (const [id, series] of Object.entries(JSON.parse(content))) {
+                this.series.set(id, { alerting: false, error: null, ...series });
+            }
+        } catch (error) {
+            console.log('No directory growth history found');
+        }
+    }
+
+    async save() {
+        try {
+            const content = JSON.stringify(Object.fromEntries(this.series));
+            const tempPath = `${this.filePath}.tmp`;
+            await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+            await fs.writeFile(tempPath, content, 'utf8');
+            await fs.rename(tempPath, this.filePath);
+        } catch (error) {
+            console.error('Failed to save directory growth history:', error);
+        }
+    }
+
+    /**
+     * Follow the watch rules; history is dropped for removed rules and rules that now watch another path
+     */
+    setRules(rules) {
+        this.rules = rules;
+        const paths = new Map(rules.map(rule => [rule.id, rule.path]));
+        for (const [id, series] of this.series) {
+            if (paths.get(id) !== series.path) {
+                this.series.delete(id);
+            }
+        }
+
+        // New paths are measured right away rather than at the next interval
+        if (this.running && rules.some(rule => rule.enabled && !this.series.has(rule.id))) {
+            this.sampleAll({ again: true });
+        }
+    }
+
+    start() {
+        this.stop();
+        this.running = true;
+        this.timer = setInterval(() => this.sampleAll(), this.options.interval);
+
+        // Measure right away unless the saved history is recent enough
+        const latest = Math.max(0, ...Array.from(this.series.values())
+            .map(series => series.samples[series.samples.length - 1]?.timestamp || 0));
+        const missing = this.rules.some(rule => rule.enabled && !this.series.has(rule.id));
+        if (missing || Date.now() - latest >= this.options.interval) {
+            this.sampleAll();
+        }
+    }
+
+    stop() {
+        this.running = false;
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Measure every enabled rule, one at a time; a run already in progress is reused,
+     * and with `again` one more run follows it
+     */
+    sampleAll({ again = false } = {}) {
+        if (this.sampling) {
+            if (again) this.sampleAgain = true;
+            return this.sampling;
+        }
+
+        this.sampling = this.runSample().finally(() => {
+            this.sampling = null;
+            const queued = this.sampleAgain;
+            this.sampleAgain = false;
+            if (queued && this.running) this.sampleAll();
+        });
+        return this.sampling;
+    }
+
+    async runSample() {
+        for (const rule of this.rules.filter(rule => rule.enabled)) {
+            let series = this.series.get(rule.id);
+            if (!series) {
+                series = { path: rule.path, samples: [], alerting: false, error: null };
+                this.series.set(rule.id, series);
+            }
+
+            try {
+                const measurement = await this.measure(rule.path);
+                // The rule may have been removed or changed while its path was measured
+                if (this.series.get(rule.id) !== series) continue;
+
+                series.error = null;
+                this.record(series, { timestamp: Date.now(), ...measurement });
+                this.evaluate(rule.id, series);
+            } catch (error) {
+                series.error = error.code === 'ENOENT' ? 'Path does not exist' : error.message;
+            }
+        }
+        await this.save();
+    }
+
+    /**
+     * Total size and file count under `root`, and the size of each first-level subdirectory
+     */
+    async measure(root) {
+        const result = { size: 0, files: 0, children: {} };
+
+        const visit = async (filePath, child) => {
+            let stats;
+            try {
+                stats = await fs.lstat(filePath);
+            } catch (error) {
+                if (filePath === root) throw error;
+                return;
+            }
+
+            if (stats.isFile()) {
+                const key = child && path.dirname(filePath) !== root ? child : TOP_LEVEL;
+                result.size += stats.size;
+                result.files++;
+                result.children[key] = (result.children[key] || 0) + stats.size;
+                return;
+            }
+            if (!stats.isDirectory()) return;
+
+            let names;
+            try {
+                names = await fs.readdir(filePath);
+            } catch (error) {
+                if (filePath === root) throw error;
+                return;
+            }
+            for (const name of names) {
+                // Everything below a first-level subdirectory counts towards it
+                await visit(path.join(filePath, name), filePath === root ? name : child);
+            }
+        };
+
+        await visit(root, null);
+        return result;
+    }
+
+    record(series, sample) {
+        series.samples.push(sample);
+
+        const cutoff = sample.timestamp - this.options.retention;
+        while (series.samples.length > 1 && series.samples[0].timestamp < cutoff) {
+            series.samples.shift();
+        }
+
+        // Subdirectory sizes are only compared across the window, so older samples drop them;
+        // the previous sample keeps them as it is the reference when samples are further apart
+        const childCutoff = sample.timestamp - 2 * this.options.window;
+        for (const older of series.samples.slice(0, -2)) {
+            if (older.timestamp >= childCutoff) break;
+            delete older.children;
+        }
+    }
+
+    /**
+     * The sample growth is measured from: the oldest one within the window before the latest
+     */
+    reference(series) {
+        const samples = series.samples;
+        if (samples.length < 2) return null;
+
+        const latest = samples[samples.length - 1];
+        const start = latest.timestamp - this.options.window;
+        const reference = samples.find(sample => sample.timestamp >= start);
+        // With samples further apart than the window, compare with the one before
+        return reference === latest ? samples[samples.length - 2] : reference;
+    }
+
+    growth(series) {
+        const reference = this.reference(series);
+        if (!reference) return null;
+
+        const latest = series.samples[series.samples.length - 1];
+        const span = latest.timestamp - reference.timestamp;
+        if (span <= 0) return null;
+
+        const growth = latest.size - reference.size;
+        return {
+            growth,
+            files: latest.files - reference.files,
+            span,
+            // Bytes per hour
+            rate: growth / span * HOUR
+        };
+    }
+
+    /**
+     * First-level subdirectories by how much they grew over the window, fastest first
+     */
+    topGrowing(series, limit = MAX_TOP_GROWING) {
+        const reference = this.reference(series);
+        const latest = series.samples[series.samples.length - 1];
+        if (!reference?.children || !latest?.children) return [];
+
+        return Object.entries(latest.children)
+            .map(([name, size]) => ({
+                name,
+                path: name === TOP_LEVEL ? series.path : path.join(series.path, name),
+                size,
+                growth: size - (reference.children[name] || 0)
+            }))
+            .filter(entry => entry.growth > 0)
+            .sort((a, b) => b.growth - a.growth)
+            .slice(0, limit);
+    }
+
+    evaluate(id, series) {
+        const growth = this.growth(series);
+        const alertRate = this.options.alertRate;
+        const exceeded = Boolean(growth) && alertRate > 0 && growth.rate > alertRate;
+
+        if (exceeded && !series.alerting) {
+            const latest = series.samples[series.samples.length - 1];
+            try {
+                this.onAlert({
+                    ruleId: id,
+                    path: series.path,
+                    size: latest.size,
+                    files: latest.files,
+                    alertRate,
+                    top: this.topGrowing(series, 3),
+                    ...growth
+                });
+            } catch (error) {
+                console.error('Directory growth listener error:', error);
+            }
+        }
+        series.alerting = exceeded;
+    }
+
+    getStatus() {
+        return this.rules.map(rule => {
+            const series = this.series.get(rule.id);
+            const latest = series?.samples[series.samples.length - 1];
+            return {
+                ruleId: rule.id,
+                path: rule.path,
+                enabled: rule.enabled,
+                size: latest ? latest.size : null,
+                files: latest ? latest.files : null,
+                measuredAt: latest ? latest.timestamp : null,
+                growth: series ? this.growth(series) : null,
+                alerting: series?.alerting || false,
+                error: series?.error || null,
+                window: this.options.window,
+                alertRate: this.options.alertRate,
+                samples: (series?.samples || []).map(({ timestamp, size, files }) => ({ timestamp, size, files })),
+                top: series ? this.topGrowing(series) : []
+            };
+        });
+    }
+}
+
+module.exports = { DirectoryGrowth, DEFAULT_OPTIONS };
@@ -0,0 +1,417 @@
+/**
+ * PlayNexus File Actions
+ * Actions a watch rule runs, in order, for each file event it reports:
+ *   copy    - copy the file under `destination`, keeping its path relative to the watched directory
+ *   move    - the same, removing the original
+ *   command - run `command` with `args`; {path}, {name}, {dir} and {type} are filled in,
+ *             and the path is appended when no argument mentions it
+ *   hash    - compute a digest of the file (sha256 by default) and record it in the action log
+ *   notify  - show a notification with `message`
+ * A failing action is logged and, with `onError: "stop"`, ends the run for that event.
+ * Rules with `dryRun` log what their actions would do without doing it.
+ * Every result is appended to file-actions.log in the user data directory. Like the file event
+ * log, results older than `retention` are dropped, as are the oldest beyond MAX_FILE_ENTRIES,
+ * and the file is rewritten once a tenth of it is stale.
+ */
+
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const { createReadStream } = require('fs');
+const { spawn } = require('child_process');
+
+const ACTION_TYPES = ['copy', 'move', 'command', 'hash', 'notify'];
+// Actions that read the file can only follow events that leave one behind
+const FILE_ACTIONS = ['copy', 'move', 'hash'];
+const DEFAULT_ACTION_EVENTS = ['add', 'change'];
+const DEFAULT_COMMAND_TIMEOUT = 60 * 1000;
+const MAX_LOG_ENTRIES = 500;
+const MAX_FILE_ENTRIES = 20000;
+const COMPACT_SLACK = 0.1;
+const DEFAULT_RETENTION = 30 * 24 * 60 * 60 * 1000;
+// Enough of a failing command's stderr to say why
+const MAX_ERROR_OUTPUT = 500;
+
+function isInside(child, parent) {
+    const relative = path.relative(parent, child);
+    return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+/**
+ * Check and normalize one action of the rule watching `rulePath`; throws with a readable message
+ */
+function normalizeAction(action, rulePath) {
+    if (!action || typeof action !== 'object') {
+        throw new Error(`Actions for ${rulePath} must be objects`);
+    }
+    if (!ACTION_TYPES.includes(action.type)) {
+        throw new Error(`Unknown action "${action.type}" for ${rulePath}, expected one of: ${ACTION_TYPES.join(', ')}`);
+    }
+
+    const events = action.events === undefined ? [...DEFAULT_ACTION_EVENTS] : action.events;
+    if (!Array.isArray(events) || events.length === 0) {
+        throw new Error(`The ${action.type} action for ${rulePath} needs at least one event type`);
+    }
+
+    const normalized = {
+        type: action.type,
+        events: events.map(String),
+        onError: action.onError === 'stop' ? 'stop' : 'continue'
+    };
+
+    if (action.type === 'copy' || action.type === 'move') {
+        if (!action.destination || typeof action.destination !== 'string' || !path.isAbsolute(action.destination)) {
+            throw new Error(`The ${action.type} action for ${rulePath} needs an absolute destination`);
+        }
+        // Copies landing inside the watched directory would be reported and copied again
+        if (isInside(path.resolve(action.destination), rulePath)) {
+            throw new Error(`The ${action.type} destination must be outside ${rulePath}`);
+        }
+        normalized.destination = path.resolve(action.destination);
+        normalized.overwrite = action.overwrite !== false;
+    }
+
+    if (action.type === 'command') {
+        if (!action.command || typeof action.command !== 'string') {
+            throw new Error(`The command action for ${rulePath} needs a command`);
+        }
+        normalized.command = action.command;
+        normalized.args = Array.isArray(action.args) ? action.args.map(String) : [];
+        normalized.cwd = action.cwd || null;
+        const timeout = Number(action.timeout);
+        normalized.timeout = Number.isFinite(timeout) && timeout > 0 ? timeout : DEFAULT_COMMAND_TIMEOUT;
+    }
+
+    if (action.type === 'hash') {
+        const algorithm = action.algorithm || 'sha256';
+        if (!crypto.getHashes().includes(algorithm)) {
+            throw new Error(`Unknown hash algorithm "${algorithm}" for ${rulePath}`);
+        }
+        normalized.algorithm = algorithm;
+    }
+
+    if (action.type === 'notify') {
+        normalized.message = action.message ? String(action.message) : '{type}: {path}';
+    }
+
+    return normalized;
+}
+
+function fillPlaceholders(template, event) {
+    return template
+        .replace(/\{path\}/g, event.path)
+        .replace(/\{name\}/g, path.basename(event.path))
+        .replace(/\{dir\}/g, path.dirname(event.path))
+        .replace(/\{type\}/g, event.type);
+}
+
+function hashFile(filePath, algorithm) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash(algorithm);
+        createReadStream(filePath)
+            .on('error', reject)
+            .on('data', chunk => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')));
+    });
+}
+
+class FileActionRunner {
+    constructor(directory, options = {}) {
+        this.logPath = path.join(directory, 'file-actions.log');
+        this.onResult = options.onResult || (() => {});
+        this.spawnProcess = options.spawn || spawn;
+        this.entries = [];
+        // Everything in file-actions.log that is still kept, oldest first
+        this.fileEntries = [];
+        // Lines in the file for results already dropped
+        this.stale = 0;
+        // Appends and rewrites go through one chain so they never interleave
+        this.writing = Promise.resolve();
+        // One queue per rule, so each file's actions finish before the next event's start
+        this.queues = new Map();
+        this.retention = DEFAULT_RETENTION;
+        this.setRetention(options.retention);
+    }
+
+    setRetention(retention) {
+        const value = Number(retention);
+        if (Number.isFinite(value) && value > 0) {
+            this.retention = value;
+        }
+    }
+
+    async load() {
+        let content;
+        try {
+            content = await fs.readFile(this.logPath, 'utf8');
+        } catch (error) {
+            console.log('No file action log found');
+            return;
+        }
+
+        for (const line of content.split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                this.fileEntries.push(JSON.parse(line));
+            } catch (error) {
+                // A line cut short by a crash is skipped rather than losing the rest
+            }
+        }
+
+        if (this.prune(Date.now()) > 0) {
+            await this.compact();
+        }
+
+        // The in-memory log is newest first
+        this.entries = this.fileEntries.slice(-MAX_LOG_ENTRIES).reverse();
+    }
+
+    /**
+     * Queue the rule's actions for an event; resolves with the results once they have run
+     */
+    run(rule, event) {
+        if (!rule.actions || rule.actions.length === 0) return Promise.resolve([]);
+
+        const previous = this.queues.get(rule.id) || Promise.resolve();
+        const next = previous.then(() => this.execute(rule, event));
+        this.queues.set(rule.id, next.catch(() => {}));
+        return next;
+    }
+
+    async execute(rule, event) {
+        const results = [];
+        for (const action of rule.actions) {
+            const result = await this.runAction(rule, action, event);
+            results.push(result);
+            // Actions not meant for this kind of event would only clutter the log
+            if (result.status !== 'skipped') this.log(result);
+            if (result.status === 'error' && action.onError === 'stop') break;
+        }
+        return results;
+    }
+
+    async runAction(rule, action, event) {
+        const base = {
+            timestamp: Date.now(),
+            ruleId: rule.id,
+            action: action.type,
+            event: event.type,
+            path: event.path
+        };
+
+        const skip = this.skipReason(action, event);
+        if (skip) return { ...base, status: 'skipped', message: skip };
+        if (rule.dryRun) return { ...base, status: 'dry-run', message: `Would ${this.describe(rule, action, event)}` };
+
+        try {
+            const outcome = await this.perform(rule, action, event);
+            return { ...base, status: 'ok', ...outcome };
+        } catch (error) {
+            return { ...base, status: 'error', message: `${this.describe(rule, action, event)} failed: ${error.message}` };
+        }
+    }
+
+    skipReason(action, event) {
+        if (!action.events.includes(event.type)) return `not run for ${event.type} events`;
+        if (FILE_ACTIONS.includes(action.type) && (event.type === 'unlink' || event.type === 'unlinkDir' || event.type === 'addDir')) {
+            return `${action.type} needs a file`;
+        }
+        return null;
+    }
+
+    targetPath(rule, action, event) {
+        return path.join(action.destination, path.relative(rule.path, event.path));
+    }
+
+    commandLine(action, event) {
+        const args = action.args.map(arg => fillPlaceholders(arg, event));
+        const mentionsPath = action.args.some(arg => /\{(path|name|dir)\}/.test(arg));
+        return { command: action.command, args: mentionsPath ? args : [...args, event.path] };
+    }
+
+    /**
+     * One line saying what the action does for this event, used for logs and previews
+     */
+    describe(rule, action, event) {
+        switch (action.type) {
+            case 'copy':
+            case 'move':
+                return `${action.type} ${event.path} to ${this.targetPath(rule, action, event)}${action.overwrite ? '' : ' (unless it exists)'}`;
+            case 'command': {
+                const { command, args } = this.commandLine(action, event);
+                return `run ${[command, ...args].join(' ')}`;
+            }
+            case 'hash':
+                return `compute the ${action.algorithm} of ${event.path}`;
+            case 'notify':
+                return `notify "${fillPlaceholders(action.message, event)}"`;
+            default:
+                return action.type;
+        }
+    }
+
+    async perform(rule, action, event) {
+        switch (action.type) {
+            case 'copy':
+            case 'move':
+                return this.transfer(rule, action, event);
+            case 'command':
+                return this.runCommand(rule, action, event);
+            case 'hash': {
+                const hash = await hashFile(event.path, action.algorithm);
+                return { message: `${action.algorithm} ${hash}`, algorithm: action.algorithm, hash };
+            }
+            case 'notify':
+                return { message: fillPlaceholders(action.message, event), notify: true };
+            default:
+                throw new Error(`Unknown action ${action.type}`);
+        }
+    }
+
+    async transfer(rule, action, event) {
+        const target = this.targetPath(rule, action, event);
+        await fs.mkdir(path.dirname(target), { recursive: true });
+
+        if (!action.overwrite) {
+            const exists = await fs.access(target).then(() => true, () => false);
+            if (exists) return { message: `${target} already exists, left as is`, target };
+        }
+
+        if (action.type === 'copy') {
+            await fs.copyFile(event.path, target);
+        } else {
+            try {
+                await fs.rename(event.path, target);
+            } catch (error) {
+                // Renames cannot cross filesystems; copy and remove instead
+                if (error.code !== 'EXDEV') throw error;
+                await fs.copyFile(event.path, target);
+                await fs.unlink(event.path);
+            }
+        }
+        return { message: `${action.type === 'copy' ? 'Copied' : 'Moved'} to ${target}`, target };
+    }
+
+    runCommand(rule, action, event) {
+        const { command, args } = this.commandLine(action, event);
+
+        return new Promise((resolve, reject) => {
+            let stderr = '';
+            let timedOut = false;
+            const child = this.spawnProcess(command, args, {
+                // The file's own directory may already be gone, the watched one rarely is
+                cwd: action.cwd || rule.path,
+                stdio: ['ignore', 'ignore', 'pipe'],
+                windowsHide: true
+            });
+
+            // spawn's own timeout option keeps its timer alive when the command fails to start
+            const timer = setTimeout(() => {
+                timedOut = true;
+                child.kill();
+            }, action.timeout);
+            const finish = () => {
+                clearTimeout(timer);
+                child.stderr?.destroy();
+            };
+
+            child.stderr?.on('data', (chunk) => {
+                stderr = (stderr + chunk).slice(-MAX_ERROR_OUTPUT);
+            });
+            child.on('error', (error) => {
+                finish();
+                reject(error);
+            });
+            // Not 'close': a grandchild left running would hold stderr open past the timeout
+            child.on('exit', (code, signal) => {
+                finish();
+                if (code === 0) {
+                    resolve({ message: `Ran ${command}`, exitCode: 0 });
+                } else if (timedOut) {
+                    reject(new Error(`timed out after ${action.timeout / 1000}s`));
+                } else if (signal) {
+                    reject(new Error(`stopped by ${signal}`));
+                } else {
+                    reject(new Error(`exit code ${code}${stderr.trim() ? `: ${stderr.trim()}` : ''}`));
+                }
+            });
+        });
+    }
+
+    /**
+     * What each action would do for an event, without doing any of it
+     */
+    preview(rule, event) {
+        return rule.actions.map(action => {
+            const skip = this.skipReason(action, event);
+            return {
+                action: action.type,
+                status: skip ? 'skipped' : 'would-run',
+                message: skip || this.describe(rule, action, event),
+                onError: action.onError
+            };
+        });
+    }
+
+    log(entry) {
+        this.entries.unshift(entry);
+        this.entries.length = Math.min(this.entries.length, MAX_LOG_ENTRIES);
+
+        this.fileEntries.push(entry);
+        this.prune(entry.timestamp);
+        if (this.stale > MAX_FILE_ENTRIES * COMPACT_SLACK) {
+            // Compacting writes this entry as well
+            this.compact();
+        } else {
+            this.writing = this.writing
+                .then(() => fs.appendFile(this.logPath, JSON.stringify(entry) + '\n', 'utf8'))
+                .catch(error => console.error('Failed to write file action log:', error));
+        }
+
+        try {
+            this.onResult(entry);
+        } catch (error) {
+            console.error('File action listener error:', error);
+        }
+    }
+
+    /**
+     * Drop results older than the retention and the oldest beyond MAX_FILE_ENTRIES
+     */
+    prune(now) {
+        const cutoff = now - this.retention;
+        let drop = 0;
+        while (drop < this.fileEntries.length && this.fileEntries[drop].timestamp < cutoff) {
+            drop++;
+        }
+        drop = Math.max(drop, this.fileEntries.length - MAX_FILE_ENTRIES);
+        if (drop <= 0) return 0;
+
+        this.fileEntries.splice(0, drop);
+        this.stale += drop;
+        return drop;
+    }
+
+    /**
+     * Rewrite the file with what is still kept, replacing it atomically
+     */
+    compact() {
+        // Taken now, so appends already queued end up in it and later ones follow it
+        const content = this.fileEntries.map(entry => JSON.stringify(entry) + '\n').join('');
+        this.stale = 0;
+        this.writing = this.writing
+            .then(async () => {
+                const tempPath = `${this.logPath}.tmp`;
+                await fs.writeFile(tempPath, content, 'utf8');
+                await fs.rename(tempPath, this.logPath);
+            })
+            .catch(error => console.error('Failed to compact file action log:', error));
+        return this.writing;
+    }
+
+    getLog(limit = 100) {
+        return this.entries.slice(0, limit);
+    }
+}
+
+module.exports = { FileActionRunner, normalizeAction, hashFile, ACTION_TYPES };
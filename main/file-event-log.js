@@ -0,0 +1,252 @@
+/**
+ * PlayNexus File Event Log
+ * Every reported file event is appended to file-events.log (one JSON object per line) in the
+ * user data directory and kept in memory for querying, so the record survives restarts.
+ * Events older than `retention` or beyond `maxEvents` are dropped from memory with every flush
+ * and before every read; the file is rewritten once enough of it is stale.
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const { escapeCsv } = require('./csv');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const DEFAULT_OPTIONS = {
+    retention: 30 * DAY,
+    maxEvents: 200000
+};
+
+// Appends are batched; a burst of events becomes one write
+const FLUSH_DELAY = 1000;
+// Compacting rewrites the whole file, so it waits until a tenth of the log is stale
+const COMPACT_SLACK = 0.1;
+
+const EXPORT_COLUMNS = ['timestamp', 'type', 'path', 'size', 'count', 'rule'];
+
+class FileEventLog {
+    constructor(directory, options = {}) {
+        this.filePath = path.join(directory, 'file-events.log');
+        this.options = { ...DEFAULT_OPTIONS };
+        // Oldest first, the order they are appended in
+        this.events = [];
+        this.unwritten = [];
+        // Lines in the file for events already dropped from memory
+        this.stale = 0;
+        this.flushTimer = null;
+        // Appends and rewrites go through one chain so they never interleave
+        this.writing = Promise.resolve();
+        this.setOptions(options);
+    }
+
+    setOptions(options = {}) {
+        for (const key of Object.keys(DEFAULT_OPTIONS)) {
+            const value = Number(options[key]);
+            if (Number.isFinite(value) && value > 0) {
+                this.options[key] = value;
+            }
+        }
+    }
+
+    async load() {
+        let content;
+        try {
+            content = await fs.readFile(this.filePath, 'utf8');
+        } catch (error) {
+            console.log('No file event log found, starting fresh');
+            return;
+        }
+
+        const events = [];
+        for (const line of content.split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                events.push(JSON.parse(line));
+            } catch (error) {
+                // A line cut short by a crash is skipped rather than losing the rest
+            }
+        }
+        this.events = events;
+
+        if (this.prune(Date.now()) > 0) {
+            await this.compact();
+        }
+    }
+
+    record(event) {
+        const entry = {
+            timestamp: event.timestamp || Date.now(),
+            type: event.type,
+            path: event.path,
+            size: Number.isFinite(event.size) ? event.size : null,
+            count: event.count || 1,
+            rule: event.rule || null
+        };
+
+        this.events.push(entry);
+        this.unwritten.push(entry);
+        if (!this.flushTimer) {
+            this.flushTimer = setTimeout(() => this.flush(), FLUSH_DELAY);
+        }
+        return entry;
+    }
+
+    /**
+     * Drop expired events and keep at most maxEvents, from memory only; the file catches up
+     * when it is compacted. Done in batches (each flush, each read) rather than per event,
+     * since every drop moves the whole array
+     */
+    prune(now = Date.now()) {
+        const cutoff = now - this.options.retention;
+        let drop = 0;
+        while (drop < this.events.length && this.events[drop].timestamp < cutoff) {
+            drop++;
+        }
+        drop = Math.max(drop, this.events.length - this.options.maxEvents);
+        if (drop <= 0) return 0;
+
+        this.events.splice(0, drop);
+        this.stale += drop;
+        return drop;
+    }
+
+    flush() {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+
+        this.prune();
+        if (this.stale > this.options.maxEvents * COMPACT_SLACK) {
+            // Compacting writes everything unwritten as well
+            return this.compact();
+        }
+
+        this.writing = this.writing
+            .then(async () => {
+                // Taken when the write starts, like compact(), so no event is written twice
+                if (this.unwritten.length === 0) return;
+                const lines = this.unwritten.map(entry => JSON.stringify(entry) + '\n').join('');
+                this.unwritten = [];
+                await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+                await fs.appendFile(this.filePath, lines, 'utf8');
+            })
+            .catch(error => console.error('Failed to write file event log:', error));
+        return this.writing;
+    }
+
+    /**
+     * Rewrite the file with what is still kept, replacing it atomically
+     */
+    compact() {
+        this.writing = this.writing
+            .then(async () => {
+                // Taken when the write starts: everything recorded so far goes into the new
+                // file, and only what is recorded after this point is appended again
+                clearTimeout(this.flushTimer);
+                this.flushTimer = null;
+                this.unwritten = [];
+                this.stale = 0;
+                const content = this.events.map(entry => JSON.stringify(entry) + '\n').join('');
+                const tempPath = `${this.filePath}.tmp`;
+                await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+                await fs.writeFile(tempPath, content, 'utf8');
+                await fs.rename(tempPath, this.filePath);
+            })
+            .catch(error => console.error('Failed to compact file event log:', error));
+        return this.writing;
+    }
+
+    clear() {
+        this.events = [];
+        return this.compact();
+    }
+
+    /**
+     * Filters: `path` (case-insensitive substring), `types` (array), `rule`,
+     * `from`/`to` (timestamps, inclusive)
+     */
+    matcher({ path: search, types, rule, from, to } = {}) {
+        const needle = search ? String(search).toLowerCase() : null;
+        const typeSet = Array.isArray(types) && types.length > 0 ? new Set(types) : null;
+
+        return (event) => {
+            if (from && event.timestamp < from) return false;
+            if (to && event.timestamp > to) return false;
+            if (typeSet && !typeSet.has(event.type)) return false;
+            if (rule && event.rule !== rule) return false;
+            if (needle && !event.path.toLowerCase().includes(needle)) return false;
+            return true;
+        };
+    }
+
+    /**
+     * Newest first; `total` counts every match, `events` is one page of them
+     */
+    query(filters = {}) {
+        this.prune();
+        const matches = this.matcher(filters);
+        const limit = filters.limit || 500;
+        const offset = filters.offset || 0;
+
+        const events = [];
+        let total = 0;
+        for (let i = this.events.length - 1; i >= 0; i--) {
+            const event = this.events[i];
+            if (!matches(event)) continue;
+            if (total >= offset && events.length < limit) {
+                events.push(event);
+            }
+            total++;
+        }
+        return { total, events };
+    }
+
+    /**
+     * Event counts per parent directory, busiest first
+     */
+    histogram(filters = {}, limit = 20) {
+        this.prune();
+        const matches = this.matcher(filters);
+        const directories = new Map();
+
+        for (const event of this.events) {
+            if (!matches(event)) continue;
+
+            const directory = path.dirname(event.path);
+            let entry = directories.get(directory);
+            if (!entry) {
+                entry = { directory, total: 0, types: {}, lastEvent: 0 };
+                directories.set(directory, entry);
+            }
+            entry.total++;
+            entry.types[event.type] = (entry.types[event.type] || 0) + 1;
+            entry.lastEvent = Math.max(entry.lastEvent, event.timestamp);
+        }
+
+        return Array.from(directories.values())
+            .sort((a, b) => b.total - a.total)
+            .slice(0, limit);
+    }
+
+    /**
+     * Every match (not just one page), oldest first, as CSV or a JSON array
+     */
+    export(filters = {}, format = 'csv') {
+        this.prune();
+        const matches = this.matcher(filters);
+        const events = this.events.filter(matches);
+
+        if (format === 'json') {
+            return JSON.stringify(events.map(event => ({
+                ...event,
+                timestamp: new Date(event.timestamp).toISOString()
+            })), null, 2);
+        }
+
+        const rows = events.map(event => EXPORT_COLUMNS.map(column => escapeCsv(
+            column === 'timestamp' ? new Date(event.timestamp).toISOString() : event[column]
+        )).join(','));
+        return [EXPORT_COLUMNS.join(','), ...rows].join('\n') + '\n';
+    }
+}
+
+module.exports = { FileEventLog, DEFAULT_OPTIONS };
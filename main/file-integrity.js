@@ -0,0 +1,435 @@
+/**
+ * PlayNexus File Integrity
+ * Watch rules with `integrity` set keep a baseline of every file they cover: its SHA-256,
+ * size and permissions. Files are compared with the baseline when the watcher reports them
+ * and on a schedule, and whatever differs is reported as added, removed or modified until
+ * the files as they are now are accepted as the new baseline.
+ * Baselines and their differences are kept in file-integrity.json in the user data directory.
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const { compileGlobs } = require('./file-watcher');
+const { hashFile } = require('./file-actions');
+const { escapeCsv } = require('./csv');
+
+// Baselines are written once a burst of checks is over
+const SAVE_DELAY = 1000;
+// Differences sent with the status; exports always have all of them
+const MAX_LISTED = 200;
+
+const EXPORT_COLUMNS = [
+    'rule', 'status', 'path', 'changes',
+    'baselineHash', 'currentHash', 'baselineSize', 'currentSize', 'baselineMode', 'currentMode',
+    'detectedAt'
+];
+
+function isInside(child, parent) {
+    const relative = path.relative(parent, child);
+    return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+function toIsoString(timestamp) {
+    return timestamp ? new Date(timestamp).toISOString() : null;
+}
+
+/**
+ * What differs between a baseline entry and the file now; an empty list means nothing
+ */
+function compareEntries(expected, actual) {
+    const changes = [];
+    if (expected.hash !== actual.hash) changes.push('content');
+    if (expected.size !== actual.size) changes.push('size');
+    if (expected.mode !== actual.mode) changes.push('permissions');
+    return changes;
+}
+
+class FileIntegrity {
+    constructor(directory, options = {}) {
+        this.filePath = path.join(directory, 'file-integrity.json');
+        this.onChange = options.onChange || (() => {});
+        // Rule id -> { path, scope, createdAt, checkedAt, files, differences }, keyed by absolute path
+        this.baselines = new Map();
+        // Watch rules with integrity on
+        this.rules = new Map();
+        // Rule id -> { state: 'building' | 'verifying' | 'error', error } while not simply ready
+        this.states = new Map();
+        // One queue per rule, so scans and checks of the same files never overlap
+        this.queues = new Map();
+        this.saveTimer = null;
+        this.writing = Promise.resolve();
+    }
+
+    async load() {
+        try {
+            const content = await fs.readFile(this.filePath, 'utf8');
+            for (const [id, baseline] of Object.entries(JSON.parse(content))) {
+                this.baselines.set(id, baseline);
+            }
+        } catch (error) {
+            console.log('No integrity baselines found');
+        }
+    }
+
+    scheduleSave() {
+        if (!this.saveTimer) {
+            this.saveTimer = setTimeout(() => this.flush(), SAVE_DELAY);
+        }
+    }
+
+    flush() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+
+        this.writing = this.writing
+            .then(async () => {
+                const content = JSON.stringify(Object.fromEntries(this.baselines));
+                const tempPath = `${this.filePath}.tmp`;
+                await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+                await fs.writeFile(tempPath, content, 'utf8');
+                await fs.rename(tempPath, this.filePath);
+            })
+            .catch(error => console.error('Failed to save integrity baselines:', error));
+        return this.writing;
+    }
+
+    // Which files a rule covers; a baseline taken with other globs or depth no longer applies
+    scopeKey(rule) {
+        return JSON.stringify([rule.path, rule.include, rule.exclude, rule.depth, rule.followSymlinks]);
+    }
+
+    /**
+     * Follow the watch rules: rules that turn integrity on, or change which files they
+     * cover, get a new baseline; rules that turn it off or are removed lose theirs
+     */
+    setRules(rules) {
+        this.rules = new Map(rules.filter(rule => rule.integrity).map(rule => [rule.id, rule]));
+
+        for (const id of this.baselines.keys()) {
+            if (!this.rules.has(id)) {
+                this.baselines.delete(id);
+                this.states.delete(id);
+                this.scheduleSave();
+            }
+        }
+
+        for (const rule of this.rules.values()) {
+            const baseline = this.baselines.get(rule.id);
+            if (this.states.get(rule.id)?.state === 'building') continue;
+            if (!baseline || baseline.scope !== this.scopeKey(rule)) {
+                this.accept(rule.id).catch(error => {
+                    console.error(`Failed to build integrity baseline for ${rule.path}:`, error);
+                });
+            }
+        }
+    }
+
+    enqueue(id, task) {
+        const previous = this.queues.get(id) || Promise.resolve();
+        const next = previous.then(task);
+        this.queues.set(id, next.catch(() => {}));
+        return next;
+    }
+
+    /**
+     * Make the files as they are now the rule's baseline, clearing its differences
+     */
+    accept(id) {
+        if (this.rules.has(id)) {
+            this.states.set(id, { state: 'building', error: null });
+        }
+
+        return this.enqueue(id, async () => {
+            // Read when the task runs, so a rule changed while queued is baselined as it is now
+            const rule = this.rules.get(id);
+            if (!rule) return null;
+
+            try {
+                const files = await this.scan(rule);
+                if (!this.rules.has(id)) return null;
+
+                const now = Date.now();
+                this.baselines.set(id, {
+                    path: rule.path,
+                    scope: this.scopeKey(rule),
+                    createdAt: now,
+                    checkedAt: now,
+                    files,
+                    differences: {}
+                });
+                this.states.delete(id);
+                this.scheduleSave();
+                return this.summarize(rule);
+            } catch (error) {
+                this.states.set(id, { state: 'error', error: error.message });
+                throw error;
+            }
+        });
+    }
+
+    /**
+     * Compare every file the rule covers with its baseline
+     */
+    verify(id) {
+        return this.enqueue(id, async () => {
+            const rule = this.rules.get(id);
+            const baseline = this.baselines.get(id);
+            if (!rule || !baseline) return null;
+
+            this.states.set(id, { state: 'verifying', error: null });
+            try {
+                const current = await this.scan(rule);
+                // A rule that changed scope meanwhile has a new baseline queued behind this
+                if (!this.isCurrent(id, baseline)) return null;
+
+                const found = this.reconcile(baseline, current, () => true);
+                baseline.checkedAt = Date.now();
+                this.states.delete(id);
+                this.publish(rule, found);
+                return this.summarize(rule);
+            } catch (error) {
+                this.states.set(id, { state: 'error', error: error.message });
+                throw error;
+            }
+        });
+    }
+
+    /**
+     * Verify every enabled rule, one at a time so hashing does not compete for the disk
+     */
+    async verifyAll() {
+        for (const rule of Array.from(this.rules.values())) {
+            if (!rule.enabled || !this.baselines.has(rule.id)) continue;
+            try {
+                await this.verify(rule.id);
+            } catch (error) {
+                console.error(`Integrity check failed for ${rule.path}:`, error);
+            }
+        }
+    }
+
+    /**
+     * Compare whatever a reported file event touched with the baseline; a folder event
+     * covers everything under the folder
+     */
+    check(event) {
+        const rule = this.rules.get(event.rule);
+        if (!rule) return Promise.resolve([]);
+
+        return this.enqueue(rule.id, async () => {
+            const baseline = this.baselines.get(rule.id);
+            if (!baseline || !this.isCurrent(rule.id, baseline)) return [];
+
+            const current = await this.scan(rule, event.path);
+            if (!this.isCurrent(rule.id, baseline)) return [];
+
+            const found = this.reconcile(baseline, current, filePath => isInside(filePath, event.path));
+            this.publish(rule, found);
+            return found;
+        });
+    }
+
+    isCurrent(id, baseline) {
+        const rule = this.rules.get(id);
+        return Boolean(rule) && this.baselines.get(id) === baseline && baseline.scope === this.scopeKey(rule);
+    }
+
+    /**
+     * Hash, size and permissions of every file the rule covers, or only of those at or
+     * under `root`. Only a missing watched path is an error; a missing `root` has no files.
+     */
+    async scan(rule, root = null) {
+        const include = compileGlobs(rule.include);
+        const exclude = compileGlobs(rule.exclude);
+        const files = {};
+        // Followed symlinks can lead back to a directory already scanned
+        const seen = new Set();
+
+        const relativePath = (filePath) => path.relative(rule.path, filePath).split(path.sep).join('/');
+
+        const visit = async (filePath) => {
+            const relative = relativePath(filePath);
+            // Matched like the watcher does, so the baseline covers what it reports
+            if (relative !== '' && exclude && exclude(relative)) return;
+
+            let stats;
+            try {
+                stats = rule.followSymlinks ? await fs.stat(filePath) : await fs.lstat(filePath);
+            } catch (error) {
+                if (root === null && relative === '') {
+                    throw new Error(error.code === 'ENOENT' ? `${rule.path} does not exist` : error.message);
+                }
+                return;
+            }
+
+            if (stats.isDirectory()) {
+                const key = `${stats.dev}:${stats.ino}`;
+                if (seen.has(key)) return;
+                seen.add(key);
+
+                // Depth counts directory levels below the watched path, as chokidar does
+                if (relative !== '' && rule.depth !== null && relative.split('/').length > rule.depth) return;
+
+                let names;
+                try {
+                    names = await fs.readdir(filePath);
+                } catch (error) {
+                    if (root === null && relative === '') throw error;
+                    return;
+                }
+                for (const name of names) {
+                    await visit(path.join(filePath, name));
+                }
+            } else if (stats.isFile()) {
+                if (relative !== '' && include && !include(relative)) return;
+
+                let hash = null;
+                try {
+                    hash = await hashFile(filePath, 'sha256');
+                } catch (error) {
+                    // Unreadable files are still tracked by size and permissions
+                }
+                files[filePath] = { hash, size: stats.size, mode: (stats.mode & 0o7777).toString(8) };
+            }
+        };
+
+        await visit(root || rule.path);
+        return files;
+    }
+
+    /**
+     * Compare the files found with the baseline for the paths `inScope` accepts, updating the
+     * rule's differences; returns the differences that are new or changed since last seen
+     */
+    reconcile(baseline, current, inScope) {
+        const now = Date.now();
+        const found = [];
+        const paths = new Set([
+            ...Object.keys(baseline.files).filter(inScope),
+            ...Object.keys(baseline.differences).filter(inScope),
+            ...Object.keys(current)
+        ]);
+
+        for (const filePath of paths) {
+            const expected = baseline.files[filePath] || null;
+            const actual = current[filePath] || null;
+
+            let status = null;
+            let changes = [];
+            if (expected && actual) {
+                changes = compareEntries(expected, actual);
+                if (changes.length > 0) status = 'modified';
+            } else if (actual) {
+                status = 'added';
+            } else if (expected) {
+                status = 'removed';
+            }
+
+            const previous = baseline.differences[filePath];
+            if (!status) {
+                delete baseline.differences[filePath];
+                continue;
+            }
+            // Already reported and unchanged since: keep the time it was first seen
+            if (previous && previous.status === status && JSON.stringify(previous.current) === JSON.stringify(actual)) {
+                continue;
+            }
+
+            const difference = { path: filePath, status, changes, baseline: expected, current: actual, detectedAt: now };
+            baseline.differences[filePath] = difference;
+            found.push(difference);
+        }
+        return found;
+    }
+
+    publish(rule, found) {
+        this.scheduleSave();
+        if (found.length === 0) return;
+
+        try {
+            this.onChange({ ruleId: rule.id, path: rule.path, differences: found });
+        } catch (error) {
+            console.error('File integrity listener error:', error);
+        }
+    }
+
+    summarize(rule) {
+        const baseline = this.baselines.get(rule.id);
+        const state = this.states.get(rule.id);
+        const differences = baseline
+            ? Object.values(baseline.differences).sort((a, b) => b.detectedAt - a.detectedAt)
+            : [];
+        const count = (status) => differences.filter(difference => difference.status === status).length;
+
+        return {
+            ruleId: rule.id,
+            path: rule.path,
+            enabled: rule.enabled,
+            state: state?.state || (baseline ? 'ready' : 'pending'),
+            error: state?.error || null,
+            createdAt: baseline?.createdAt || null,
+            checkedAt: baseline?.checkedAt || null,
+            files: baseline ? Object.keys(baseline.files).length : 0,
+            added: count('added'),
+            removed: count('removed'),
+            modified: count('modified'),
+            // Newest first
+            differences: differences.slice(0, MAX_LISTED)
+        };
+    }
+
+    getStatus() {
+        return Array.from(this.rules.values()).map(rule => this.summarize(rule));
+    }
+
+    /**
+     * Report of one rule's differences, or of every rule's, as CSV or JSON
+     */
+    export(id = null, format = 'csv') {
+        const rules = Array.from(this.rules.values()).filter(rule => !id || rule.id === id);
+        const differencesOf = (rule) => Object.values(this.baselines.get(rule.id)?.differences || {})
+            .sort((a, b) => a.path.localeCompare(b.path));
+
+        if (format === 'json') {
+            return JSON.stringify({
+                generatedAt: new Date().toISOString(),
+                rules: rules.map(rule => {
+                    const baseline = this.baselines.get(rule.id);
+                    return {
+                        path: rule.path,
+                        baselineCreatedAt: toIsoString(baseline?.createdAt),
+                        checkedAt: toIsoString(baseline?.checkedAt),
+                        files: baseline ? Object.keys(baseline.files).length : 0,
+                        differences: differencesOf(rule).map(difference => ({
+                            ...difference,
+                            detectedAt: toIsoString(difference.detectedAt)
+                        }))
+                    };
+                })
+            }, null, 2);
+        }
+
+        const rows = [];
+        for (const rule of rules) {
+            for (const difference of differencesOf(rule)) {
+                const values = {
+                    rule: rule.path,
+                    status: difference.status,
+                    path: difference.path,
+                    changes: difference.changes.join(' '),
+                    baselineHash: difference.baseline?.hash,
+                    currentHash: difference.current?.hash,
+                    baselineSize: difference.baseline?.size,
+                    currentSize: difference.current?.size,
+                    baselineMode: difference.baseline?.mode,
+                    currentMode: difference.current?.mode,
+                    detectedAt: toIsoString(difference.detectedAt)
+                };
+                rows.push(EXPORT_COLUMNS.map(column => escapeCsv(values[column])).join(','));
+            }
+        }
+        return [EXPORT_COLUMNS.join(','), ...rows].join('\n') + '\n';
+    }
+}
+
+module.exports = { FileIntegrity };
@@ -0,0 +1,387 @@
+/**
+ * PlayNexus File Watcher
+ * One chokidar watcher per watch rule: a directory with include/exclude globs, a depth
+ * limit, symlink handling and the event types to report. Raw events are debounced and
+ * coalesced per path, so a burst of writes to one file is reported as a single event.
+ * Rules are kept in watch-rules.json in the user data directory.
+ */
+
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const chokidar = require('chokidar');
+const picomatch = require('picomatch');
+const { normalizeAction } = require('./file-actions');
+
+const EVENT_TYPES = ['add', 'change', 'unlink', 'addDir', 'unlinkDir'];
+const DEFAULT_EVENTS = ['add', 'change', 'unlink'];
+// Dotfiles and dot-directories were never reported, so new rules keep skipping them
+const DEFAULT_EXCLUDE = ['.*'];
+const DEFAULT_DEBOUNCE = 300;
+// A path that keeps changing is still reported at least this many debounce periods apart
+const MAX_WAIT_FACTOR = 10;
+
+/**
+ * What a burst of two events on the same path amounts to; null means nothing happened
+ */
+function coalesce(previous, next) {
+    if (previous === 'add' && next === 'change') return 'add';
+    if (previous === 'add' && next === 'unlink') return null;
+    if (previous === 'addDir' && next === 'unlinkDir') return null;
+    if (previous === 'unlink' && next === 'add') return 'change';
+    return next;
+}
+
+function toPatternList(value) {
+    if (Array.isArray(value)) return value.map(String).map(s => s.trim()).filter(Boolean);
+    if (typeof value === 'string') return value.split(',').map(s => s.trim()).filter(Boolean);
+    return [];
+}
+
+function compileGlobs(patterns) {
+    if (patterns.length === 0) return null;
+    // Patterns without a slash match the file name at any depth, like .gitignore
+    return picomatch(patterns, { dot: true, basename: true });
+}
+
+/**
+ * Check and normalize a rule; throws with a readable message when it is invalid
+ */
+function normalizeRule(rule) {
+    if (!rule || typeof rule !== 'object') {
+        throw new Error('Watch rule must be an object');
+    }
+    if (!rule.path || typeof rule.path !== 'string') {
+        throw new Error('Watch rule needs a path');
+    }
+    if (!path.isAbsolute(rule.path)) {
+        throw new Error(`Watch path "${rule.path}" must be absolute`);
+    }
+
+    const include = toPatternList(rule.include);
+    const exclude = rule.exclude === undefined ? [...DEFAULT_EXCLUDE] : toPatternList(rule.exclude);
+    for (const pattern of [...include, ...exclude]) {
+        try {
+            picomatch.makeRe(pattern);
+        } catch (error) {
+            throw new Error(`Invalid glob "${pattern}" for ${rule.path}: ${error.message}`);
+        }
+    }
+
+    const events = rule.events === undefined ? [...DEFAULT_EVENTS] : rule.events;
+    if (!Array.isArray(events) || events.length === 0) {
+        throw new Error(`Watch rule for ${rule.path} needs at least one event type`);
+    }
+    const unknown = events.find(type => !EVENT_TYPES.includes(type));
+    if (unknown) {
+        throw new Error(`Unknown event type "${unknown}" for ${rule.path}, expected one of: ${EVENT_TYPES.join(', ')}`);
+    }
+
+    let depth = null;
+    if (rule.depth !== undefined && rule.depth !== null && rule.depth !== '') {
+        depth = Number(rule.depth);
+        if (!Number.isInteger(depth) || depth < 0) {
+            throw new Error(`Depth for ${rule.path} must be a whole number of at least 0`);
+        }
+    }
+
+    const rulePath = path.resolve(rule.path);
+    if (rule.actions !== undefined && !Array.isArray(rule.actions)) {
+        throw new Error(`Actions for ${rule.path} must be a list`);
+    }
+    const actions = (rule.actions || []).map(action => normalizeAction(action, rulePath));
+    for (const action of actions) {
+        const unknownType = action.events.find(type => !EVENT_TYPES.includes(type));
+        if (unknownType) {
+            throw new Error(`Unknown event type "${unknownType}" in the ${action.type} action for ${rule.path}`);
+        }
+    }
+
+    return {
+        id: rule.id || crypto.randomUUID(),
+        path: rulePath,
+        enabled: rule.enabled !== false,
+        include,
+        exclude,
+        depth,
+        followSymlinks: rule.followSymlinks !== false,
+        events: EVENT_TYPES.filter(type => events.includes(type)),
+        // Run in order for every reported event; see file-actions.js
+        actions,
+        dryRun: rule.dryRun === true,
+        // Compare the files with a hash baseline; see file-integrity.js
+        integrity: rule.integrity === true
+    };
+}
+
+class FileWatcher {
+    constructor(directory, options = {}) {
+        this.filePath = path.join(directory, 'watch-rules.json');
+        this.onEvent = options.onEvent || (() => {});
+        this.watch = options.watch || chokidar.watch;
+        this.debounce = DEFAULT_DEBOUNCE;
+        this.rules = [];
+        this.watchers = new Map();
+        // Each pending path has its own debounce timer, so a busy file never delays others
+        this.pending = new Map();
+        this.running = false;
+        this.setDebounce(options.debounce);
+    }
+
+    /**
+     * Load saved rules; `legacyPaths` seeds the rules the first time, from the old path lists
+     */
+    async load(legacyPaths = []) {
+        try {
+            const content = await fs.readFile(this.filePath, 'utf8');
+            this.setRules(JSON.parse(content));
+        } catch (error) {
+            console.log('No watch rules found');
+            const rules = [];
+            for (const watchPath of legacyPaths) {
+                try {
+                    rules.push(normalizeRule({ path: watchPath }));
+                } catch (ruleError) {
+                    console.error('Skipping watch path:', ruleError.message);
+                }
+            }
+            this.setRules(rules);
+            if (rules.length > 0) await this.save();
+        }
+    }
+
+    async save() {
+        try {
+            await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+            await fs.writeFile(this.filePath, JSON.stringify(this.rules, null, 2), 'utf8');
+        } catch (error) {
+            console.error('Failed to save watch rules:', error);
+        }
+    }
+
+    setDebounce(debounce) {
+        const value = Number(debounce);
+        if (Number.isFinite(value) && value >= 0) {
+            this.debounce = value;
+        }
+    }
+
+    /**
+     * Replace the rule set; watchers whose path and options are unchanged keep running
+     */
+    setRules(rules) {
+        if (!Array.isArray(rules)) {
+            throw new Error('Watch rules must be an array');
+        }
+
+        this.rules = rules.map(normalizeRule);
+        if (this.running) this.sync();
+        return this.rules;
+    }
+
+    start() {
+        this.running = true;
+        this.sync();
+    }
+
+    async stop() {
+        this.running = false;
+        await this.flush();
+        await Promise.all(Array.from(this.watchers.keys()).map(id => this.closeWatcher(id)));
+    }
+
+    sync() {
+        const wanted = new Map(this.rules.filter(rule => rule.enabled).map(rule => [rule.id, rule]));
+
+        for (const [id, entry] of this.watchers) {
+            const rule = wanted.get(id);
+            if (!rule || this.watcherKey(rule) !== entry.key) {
+                this.closeWatcher(id);
+            } else {
+                // Globs and event types are applied per event, so they change in place
+                entry.rule = rule;
+                entry.include = compileGlobs(rule.include);
+            }
+        }
+
+        for (const rule of wanted.values()) {
+            if (!this.watchers.has(rule.id)) {
+                this.createWatcher(rule);
+            }
+        }
+    }
+
+    // Options chokidar is created with; changing any of them needs a new watcher
+    watcherKey(rule) {
+        return JSON.stringify([rule.path, rule.exclude, rule.depth, rule.followSymlinks]);
+    }
+
+    createWatcher(rule) {
+        const exclude = compileGlobs(rule.exclude);
+        const entry = {
+            key: this.watcherKey(rule),
+            rule,
+            include: compileGlobs(rule.include),
+            status: 'starting',
+            error: null,
+            watcher: null
+        };
+
+        entry.watcher = this.watch(rule.path, {
+            // The watched directory itself is never excluded, only what is under it
+            ignored: exclude ? (filePath) => {
+                const relative = this.relativePath(rule, filePath);
+                return relative !== '' && exclude(relative);
+            } : undefined,
+            depth: rule.depth === null ? undefined : rule.depth,
+            followSymlinks: rule.followSymlinks,
+            persistent: true,
+            ignoreInitial: true
+        });
+
+        for (const type of EVENT_TYPES) {
+            entry.watcher.on(type, (filePath) => this.queue(entry, type, filePath));
+        }
+        entry.watcher
+            .on('ready', () => {
+                if (entry.status === 'starting') entry.status = 'watching';
+            })
+            .on('error', (error) => {
+                console.error(`File watcher error for ${rule.path}:`, error);
+                entry.status = 'error';
+                entry.error = error.message;
+            });
+
+        fs.stat(rule.path)
+            .then(stats => {
+                if (!stats.isDirectory() && !stats.isFile()) throw new Error('Not a file or directory');
+            })
+            .catch(error => {
+                entry.status = 'error';
+                entry.error = error.code === 'ENOENT' ? 'Path does not exist' : error.message;
+            });
+
+        this.watchers.set(rule.id, entry);
+    }
+
+    async closeWatcher(id) {
+        const entry = this.watchers.get(id);
+        if (!entry) return;
+        this.watchers.delete(id);
+        for (const [key, item] of this.pending) {
+            if (item.rule !== id) continue;
+            clearTimeout(item.timer);
+            this.pending.delete(key);
+        }
+        try {
+            await entry.watcher.close();
+        } catch (error) {
+            console.error(`Failed to close watcher for ${entry.rule.path}:`, error);
+        }
+    }
+
+    relativePath(rule, filePath) {
+        return path.relative(rule.path, filePath).split(path.sep).join('/');
+    }
+
+    queue(entry, type, filePath) {
+        // Events can still arrive from a watcher that is being closed
+        if (this.watchers.get(entry.rule.id) !== entry) return;
+
+        const key = `${entry.rule.id}\0${filePath}`;
+        const previous = this.pending.get(key);
+        const now = Date.now();
+
+        let item = previous;
+        if (!item) {
+            item = { rule: entry.rule.id, type, path: filePath, count: 1, firstAt: now, timer: null };
+            this.pending.set(key, item);
+        } else {
+            const merged = coalesce(item.type, type);
+            clearTimeout(item.timer);
+            if (merged === null) {
+                this.pending.delete(key);
+                return;
+            }
+            item.type = merged;
+            item.count++;
+        }
+
+        if (now - item.firstAt >= this.debounce * MAX_WAIT_FACTOR) {
+            this.flush([key]);
+        } else {
+            item.timer = setTimeout(() => this.flush([key]), this.debounce);
+        }
+    }
+
+    /**
+     * Report the given pending paths (all of them by default) and forget them
+     */
+    async flush(keys = Array.from(this.pending.keys())) {
+        const items = [];
+        for (const key of keys) {
+            const item = this.pending.get(key);
+            if (!item) continue;
+            clearTimeout(item.timer);
+            this.pending.delete(key);
+            items.push(item);
+        }
+
+        const timestamp = Date.now();
+        const batch = items.filter(item => {
+            const entry = this.watchers.get(item.rule);
+            if (!entry || !entry.rule.events.includes(item.type)) return false;
+
+            // Include globs decide what is reported, not what is watched, so that
+            // `*.log` still finds logs inside subdirectories
+            return !entry.include || entry.include(this.relativePath(entry.rule, item.path));
+        });
+
+        // Sizes are read once the burst is over; stats taken during it may catch a half-written file
+        const sizes = await Promise.all(batch.map(item => this.readSize(item)));
+
+        batch.forEach((item, index) => {
+            try {
+                this.onEvent({
+                    type: item.type,
+                    path: item.path,
+                    rule: item.rule,
+                    timestamp,
+                    // Bytes once the burst was over; null for removals and directories
+                    size: sizes[index],
+                    // Raw events folded into this one
+                    count: item.count
+                });
+            } catch (error) {
+                console.error('File watcher listener error:', error);
+            }
+        });
+    }
+
+    async readSize(item) {
+        if (item.type !== 'add' && item.type !== 'change') return null;
+        try {
+            const stats = await fs.stat(item.path);
+            return stats.isFile() ? stats.size : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    getRule(id) {
+        return this.rules.find(rule => rule.id === id) || null;
+    }
+
+    getStatus() {
+        return this.rules.map(rule => {
+            const entry = this.watchers.get(rule.id);
+            return {
+                ...rule,
+                status: !this.running || !rule.enabled ? 'stopped' : entry?.status || 'starting',
+                error: entry?.error || null
+            };
+        });
+    }
+}
+
+module.exports = { FileWatcher, normalizeRule, coalesce, compileGlobs, EVENT_TYPES };
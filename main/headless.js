@@ -0,0 +1,164 @@
+/**
+ * PlayNexus Headless Mode
+ * Streams samples as NDJSON or CSV without creating a window, e.g.
+ *   electron . --headless --format=json --interval=2000 --count=30 --output=samples.ndjson
+ */
+
+const fs = require('fs');
+const { SamplingScheduler } = require('./sampling-scheduler');
+const { extractMetrics } = require('./metrics-history');
+const { escapeCsv } = require('./csv');
+
+const FORMATS = ['json', 'csv'];
+
+/**
+ * Parse headless flags from argv; returns null when --headless is absent
+ */
+function parseHeadlessArgs(argv) {
+    if (!argv.includes('--headless')) return null;
+
+    const options = {
+        format: 'json',
+        interval: 5000,
+        count: 0,
+        output: null,
+        processes: true
+    };
+
+    for (const arg of argv) {
+        const match = arg.match(/^--([\w-]+)(?:=(.*))?$/);
+        if (!match) continue;
+
+        const [, name, value] = match;
+        switch (name) {
+            case 'format':
+                options.format = (value || '').toLowerCase();
+                break;
+            case 'interval':
+                options.interval = parseInt(value, 10);
+                break;
+            case 'count':
+                options.count = parseInt(value, 10);
+                break;
+            case 'output':
+                options.output = value || null;
+                break;
+            case 'no-processes':
+                options.processes = false;
+                break;
+        }
+    }
+
+    if (!FORMATS.includes(options.format)) {
+        throw new Error(`Unknown --format "${options.format}", expected one of: ${FORMATS.join(', ')}`);
+    }
+    if (!Number.isFinite(options.interval) || options.interval < 100) {
+        throw new Error('--interval must be a number of milliseconds >= 100');
+    }
+    if (!Number.isFinite(options.count) || options.count < 0) {
+        throw new Error('--count must be a non-negative integer (0 runs until interrupted)');
+    }
+
+    return options;
+}
+
+/**
+ * Formats records as CSV; the header is fixed by the columns of the first record
+ */
+class CsvFormatter {
+    constructor() {
+        this.columns = null;
+    }
+
+    format(record) {
+        const row = {
+            timestamp: new Date(record.timestamp).toISOString(),
+            ...extractMetrics(record.system)
+        };
+        if (record.processes) {
+            row['processes.count'] = record.processes.length;
+        }
+
+        let output = '';
+        if (!this.columns) {
+            this.columns = Object.keys(row);
+            output += this.columns.map(escapeCsv).join(',') + '\n';
+        }
+        return output + this.columns.map(column => escapeCsv(row[column])).join(',') + '\n';
+    }
+}
+
+/**
+ * Sample until --count records are written or the process is interrupted
+ * Resolves with the process exit code
+ */
+function runHeadless(options, { getSystemData, getProcesses }) {
+    return new Promise((resolve) => {
+        const stream = options.output
+            ? fs.createWriteStream(options.output, { flags: 'w' })
+            : process.stdout;
+        const csv = options.format === 'csv' ? new CsvFormatter() : null;
+        let written = 0;
+        let finished = false;
+
+        const finish = (code) => {
+            if (finished) return;
+            finished = true;
+            scheduler.stop();
+            process.removeListener('SIGINT', onSignal);
+            process.removeListener('SIGTERM', onSignal);
+
+            if (stream === process.stdout) {
+                // Writes to a pipe may still be queued (always so on Windows); the callback of an
+                // empty write runs once everything before it is flushed, so no output is cut off
+                if (stream.destroyed) {
+                    resolve(code);
+                } else {
+                    stream.write('', () => resolve(code));
+                }
+            } else {
+                stream.end(() => resolve(code));
+            }
+        };
+
+        const onSignal = () => finish(0);
+
+        stream.on('error', (error) => {
+            // A closed pipe (e.g. piping into `head`) just means the reader is done
+            if (error.code !== 'EPIPE') {
+                console.error('Headless output error:', error);
+            }
+            finish(error.code === 'EPIPE' ? 0 : 1);
+        });
+
+        const scheduler = new SamplingScheduler(async () => {
+            const [system, processes] = await Promise.all([
+                getSystemData(),
+                options.processes ? getProcesses() : null
+            ]);
+            return {
+                timestamp: system?.timestamp || Date.now(),
+                system,
+                ...(processes ? { processes } : {})
+            };
+        }, {
+            interval: options.interval,
+            onResult: (record) => {
+                if (finished) return;
+
+                stream.write(csv ? csv.format(record) : JSON.stringify(record) + '\n');
+                written++;
+                if (options.count > 0 && written >= options.count) {
+                    finish(0);
+                }
+            },
+            onError: (error) => console.error('Headless sampling error:', error)
+        });
+
+        process.on('SIGINT', onSignal);
+        process.on('SIGTERM', onSignal);
+        scheduler.start();
+    });
+}
+
+module.exports = { parseHeadlessArgs, runHeadless, CsvFormatter };
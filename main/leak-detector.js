@@ -0,0 +1,186 @@
+/**
+ * PlayNexus Leak Detector
+ * Samples each process's resident memory and flags processes whose memory grows steadily:
+ * a linear fit over the window with a positive slope above `minGrowth` and an R² above `minR2`
+ */
+
+const os = require('os');
+const { processKey } = require('./process-lifecycle');
+
+const HOUR = 60 * 60 * 1000;
+
+const DEFAULT_OPTIONS = {
+    // How far back the fit looks
+    window: 30 * 60 * 1000,
+    // At most one sample per process per interval, however often processes are listed
+    sampleInterval: 60 * 1000,
+    // Samples needed before a process is judged; also caps how soon a new process can be flagged
+    minSamples: 10,
+    // How well a straight line must explain the growth (0-1); sawtooth GC patterns score lower
+    minR2: 0.8,
+    // Bytes per hour below which growth is ignored
+    minGrowth: 10 * 1024 * 1024,
+    // Projected time to reach this many bytes is reported; 0 means total system memory
+    limit: 0
+};
+
+/**
+ * Least-squares fit of y over x; r2 is 0 for a flat or single-point series
+ */
+function linearFit(points) {
+    const n = points.length;
+    if (n < 2) return { slope: 0, intercept: n ? points[0].y : 0, r2: 0 };
+
+    const meanX = points.reduce((sum, p) => sum + p.x, 0) / n;
+    const meanY = points.reduce((sum, p) => sum + p.y, 0) / n;
+
+    let sxx = 0;
+    let sxy = 0;
+    let syy = 0;
+    for (const { x, y } of points) {
+        sxx += (x - meanX) ** 2;
+        sxy += (x - meanX) * (y - meanY);
+        syy += (y - meanY) ** 2;
+    }
+
+    if (sxx === 0) return { slope: 0, intercept: meanY, r2: 0 };
+    const slope = sxy / sxx;
+    return {
+        slope,
+        intercept: meanY - slope * meanX,
+        r2: syy === 0 ? 0 : (sxy * sxy) / (sxx * syy)
+    };
+}
+
+class LeakDetector {
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_OPTIONS };
+        this.onSuspect = options.onSuspect || (() => {});
+        this.series = new Map();
+        this.suspects = new Map();
+        this.configure(options);
+    }
+
+    configure(options = {}) {
+        for (const key of Object.keys(DEFAULT_OPTIONS)) {
+            const value = Number(options[key]);
+            if (Number.isFinite(value) && value >= 0) {
+                this.options[key] = value;
+            }
+        }
+        this.options.minR2 = Math.min(this.options.minR2, 1);
+        this.options.minSamples = Math.max(this.options.minSamples, 3);
+    }
+
+    getLimit() {
+        return this.options.limit > 0 ? this.options.limit : os.totalmem();
+    }
+
+    /**
+     * Add one process-list snapshot; processes need pid, name and rss (bytes)
+     * Returns the processes that became suspects with this sample
+     */
+    record(timestamp, processes) {
+        const seen = new Set();
+
+        for (const process of processes) {
+            if (!Number.isFinite(process.rss)) continue;
+
+            const key = processKey(process);
+            seen.add(key);
+
+            if (!this.series.has(key)) {
+                this.series.set(key, { pid: process.pid, name: process.name, command: process.command, points: [] });
+            }
+            const series = this.series.get(key);
+            const last = series.points[series.points.length - 1];
+            if (!last || timestamp - last.t >= this.options.sampleInterval) {
+                series.points.push({ t: timestamp, rss: process.rss });
+            }
+
+            const cutoff = timestamp - this.options.window;
+            while (series.points.length > 0 && series.points[0].t < cutoff) {
+                series.points.shift();
+            }
+        }
+
+        // Exited processes are no longer tracked or suspected
+        for (const key of this.series.keys()) {
+            if (!seen.has(key)) {
+                this.series.delete(key);
+                this.suspects.delete(key);
+            }
+        }
+
+        return this.analyze(timestamp);
+    }
+
+    analyze(now = Date.now()) {
+        const newSuspects = [];
+        const limit = this.getLimit();
+
+        for (const [key, series] of this.series) {
+            const suspect = this.evaluate(series, now, limit);
+            if (!suspect) {
+                this.suspects.delete(key);
+                continue;
+            }
+
+            if (!this.suspects.has(key)) {
+                suspect.since = now;
+                newSuspects.push(suspect);
+            } else {
+                suspect.since = this.suspects.get(key).since;
+            }
+            this.suspects.set(key, suspect);
+        }
+
+        for (const suspect of newSuspects) {
+            try {
+                this.onSuspect(suspect);
+            } catch (error) {
+                console.error('Leak detector listener error:', error);
+            }
+        }
+        return newSuspects;
+    }
+
+    evaluate(series, now, limit) {
+        const { points } = series;
+        if (points.length < this.options.minSamples) return null;
+
+        // A short run of growth (start-up, a burst of work) is not yet a trend
+        const start = points[0].t;
+        if (points[points.length - 1].t - start < this.options.window / 2) return null;
+
+        // Time in hours from the first sample keeps the numbers well conditioned
+        const fit = linearFit(points.map(point => ({ x: (point.t - start) / HOUR, y: point.rss })));
+        if (fit.slope < this.options.minGrowth || fit.r2 < this.options.minR2) return null;
+
+        const rss = points[points.length - 1].rss;
+        const hoursToLimit = rss < limit ? (limit - rss) / fit.slope : 0;
+
+        return {
+            pid: series.pid,
+            name: series.name,
+            command: series.command,
+            rss,
+            growthPerHour: fit.slope,
+            r2: fit.r2,
+            growth: rss - points[0].rss,
+            samples: points.length,
+            span: points[points.length - 1].t - start,
+            limit,
+            limitAt: now + hoursToLimit * HOUR
+        };
+    }
+
+    /**
+     * Current suspects, fastest growing first
+     */
+    getSuspects() {
+        return Array.from(this.suspects.values()).sort((a, b) => b.growthPerHour - a.growthPerHour);
+    }
+}
+
+module.exports = { LeakDetector, linearFit, DEFAULT_OPTIONS };
@@ -0,0 +1,263 @@
+/**
+ * PlayNexus Metrics History
+ * Time-series store for system samples with 1-minute and 1-hour rollups
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Bucket width for each rollup resolution
+const ROLLUP_WIDTHS = {
+    minute: MINUTE,
+    hour: HOUR
+};
+
+const DEFAULT_RETENTION = {
+    raw: HOUR,
+    minute: DAY,
+    hour: 30 * DAY
+};
+
+/**
+ * Flatten a getSystemData() payload into numeric series keyed by metric name
+ */
+function extractMetrics(data) {
+    const metrics = {};
+    if (!data) return metrics;
+
+    const put = (name, value) => {
+        const number = Number(value);
+        if (Number.isFinite(number)) {
+            metrics[name] = number;
+        }
+    };
+
+    if (data.cpu) {
+        put('cpu.load', data.cpu.load);
+        put('cpu.temperature', data.cpu.temperature);
+        (data.cpu.perCore || []).forEach(core => {
+            put(`cpu.core[${core.core}].load`, core.load);
+            put(`cpu.core[${core.core}].iowait`, core.iowait);
+        });
+    }
+
+    if (data.memory) {
+        put('memory.used', data.memory.used);
+        put('memory.available', data.memory.available);
+        put('memory.percentage', data.memory.percentage);
+    }
+
+    (data.disk || []).forEach(d => {
+        const mount = d.mount || d.fs;
+        put(`disk[${mount}].used`, d.used);
+        put(`disk[${mount}].percentage`, d.percentage);
+    });
+
+    if (data.network) {
+        put('network.rx_sec', data.network.rx_sec);
+        put('network.tx_sec', data.network.tx_sec);
+        (data.network.interfaces || []).forEach(n => {
+            put(`network[${n.iface}].rx_sec`, n.rx_sec);
+            put(`network[${n.iface}].tx_sec`, n.tx_sec);
+        });
+    }
+
+    if (data.connections) {
+        put('connections.total', data.connections.total);
+        put('connections.listening', data.connections.listening);
+        put('connections.established', data.connections.established);
+    }
+
+    return metrics;
+}
+
+class MetricsHistory {
+    constructor(directory, options = {}) {
+        this.filePath = path.join(directory, 'metrics-history.json');
+        this.retention = { ...DEFAULT_RETENTION, ...options.retention };
+        this.flushInterval = options.flushInterval || MINUTE;
+        this.flushTimer = null;
+        this.dirty = false;
+
+        // Raw samples: [{ t, values: { metric: number } }]
+        this.raw = [];
+
+        // Rollup buckets: [{ t, stats: { metric: { min, max, sum, count } } }]
+        this.rollups = {
+            minute: [],
+            hour: []
+        };
+    }
+
+    /**
+     * Load persisted history from disk
+     */
+    async load() {
+        try {
+            const content = await fs.readFile(this.filePath, 'utf8');
+            const stored = JSON.parse(content);
+            this.raw = Array.isArray(stored.raw) ? stored.raw : [];
+            for (const resolution of Object.keys(ROLLUP_WIDTHS)) {
+                this.rollups[resolution] = Array.isArray(stored.rollups?.[resolution])
+                    ? stored.rollups[resolution]
+                    : [];
+            }
+            this.prune(Date.now());
+        } catch (error) {
+            console.log('No metrics history found, starting fresh');
+        }
+    }
+
+    /**
+     * Write history to disk, replacing the previous file atomically
+     */
+    async save() {
+        if (!this.dirty) return;
+
+        try {
+            const tempPath = `${this.filePath}.tmp`;
+            const content = JSON.stringify({ raw: this.raw, rollups: this.rollups });
+            await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+            await fs.writeFile(tempPath, content, 'utf8');
+            await fs.rename(tempPath, this.filePath);
+            this.dirty = false;
+        } catch (error) {
+            console.error('Failed to save metrics history:', error);
+        }
+    }
+
+    startAutoSave() {
+        this.stopAutoSave();
+        this.flushTimer = setInterval(() => this.save(), this.flushInterval);
+    }
+
+    stopAutoSave() {
+        if (this.flushTimer) {
+            clearInterval(this.flushTimer);
+            this.flushTimer = null;
+        }
+    }
+
+    setRetention(retention = {}) {
+        this.retention = { ...DEFAULT_RETENTION, ...retention };
+        this.prune(Date.now());
+    }
+
+    /**
+     * Record one sample and fold it into every rollup resolution
+     */
+    record(timestamp, values) {
+        if (!values || Object.keys(values).length === 0) return;
+
+        this.raw.push({ t: timestamp, values });
+
+        for (const [resolution, width] of Object.entries(ROLLUP_WIDTHS)) {
+            const buckets = this.rollups[resolution];
+            const bucketStart = Math.floor(timestamp / width) * width;
+            let bucket = buckets[buckets.length - 1];
+
+            if (!bucket || bucket.t !== bucketStart) {
+                bucket = { t: bucketStart, stats: {} };
+                buckets.push(bucket);
+            }
+
+            for (const [metric, value] of Object.entries(values)) {
+                const stats = bucket.stats[metric];
+                if (stats) {
+                    stats.min = Math.min(stats.min, value);
+                    stats.max = Math.max(stats.max, value);
+                    stats.sum += value;
+                    stats.count++;
+                } else {
+                    bucket.stats[metric] = { min: value, max: value, sum: value, count: 1 };
+                }
+            }
+        }
+
+        this.prune(timestamp);
+        this.dirty = true;
+    }
+
+    /**
+     * Drop samples and buckets older than their retention window
+     */
+    prune(now) {
+        const rawCutoff = now - this.retention.raw;
+        const rawIndex = this.raw.findIndex(sample => sample.t >= rawCutoff);
+        this.raw = rawIndex === -1 ? [] : this.raw.slice(rawIndex);
+
+        for (const resolution of Object.keys(ROLLUP_WIDTHS)) {
+            const cutoff = now - this.retention[resolution];
+            const buckets = this.rollups[resolution];
+            const index = buckets.findIndex(bucket => bucket.t >= cutoff);
+            this.rollups[resolution] = index === -1 ? [] : buckets.slice(index);
+        }
+    }
+
+    /**
+     * Pick the finest resolution whose retention still covers the start of the range
+     */
+    resolveResolution(from, now = Date.now()) {
+        if (from >= now - this.retention.raw) return 'raw';
+        if (from >= now - this.retention.minute) return 'minute';
+        return 'hour';
+    }
+
+    /**
+     * Query one metric over a time range
+     * Returns points as { t, min, avg, max } regardless of resolution
+     */
+    query({ metric, from, to, resolution = 'auto' } = {}) {
+        const now = Date.now();
+        const end = Number.isFinite(to) ? to : now;
+        const start = Number.isFinite(from) ? from : end - HOUR;
+        const selected = resolution === 'auto' ? this.resolveResolution(start, now) : resolution;
+
+        if (!metric) {
+            return { metric, resolution: selected, from: start, to: end, points: [] };
+        }
+
+        let points;
+        if (selected === 'raw') {
+            points = this.raw
+                .filter(sample => sample.t >= start && sample.t <= end && metric in sample.values)
+                .map(sample => {
+                    const value = sample.values[metric];
+                    return { t: sample.t, min: value, avg: value, max: value };
+                });
+        } else {
+            const buckets = this.rollups[selected] || [];
+            points = buckets
+                .filter(bucket => bucket.t + ROLLUP_WIDTHS[selected] > start && bucket.t <= end && bucket.stats[metric])
+                .map(bucket => {
+                    const stats = bucket.stats[metric];
+                    return {
+                        t: bucket.t,
+                        min: stats.min,
+                        avg: stats.sum / stats.count,
+                        max: stats.max
+                    };
+                });
+        }
+
+        return { metric, resolution: selected, from: start, to: end, points };
+    }
+
+    /**
+     * List every metric name currently held in history
+     */
+    listMetrics() {
+        const names = new Set();
+        this.raw.forEach(sample => Object.keys(sample.values).forEach(name => names.add(name)));
+        for (const buckets of Object.values(this.rollups)) {
+            buckets.forEach(bucket => Object.keys(bucket.stats).forEach(name => names.add(name)));
+        }
+        return Array.from(names).sort();
+    }
+}
+
+module.exports = { MetricsHistory, extractMetrics, DEFAULT_RETENTION };
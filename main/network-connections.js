@@ -0,0 +1,58 @@
+/**
+ * PlayNexus Network Connections
+ * Every TCP/UDP socket with its owning process, for the Connections view and the connection counts
+ */
+
+const si = require('systeminformation');
+const { listProcesses } = require('./process-list');
+
+/**
+ * UDP has no LISTEN state; an unconnected UDP socket is the equivalent of a listening one
+ */
+function isListening(connection) {
+    if (connection.state === 'LISTEN') return true;
+    return connection.protocol.startsWith('udp') &&
+        (!connection.peerPort || connection.peerPort === '*' || connection.peerPort === 0);
+}
+
+function toPort(value) {
+    const port = parseInt(value, 10);
+    return Number.isInteger(port) ? port : null;
+}
+
+/**
+ * Sockets with numeric ports and a process name wherever the PID is known
+ */
+async function listConnections() {
+    const [connections, processes] = await Promise.all([
+        si.networkConnections(),
+        listProcesses().catch(() => [])
+    ]);
+    const names = new Map(processes.map(p => [p.pid, p.name]));
+
+    return connections.map(connection => {
+        const normalized = {
+            protocol: (connection.protocol || '').toLowerCase(),
+            localAddress: connection.localAddress || '',
+            localPort: toPort(connection.localPort),
+            peerAddress: connection.peerAddress || '',
+            peerPort: toPort(connection.peerPort),
+            state: connection.state || '',
+            // Sockets owned by other users only report a PID when running as root/administrator
+            pid: connection.pid > 0 ? connection.pid : null,
+            process: connection.process || names.get(connection.pid) || null
+        };
+        normalized.listening = isListening(normalized);
+        return normalized;
+    });
+}
+
+function summarizeConnections(connections) {
+    return {
+        total: connections.length,
+        listening: connections.filter(c => c.listening).length,
+        established: connections.filter(c => c.state === 'ESTABLISHED').length
+    };
+}
+
+module.exports = { listConnections, summarizeConnections, isListening };
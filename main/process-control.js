@@ -0,0 +1,205 @@
+/**
+ * PlayNexus Process Control
+ * Sends signals and changes priority for other processes, refusing protected ones
+ * (this app, init and the session manager by default)
+ */
+
+const os = require('os');
+const { listProcesses } = require('./process-list');
+
+const SIGNALS = {
+    TERM: 'SIGTERM',
+    KILL: 'SIGKILL',
+    STOP: 'SIGSTOP',
+    CONT: 'SIGCONT'
+};
+
+// Windows can only terminate; it has no equivalent of stop/continue signals
+const WINDOWS_SIGNALS = ['TERM', 'KILL'];
+
+const DEFAULT_PROTECTED = [
+    'init',
+    'systemd',
+    'launchd',
+    'kernel_task',
+    'loginwindow',
+    'WindowServer',
+    'gnome-session-binary',
+    'gnome-shell',
+    'ksmserver',
+    'plasmashell',
+    'Xorg',
+    'System',
+    'smss.exe',
+    'csrss.exe',
+    'wininit.exe',
+    'winlogon.exe',
+    'services.exe',
+    'lsass.exe',
+    'explorer.exe'
+];
+
+/**
+ * Turn a system error into a message that says what the user can do about it
+ */
+function describeError(error, target, action) {
+    const label = `${target.name} (${target.pid})`;
+    switch (error.code) {
+        case 'EPERM':
+        case 'EACCES':
+            return `Permission denied to ${action} ${label}. It belongs to another user or needs administrator/root rights.`;
+        case 'ESRCH':
+            return `${label} is no longer running.`;
+        default:
+            return `Failed to ${action} ${label}: ${error.message}`;
+    }
+}
+
+/**
+ * PIDs of the process and all its descendants, deepest first so children go before parents
+ */
+function collectSubtree(processes, pid, exclude = new Set()) {
+    const children = new Map();
+    for (const entry of processes) {
+        if (entry.ppid === entry.pid) continue;
+        if (!children.has(entry.ppid)) children.set(entry.ppid, []);
+        children.get(entry.ppid).push(entry.pid);
+    }
+
+    const ordered = [];
+    const seen = new Set();
+    const visit = (current) => {
+        if (seen.has(current) || exclude.has(current)) return;
+        seen.add(current);
+        (children.get(current) || []).forEach(visit);
+        ordered.push(current);
+    };
+    visit(pid);
+    return ordered;
+}
+
+class ProcessController {
+    constructor(options = {}) {
+        this.protectedNames = options.protected || DEFAULT_PROTECTED;
+        this.released = new Set();
+    }
+
+    /**
+     * Stop treating a process started by the app (e.g. a watchdog restart) as part of the app
+     */
+    release(pid) {
+        this.released.add(pid);
+    }
+
+    setProtected(names) {
+        this.protectedNames = Array.isArray(names) ? names : DEFAULT_PROTECTED;
+    }
+
+    /**
+     * Why a process may not be touched, or null when it may
+     * The app's own process tree is always protected, whatever the configured list says
+     */
+    protectionReason(target, ownPids) {
+        if (ownPids.has(target.pid)) return 'it is part of PlayNexus System Monitor';
+        if (target.pid <= 1) return 'it is a core system process';
+
+        const name = (target.name || '').toLowerCase();
+        if (this.protectedNames.some(entry => entry.toLowerCase() === name)) {
+            return 'it is on the protected process list';
+        }
+        return null;
+    }
+
+    /**
+     * Running processes for the requested PIDs (and their subtrees), refusing if any is protected
+     * Requested PIDs that already exited are skipped, as long as at least one is still running
+     */
+    async resolveTargets(requested, withChildren) {
+        const processes = await listProcesses();
+        const byPid = new Map(processes.map(entry => [entry.pid, entry]));
+
+        const running = requested.filter(pid => byPid.has(pid));
+        if (running.length === 0) {
+            throw new Error(requested.length === 1
+                ? `Process ${requested[0]} is not running.`
+                : 'None of these processes are running.');
+        }
+
+        for (const releasedPid of this.released) {
+            if (!byPid.has(releasedPid)) this.released.delete(releasedPid);
+        }
+        const ownPids = new Set(collectSubtree(processes, process.pid, this.released));
+        const pids = withChildren
+            ? Array.from(new Set(running.flatMap(pid => collectSubtree(processes, pid))))
+            : running;
+        const targets = pids.map(id => byPid.get(id)).filter(Boolean);
+
+        for (const entry of targets) {
+            const reason = this.protectionReason(entry, ownPids);
+            if (reason) {
+                throw new Error(`Refusing to touch ${entry.name} (${entry.pid}): ${reason}.`);
+            }
+        }
+        return targets;
+    }
+
+    /**
+     * Send TERM, KILL, STOP or CONT to a process (or an array of them, e.g. an application group),
+     * optionally with their whole subtrees
+     */
+    async signal(pid, signalName, { withChildren = false } = {}) {
+        const requested = Array.isArray(pid) ? pid : [pid];
+        const signal = SIGNALS[signalName];
+        if (!signal) {
+            throw new Error(`Unknown signal "${signalName}". Expected one of: ${Object.keys(SIGNALS).join(', ')}.`);
+        }
+        if (process.platform === 'win32' && !WINDOWS_SIGNALS.includes(signalName)) {
+            throw new Error(`${signalName} is not supported on Windows; only ${WINDOWS_SIGNALS.join(' and ')} are available.`);
+        }
+
+        const targets = await this.resolveTargets(requested, withChildren);
+        const signalled = [];
+        const errors = [];
+
+        for (const target of targets) {
+            try {
+                process.kill(target.pid, signal);
+                signalled.push(target.pid);
+            } catch (error) {
+                // A child or group member that exited between listing and signalling is not a failure
+                if (error.code === 'ESRCH' && !(requested.length === 1 && target.pid === requested[0])) continue;
+                errors.push(describeError(error, target, `send ${signalName} to`));
+            }
+        }
+
+        return { signalled, errors };
+    }
+
+    /**
+     * Set the nice value (-20 highest priority to 19 lowest)
+     */
+    async setPriority(pid, priority) {
+        const value = Number(priority);
+        if (!Number.isInteger(value) || value < -20 || value > 19) {
+            throw new Error('Priority must be a whole number between -20 (highest) and 19 (lowest).');
+        }
+
+        const [target] = await this.resolveTargets([pid], false);
+        try {
+            os.setPriority(pid, value);
+            return { priority: os.getPriority(pid) };
+        } catch (error) {
+            throw new Error(describeError(error, target, 'change the priority of'));
+        }
+    }
+
+    getPriority(pid) {
+        try {
+            return os.getPriority(pid);
+        } catch (error) {
+            return null;
+        }
+    }
+}
+
+module.exports = { ProcessController, collectSubtree, SIGNALS, DEFAULT_PROTECTED };
@@ -0,0 +1,168 @@
+/**
+ * PlayNexus Process History
+ * Keeps a rolling window of per-process CPU and memory samples, keyed by PID and name,
+ * for sparklines, top-consumer rankings and single-process drill-down
+ */
+
+const DEFAULT_RETENTION = 30 * 60 * 1000;
+const METRICS = ['cpu', 'memory'];
+
+function seriesKey(pid, name) {
+    return `${pid}:${name}`;
+}
+
+class ProcessHistory {
+    constructor(options = {}) {
+        this.retention = options.retention || DEFAULT_RETENTION;
+        this.series = new Map();
+        this.timestamps = [];
+    }
+
+    setRetention(retention) {
+        if (retention > 0) {
+            this.retention = retention;
+            this.prune();
+        }
+    }
+
+    /**
+     * Add one process-list snapshot
+     */
+    record(timestamp, processes) {
+        for (const process of processes) {
+            const key = seriesKey(process.pid, process.name);
+            if (!this.series.has(key)) {
+                this.series.set(key, {
+                    name: process.name,
+                    pid: process.pid,
+                    command: process.command,
+                    points: []
+                });
+            }
+            this.series.get(key).points.push({
+                t: timestamp,
+                cpu: process.cpu || 0,
+                memory: process.memory || 0
+            });
+        }
+
+        this.timestamps.push(timestamp);
+        this.prune(timestamp);
+    }
+
+    prune(now = Date.now()) {
+        const cutoff = now - this.retention;
+
+        while (this.timestamps.length > 0 && this.timestamps[0] < cutoff) {
+            this.timestamps.shift();
+        }
+
+        for (const [key, series] of this.series) {
+            const firstKept = series.points.findIndex(point => point.t >= cutoff);
+            if (firstKept === -1) {
+                this.series.delete(key);
+            } else if (firstKept > 0) {
+                series.points.splice(0, firstKept);
+            }
+        }
+    }
+
+    /**
+     * Last `points` CPU values for every live process, keyed by "pid:name"
+     */
+    sparklines(points = 30) {
+        const latest = this.timestamps[this.timestamps.length - 1];
+        const result = {};
+        for (const [key, series] of this.series) {
+            const last = series.points[series.points.length - 1];
+            if (last.t !== latest) continue;
+            result[key] = series.points.slice(-points).map(point => point.cpu);
+        }
+        return result;
+    }
+
+    /**
+     * Rank process names by average usage over the last `window` ms
+     * Averages count samples where the process was absent as zero, so a job that
+     * spikes briefly every few minutes ranks by its real share of the window
+     */
+    top({ window = 10 * 60 * 1000, metric = 'cpu', limit = 10, now = Date.now() } = {}) {
+        if (!METRICS.includes(metric)) {
+            throw new Error(`Unknown process metric "${metric}"`);
+        }
+
+        const from = now - window;
+        const samples = this.timestamps.filter(t => t >= from).length;
+        if (samples === 0) return [];
+
+        const byName = new Map();
+        for (const series of this.series.values()) {
+            const points = series.points.filter(point => point.t >= from);
+            if (points.length === 0) continue;
+
+            if (!byName.has(series.name)) {
+                byName.set(series.name, { name: series.name, pids: new Set(), perSample: new Map() });
+            }
+            const entry = byName.get(series.name);
+            entry.pids.add(series.pid);
+            for (const point of points) {
+                entry.perSample.set(point.t, (entry.perSample.get(point.t) || 0) + point[metric]);
+            }
+        }
+
+        return Array.from(byName.values())
+            .map(entry => {
+                const values = Array.from(entry.perSample.values());
+                return {
+                    name: entry.name,
+                    pids: Array.from(entry.pids),
+                    average: values.reduce((sum, value) => sum + value, 0) / samples,
+                    peak: Math.max(...values),
+                    activeSamples: values.length,
+                    samples
+                };
+            })
+            .sort((a, b) => b.average - a.average)
+            .slice(0, limit);
+    }
+
+    /**
+     * CPU and memory over time for one PID, or summed over every PID sharing a name
+     */
+    query({ pid, name, from = 0 } = {}) {
+        if (pid !== undefined && pid !== null) {
+            const series = name !== undefined
+                ? this.series.get(seriesKey(pid, name))
+                : Array.from(this.series.values()).find(s => s.pid === pid);
+            if (!series) return null;
+
+            return {
+                name: series.name,
+                pid: series.pid,
+                command: series.command,
+                points: series.points.filter(point => point.t >= from)
+            };
+        }
+
+        const totals = new Map();
+        for (const series of this.series.values()) {
+            if (series.name !== name) continue;
+            for (const point of series.points) {
+                if (point.t < from) continue;
+                const total = totals.get(point.t) || { t: point.t, cpu: 0, memory: 0 };
+                total.cpu += point.cpu;
+                total.memory += point.memory;
+                totals.set(point.t, total);
+            }
+        }
+        if (totals.size === 0) return null;
+
+        return {
+            name,
+            pid: null,
+            points: Array.from(totals.values()).sort((a, b) => a.t - b.t)
+        };
+    }
+}
+
+module.exports = { ProcessHistory, seriesKey, DEFAULT_RETENTION };
@@ -0,0 +1,216 @@
+/**
+ * PlayNexus Process Inspector
+ * Collects everything known about a single PID: command line, working directory,
+ * environment, owner, start time, threads, open file descriptors and sockets.
+ * /proc supplies the details on Linux; other platforms get what systeminformation reports.
+ */
+
+const fs = require('fs').promises;
+const si = require('systeminformation');
+
+// Enough to see what a process has open without stalling on one holding tens of thousands
+const MAX_FDS = 500;
+
+// Single-letter states from /proc/<pid>/stat and ps
+const STATES = {
+    R: 'running',
+    S: 'sleeping',
+    I: 'idle',
+    D: 'disk-sleep',
+    T: 'stopped',
+    t: 'stopped',
+    Z: 'zombie',
+    X: 'dead'
+};
+
+function normalizeState(state) {
+    if (!state) return null;
+    return STATES[state] || String(state).toLowerCase();
+}
+
+async function readProcFile(pid, file) {
+    try {
+        return await fs.readFile(`/proc/${pid}/${file}`, 'utf8');
+    } catch (error) {
+        return null;
+    }
+}
+
+async function readProcLink(pid, link) {
+    try {
+        return await fs.readlink(`/proc/${pid}/${link}`);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * State, owner, start time and thread count of each PID for the process table,
+ * e.g. { 1234: { state: 'sleeping', user: 'alice', started: '2024-01-01 09:00:00', threads: 4 } }
+ * `list` is systeminformation's process list (see readSystemProcesses in process-list.js)
+ * Threads are only known on Linux
+ */
+async function readProcessAttributes(list) {
+    const attributes = {};
+    for (const entry of list) {
+        attributes[entry.pid] = {
+            state: normalizeState(entry.state),
+            user: entry.user || null,
+            started: entry.started || null,
+            threads: null
+        };
+    }
+
+    if (process.platform === 'linux') {
+        await Promise.all(list.map(async ({ pid }) => {
+            const stat = await readProcFile(pid, 'stat');
+            if (!stat) return;
+
+            // The name field may contain spaces and parentheses, so read past the last ')'
+            // Fields from there on start at field 3 (state); num_threads is field 20
+            const fields = stat.slice(stat.lastIndexOf(')') + 2).split(' ');
+            const entry = attributes[pid] || (attributes[pid] = { state: null, user: null, started: null, threads: null });
+            entry.state = normalizeState(fields[0]);
+            entry.threads = parseInt(fields[17], 10) || null;
+        }));
+    }
+
+    return attributes;
+}
+
+/**
+ * Exact resident set sizes in bytes, keyed by PID
+ * Read from /proc on Linux; elsewhere (notably Windows, where ps-list reports no memory at all)
+ * systeminformation's memRss is used, which is in kB
+ */
+async function readResidentSizes(pids) {
+    const sizes = {};
+    if (process.platform !== 'linux') {
+        const wanted = new Set(pids);
+        const { list } = await si.processes().catch(() => ({ list: [] }));
+        for (const entry of list) {
+            if (wanted.has(entry.pid) && Number.isFinite(entry.memRss)) {
+                sizes[entry.pid] = Math.round(entry.memRss * 1024);
+            }
+        }
+        return sizes;
+    }
+
+    await Promise.all(pids.map(async (pid) => {
+        const status = await readProcFile(pid, 'status');
+        const match = status && status.match(/^VmRSS:\s+(\d+)\s+kB/m);
+        if (match) sizes[pid] = parseInt(match[1], 10) * 1024;
+    }));
+    return sizes;
+}
+
+/**
+ * Fields only /proc can provide; null values mean unreadable (usually another user's process)
+ */
+async function readProcDetails(pid) {
+    const [cmdline, environ, status, cwd, exe] = await Promise.all([
+        readProcFile(pid, 'cmdline'),
+        readProcFile(pid, 'environ'),
+        readProcFile(pid, 'status'),
+        readProcLink(pid, 'cwd'),
+        readProcLink(pid, 'exe')
+    ]);
+
+    const details = { cwd, path: exe };
+
+    if (cmdline) {
+        details.command = cmdline.split('\0').filter(Boolean).join(' ');
+    }
+
+    if (environ !== null) {
+        details.environment = {};
+        for (const entry of environ.split('\0').filter(Boolean)) {
+            const separator = entry.indexOf('=');
+            if (separator > 0) {
+                details.environment[entry.slice(0, separator)] = entry.slice(separator + 1);
+            }
+        }
+    }
+
+    if (status) {
+        const threads = status.match(/^Threads:\s+(\d+)/m);
+        const uid = status.match(/^Uid:\s+(\d+)/m);
+        if (threads) details.threads = parseInt(threads[1], 10);
+        if (uid) details.uid = parseInt(uid[1], 10);
+    }
+
+    try {
+        const fds = await fs.readdir(`/proc/${pid}/fd`);
+        details.fdCount = fds.length;
+        details.fds = await Promise.all(
+            fds.slice(0, MAX_FDS).map(async fd => ({
+                fd: parseInt(fd, 10),
+                target: await readProcLink(pid, `fd/${fd}`)
+            }))
+        );
+        details.fds.sort((a, b) => a.fd - b.fd);
+    } catch (error) {
+        // Not our process; leave fds unavailable
+    }
+
+    return details;
+}
+
+/**
+ * Everything known about one PID, or null when it is not running
+ */
+async function inspectProcess(pid) {
+    const [processes, connections] = await Promise.all([
+        si.processes(),
+        si.networkConnections().catch(() => [])
+    ]);
+
+    const entry = processes.list.find(p => p.pid === pid);
+    const linux = process.platform === 'linux';
+    if (!entry && !(linux && await readProcFile(pid, 'stat'))) {
+        return null;
+    }
+
+    const details = {
+        pid,
+        ppid: entry ? entry.parentPid : null,
+        name: entry ? entry.name : null,
+        state: entry ? normalizeState(entry.state) : null,
+        user: entry ? entry.user || null : null,
+        uid: null,
+        started: entry ? entry.started || null : null,
+        priority: entry ? entry.priority : null,
+        nice: entry ? entry.nice : null,
+        command: entry ? [entry.command, entry.params].filter(Boolean).join(' ') : null,
+        path: entry ? entry.path || null : null,
+        cwd: null,
+        environment: null,
+        threads: null,
+        fds: null,
+        fdCount: null,
+        // systeminformation reports memory in KB
+        rss: entry && entry.memRss ? entry.memRss * 1024 : null,
+        vsz: entry && entry.memVsz ? entry.memVsz * 1024 : null,
+        sockets: connections
+            .filter(connection => connection.pid === pid)
+            .map(connection => ({
+                protocol: connection.protocol,
+                localAddress: connection.localAddress,
+                localPort: connection.localPort,
+                peerAddress: connection.peerAddress,
+                peerPort: connection.peerPort,
+                state: connection.state
+            }))
+    };
+
+    if (linux) {
+        const procDetails = await readProcDetails(pid);
+        for (const [key, value] of Object.entries(procDetails)) {
+            if (value !== null && value !== undefined) details[key] = value;
+        }
+    }
+
+    return details;
+}
+
+module.exports = { inspectProcess, readProcessAttributes, readResidentSizes, normalizeState };
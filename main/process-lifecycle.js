@@ -0,0 +1,131 @@
+/**
+ * PlayNexus Process Lifecycle
+ * Diffs successive process snapshots into process-started and process-exited events,
+ * tracking each process's lifetime and peak usage while it runs
+ */
+
+const DEFAULT_LIMIT = 500;
+
+function processKey(process) {
+    // PIDs are reused, so a new name behind the same PID counts as a new process
+    return `${process.pid}:${process.name}`;
+}
+
+class ProcessLifecycle {
+    constructor(options = {}) {
+        this.limit = options.limit || DEFAULT_LIMIT;
+        this.onEvent = options.onEvent || (() => {});
+        this.running = null;
+        this.events = [];
+    }
+
+    /**
+     * Forget the current snapshot; the next one becomes the new baseline
+     * Used when sampling restarts so a gap is not reported as a burst of starts and exits
+     */
+    reset() {
+        this.running = null;
+    }
+
+    setLimit(limit) {
+        if (limit > 0) {
+            this.limit = limit;
+            this.events.splice(limit);
+        }
+    }
+
+    /**
+     * Compare a snapshot with the previous one and emit events for the differences
+     * The first snapshot only establishes what is already running
+     */
+    update(processes, timestamp = Date.now()) {
+        const baseline = this.running === null;
+        const previous = this.running || new Map();
+        const current = new Map();
+        const events = [];
+
+        for (const process of processes) {
+            const key = processKey(process);
+            let entry = previous.get(key);
+
+            if (!entry) {
+                entry = {
+                    pid: process.pid,
+                    ppid: process.ppid,
+                    name: process.name,
+                    command: process.command,
+                    // Processes already running at the baseline have an unknown start time
+                    startedAt: baseline ? null : timestamp,
+                    firstSeen: timestamp,
+                    peak: { cpu: 0, memory: 0, rss: null }
+                };
+                if (!baseline) {
+                    events.push(this.createEvent('process-started', entry, timestamp));
+                }
+            }
+
+            entry.lastSeen = timestamp;
+            entry.peak.cpu = Math.max(entry.peak.cpu, process.cpu || 0);
+            entry.peak.memory = Math.max(entry.peak.memory, process.memory || 0);
+            if (process.rss !== undefined) {
+                entry.peak.rss = Math.max(entry.peak.rss || 0, process.rss);
+            }
+            current.set(key, entry);
+        }
+
+        for (const [key, entry] of previous) {
+            if (!current.has(key)) {
+                events.push(this.createEvent('process-exited', entry, timestamp));
+            }
+        }
+
+        this.running = current;
+        for (const event of events) {
+            this.record(event);
+        }
+        return events;
+    }
+
+    createEvent(type, entry, timestamp) {
+        const event = {
+            type,
+            timestamp,
+            pid: entry.pid,
+            ppid: entry.ppid,
+            name: entry.name,
+            command: entry.command
+        };
+
+        if (type === 'process-exited') {
+            const since = entry.startedAt ?? entry.firstSeen;
+            Object.assign(event, {
+                startedAt: entry.startedAt,
+                // Exits are noticed on the first sample the process is missing from
+                lifetime: timestamp - since,
+                lifetimeIsMinimum: entry.startedAt === null,
+                lastSeen: entry.lastSeen,
+                peak: { ...entry.peak }
+            });
+        }
+        return event;
+    }
+
+    record(event) {
+        this.events.unshift(event);
+        this.events.splice(this.limit);
+        try {
+            this.onEvent(event);
+        } catch (error) {
+            console.error('Process lifecycle listener error:', error);
+        }
+    }
+
+    /**
+     * Newest first, optionally only events after `since`
+     */
+    getEvents({ since = 0, limit = this.limit } = {}) {
+        return this.events.filter(event => event.timestamp > since).slice(0, limit);
+    }
+}
+
+module.exports = { ProcessLifecycle, processKey };
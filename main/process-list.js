@@ -0,0 +1,62 @@
+const os = require('os');
+const si = require('systeminformation');
+
+// ps-list is ESM-only, so it has to be loaded with a dynamic import
+const psList = (...args) => import('ps-list').then(module => module.default(...args));
+
+/**
+ * systeminformation's process list, or an empty one when it cannot be read
+ * One list per refresh can be shared between listProcesses() and readProcessAttributes()
+ */
+async function readSystemProcesses() {
+    const { list } = await si.processes().catch(() => ({ list: [] }));
+    return list;
+}
+
+/**
+ * CPU and memory usage keyed by PID, from a systeminformation process list
+ * ps-list reports neither on Windows, so they are filled in from here
+ */
+function readUsage(list) {
+    const usage = {};
+    for (const entry of list) {
+        usage[entry.pid] = {
+            cpu: Number.isFinite(entry.cpu) ? entry.cpu : undefined,
+            memory: Number.isFinite(entry.mem) ? entry.mem : undefined,
+            // memRss is in kB
+            rss: Number.isFinite(entry.memRss) ? Math.round(entry.memRss * 1024) : undefined
+        };
+    }
+    return usage;
+}
+
+/**
+ * Snapshot of running processes in the shape the renderer expects
+ * Pass `systemList` from readSystemProcesses() to reuse it; on Windows it is read otherwise
+ */
+async function listProcesses(systemList) {
+    const processes = await psList();
+    const usage = process.platform === 'win32'
+        ? readUsage(systemList || await readSystemProcesses())
+        : null;
+    const totalMemory = os.totalmem();
+    return processes.map(p => {
+        if (usage) {
+            const entry = usage[p.pid] || {};
+            return { name: p.name, pid: p.pid, ppid: p.ppid, cpu: entry.cpu, memory: entry.memory, rss: entry.rss, command: p.cmd };
+        }
+        return {
+            name: p.name,
+            pid: p.pid,
+            ppid: p.ppid,
+            cpu: p.cpu,
+            memory: p.memory,
+            // ps only reports %mem, so resident size is derived from it; readResidentSizes gives exact
+            // sizes where a trend has to be fitted to them
+            rss: p.memory === undefined ? undefined : Math.round((p.memory / 100) * totalMemory),
+            command: p.cmd
+        };
+    });
+}
+
+module.exports = { listProcesses, readSystemProcesses };
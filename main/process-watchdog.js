@@ -0,0 +1,427 @@
+/**
+ * PlayNexus Process Watchdog
+ * Rules tied to process names or command-line patterns, evaluated against every
+ * periodic process sample:
+ *   exited    - no matching process is running (notify or restart with backoff)
+ *   instances - more than `threshold` matching processes (notify, or terminate the newest extras)
+ *   memory    - a matching process uses more than `threshold` bytes RSS
+ *   cpu       - a matching process uses more than `threshold` percent CPU
+ * Every action is appended to watchdog.log in the user data directory; once it reaches
+ * MAX_LOG_SIZE it is rotated to watchdog.log.1, replacing the previous one.
+ */
+
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const { spawn } = require('child_process');
+
+const CONDITIONS = ['exited', 'instances', 'memory', 'cpu'];
+const ACTIONS = ['notify', 'restart', 'terminate', 'kill'];
+const SIGNAL_FOR_ACTION = { terminate: 'TERM', kill: 'KILL' };
+const MAX_LOG_ENTRIES = 500;
+const MAX_LOG_SIZE = 1024 * 1024;
+
+/**
+ * Check and normalize a rule; throws with a readable message when it is invalid
+ */
+function normalizeRule(rule) {
+    if (!rule || typeof rule !== 'object') {
+        throw new Error('Watchdog rule must be an object');
+    }
+
+    const label = rule.name || rule.match?.name || rule.match?.command || 'unnamed rule';
+    const match = rule.match || {};
+    if (!match.name && !match.command) {
+        throw new Error(`Watchdog rule "${label}" needs match.name or match.command`);
+    }
+    if (match.command) {
+        try {
+            new RegExp(match.command);
+        } catch (error) {
+            throw new Error(`Invalid match.command pattern in "${label}": ${error.message}`);
+        }
+    }
+
+    if (!CONDITIONS.includes(rule.condition)) {
+        throw new Error(`Unknown condition "${rule.condition}" in "${label}", expected one of: ${CONDITIONS.join(', ')}`);
+    }
+    if (!ACTIONS.includes(rule.action)) {
+        throw new Error(`Unknown action "${rule.action}" in "${label}", expected one of: ${ACTIONS.join(', ')}`);
+    }
+
+    if (rule.condition === 'exited') {
+        if (rule.action !== 'notify' && rule.action !== 'restart') {
+            throw new Error(`"${label}": an exited process can only be notified about or restarted`);
+        }
+    } else if (rule.action === 'restart') {
+        throw new Error(`"${label}": restart is only available for the exited condition`);
+    }
+
+    if (rule.action === 'restart' && (!rule.command || typeof rule.command !== 'string')) {
+        throw new Error(`"${label}": restart needs a command`);
+    }
+
+    const threshold = Number(rule.threshold);
+    if (rule.condition !== 'exited' && !(Number.isFinite(threshold) && threshold >= 0)) {
+        throw new Error(`"${label}": threshold must be a non-negative number`);
+    }
+
+    const nonNegative = (value, fallback) => {
+        const number = Number(value);
+        return Number.isFinite(number) && number >= 0 ? number : fallback;
+    };
+
+    return {
+        id: rule.id || crypto.randomUUID(),
+        name: rule.name || label,
+        enabled: rule.enabled !== false,
+        match: {
+            ...(match.name ? { name: String(match.name) } : {}),
+            ...(match.command ? { command: String(match.command) } : {})
+        },
+        condition: rule.condition,
+        threshold: rule.condition === 'exited' ? null : threshold,
+        duration: nonNegative(rule.duration, 0),
+        action: rule.action,
+        grace: nonNegative(rule.grace, 0),
+        command: rule.command || null,
+        args: Array.isArray(rule.args) ? rule.args.map(String) : [],
+        cwd: rule.cwd || null,
+        maxRestarts: nonNegative(rule.maxRestarts, 5),
+        backoff: nonNegative(rule.backoff, 1000),
+        maxBackoff: nonNegative(rule.maxBackoff, 60000),
+        stableAfter: nonNegative(rule.stableAfter, 60000)
+    };
+}
+
+function formatBytes(bytes) {
+    if (!bytes) return '0 B';
+    const k = 1024;
+    const sizes = ['B', 'KB', 'MB', 'GB', 'TB'];
+    const i = Math.floor(Math.log(bytes) / Math.log(k));
+    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+}
+
+class ProcessWatchdog {
+    constructor(directory, options = {}) {
+        this.filePath = path.join(directory, 'watchdog-rules.json');
+        this.logPath = path.join(directory, 'watchdog.log');
+        this.controller = options.controller;
+        this.onEvent = options.onEvent || (() => {});
+        this.spawnProcess = options.spawn || spawn;
+        this.rules = [];
+        this.states = new Map();
+        this.entries = [];
+        this.evaluating = false;
+        // Appends are chained so rotation never races a write
+        this.writing = Promise.resolve();
+    }
+
+    async load() {
+        try {
+            const content = await fs.readFile(this.filePath, 'utf8');
+            this.setRules(JSON.parse(content));
+        } catch (error) {
+            console.log('No watchdog rules found');
+            this.setRules([]);
+        }
+        await this.loadLog();
+    }
+
+    /**
+     * Seed the in-memory log, newest first, from the tail of watchdog.log (and its
+     * rotated copy when the current file is short)
+     */
+    async loadLog() {
+        const lines = [];
+        for (const filePath of [`${this.logPath}.1`, this.logPath]) {
+            try {
+                const content = await fs.readFile(filePath, 'utf8');
+                lines.push(...content.split('\n'));
+            } catch (error) {
+                // Missing until the first action is logged
+            }
+        }
+
+        const entries = [];
+        for (let i = lines.length - 1; i >= 0 && entries.length < MAX_LOG_ENTRIES; i--) {
+            if (!lines[i]) continue;
+            try {
+                entries.push(JSON.parse(lines[i]));
+            } catch (error) {
+                // Skip a line cut short by a crash mid-append
+            }
+        }
+        this.entries = entries;
+    }
+
+    async save() {
+        try {
+            await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+            await fs.writeFile(this.filePath, JSON.stringify(this.rules, null, 2), 'utf8');
+        } catch (error) {
+            console.error('Failed to save watchdog rules:', error);
+        }
+    }
+
+    /**
+     * Replace the rule set; restart counters are kept for rules whose id survives
+     */
+    setRules(rules) {
+        if (!Array.isArray(rules)) {
+            throw new Error('Watchdog rules must be an array');
+        }
+
+        this.rules = rules.map(normalizeRule);
+
+        const ids = new Set(this.rules.map(rule => rule.id));
+        for (const id of this.states.keys()) {
+            if (!ids.has(id)) this.states.delete(id);
+        }
+        return this.rules;
+    }
+
+    getState(rule) {
+        if (!this.states.has(rule.id)) {
+            this.states.set(rule.id, {
+                violations: new Map(),
+                restarts: 0,
+                nextRestartAt: 0,
+                runningSince: null,
+                gaveUp: false
+            });
+        }
+        return this.states.get(rule.id);
+    }
+
+    findMatches(rule, processes) {
+        const name = rule.match.name?.toLowerCase();
+        const pattern = rule.match.command ? new RegExp(rule.match.command) : null;
+
+        return processes.filter(process => {
+            if (name && (process.name || '').toLowerCase() !== name) return false;
+            if (pattern && !pattern.test(process.command || process.name || '')) return false;
+            return true;
+        });
+    }
+
+    /**
+     * Violations keyed so per-process conditions track each PID separately
+     */
+    findViolations(rule, matches) {
+        switch (rule.condition) {
+            case 'exited':
+                return matches.length === 0
+                    ? [{ key: 'rule', targets: [], message: `${rule.name}: no matching process is running` }]
+                    : [];
+            case 'instances':
+                if (matches.length <= rule.threshold) return [];
+                return [{
+                    key: 'rule',
+                    // The newest instances (highest PIDs) are the extras
+                    targets: matches.slice().sort((a, b) => b.pid - a.pid).slice(0, matches.length - rule.threshold),
+                    message: `${rule.name}: ${matches.length} instances running (limit ${rule.threshold})`
+                }];
+            case 'memory':
+                return matches
+                    .filter(process => process.rss > rule.threshold)
+                    .map(process => ({
+                        key: process.pid,
+                        targets: [process],
+                        message: `${rule.name}: ${process.name} (${process.pid}) uses ${formatBytes(process.rss)} RSS (limit ${formatBytes(rule.threshold)})`
+                    }));
+            case 'cpu':
+                return matches
+                    .filter(process => process.cpu > rule.threshold)
+                    .map(process => ({
+                        key: process.pid,
+                        targets: [process],
+                        message: `${rule.name}: ${process.name} (${process.pid}) uses ${process.cpu.toFixed(1)}% CPU (limit ${rule.threshold}%)`
+                    }));
+            default:
+                return [];
+        }
+    }
+
+    /**
+     * Evaluate every rule against one process sample
+     */
+    async evaluate(processes, now = Date.now()) {
+        // Actions are async; a slow kill must not overlap with the next sample
+        if (this.evaluating) return;
+        this.evaluating = true;
+
+        try {
+            for (const rule of this.rules) {
+                if (!rule.enabled) continue;
+                await this.evaluateRule(rule, processes, now);
+            }
+        } finally {
+            this.evaluating = false;
+        }
+    }
+
+    async evaluateRule(rule, processes, now) {
+        const state = this.getState(rule);
+        const matches = this.findMatches(rule, processes);
+        const violations = this.findViolations(rule, matches);
+
+        if (rule.condition === 'exited') {
+            this.trackStability(rule, state, matches, now);
+        }
+
+        const active = new Set(violations.map(violation => violation.key));
+        for (const key of state.violations.keys()) {
+            if (!active.has(key)) state.violations.delete(key);
+        }
+
+        for (const violation of violations) {
+            if (!state.violations.has(violation.key)) {
+                state.violations.set(violation.key, { since: now, notified: false, warnedAt: null, actedAt: null });
+            }
+            const entry = state.violations.get(violation.key);
+            if (now - entry.since < rule.duration) continue;
+
+            if (rule.action === 'notify') {
+                if (!entry.notified) {
+                    entry.notified = true;
+                    this.log(rule, 'notify', violation.message);
+                }
+            } else if (rule.action === 'restart') {
+                this.restart(rule, state, now);
+            } else {
+                await this.terminate(rule, violation, entry, now);
+            }
+        }
+    }
+
+    // Reset the restart counter once a restarted process has stayed up for `stableAfter`
+    trackStability(rule, state, matches, now) {
+        if (matches.length === 0) {
+            state.runningSince = null;
+            return;
+        }
+
+        if (state.runningSince === null) state.runningSince = now;
+        if ((state.restarts > 0 || state.gaveUp) && now - state.runningSince >= rule.stableAfter) {
+            this.log(rule, 'stable', `${rule.name}: running again for ${Math.round((now - state.runningSince) / 1000)}s, restart counter reset`);
+            state.restarts = 0;
+            state.nextRestartAt = 0;
+            state.gaveUp = false;
+        }
+    }
+
+    restart(rule, state, now) {
+        if (state.gaveUp || now < state.nextRestartAt) return;
+
+        if (state.restarts >= rule.maxRestarts) {
+            state.gaveUp = true;
+            this.log(rule, 'gave-up', `${rule.name}: giving up after ${state.restarts} restarts`);
+            return;
+        }
+
+        state.restarts++;
+        const delay = Math.min(rule.backoff * Math.pow(2, state.restarts - 1), rule.maxBackoff);
+        state.nextRestartAt = now + delay;
+
+        try {
+            const child = this.spawnProcess(rule.command, rule.args, {
+                cwd: rule.cwd || undefined,
+                detached: true,
+                stdio: 'ignore'
+            });
+            child.on('error', (error) => {
+                this.log(rule, 'error', `${rule.name}: failed to start ${rule.command}: ${error.message}`);
+            });
+            if (child.pid) {
+                // The service is not part of the app, so it must stay controllable
+                this.controller?.release(child.pid);
+            }
+            child.unref();
+
+            this.log(rule, 'restart',
+                `${rule.name}: restarted ${[rule.command, ...rule.args].join(' ')} (attempt ${state.restarts}/${rule.maxRestarts}, next retry no sooner than ${Math.round(delay / 1000)}s)`,
+                child.pid);
+        } catch (error) {
+            this.log(rule, 'error', `${rule.name}: failed to start ${rule.command}: ${error.message}`);
+        }
+    }
+
+    async terminate(rule, violation, entry, now) {
+        if (entry.actedAt !== null) return;
+
+        // With a grace period the user is warned first and the action follows if it still applies
+        if (rule.grace > 0) {
+            if (entry.warnedAt === null) {
+                entry.warnedAt = now;
+                this.log(rule, 'notify', `${violation.message}; will ${rule.action} in ${Math.round(rule.grace / 1000)}s`);
+                return;
+            }
+            if (now - entry.warnedAt < rule.grace) return;
+        }
+
+        entry.actedAt = now;
+        const signal = SIGNAL_FOR_ACTION[rule.action];
+        for (const target of violation.targets) {
+            try {
+                const result = await this.controller.signal(target.pid, signal);
+                if (result.errors.length > 0) {
+                    this.log(rule, 'error', result.errors.join(' '), target.pid);
+                } else {
+                    this.log(rule, rule.action, `${violation.message}; sent SIG${signal} to ${target.name} (${target.pid})`, target.pid);
+                }
+            } catch (error) {
+                this.log(rule, 'error', `${rule.name}: ${error.message}`, target.pid);
+            }
+        }
+    }
+
+    log(rule, type, message, pid = null) {
+        const entry = {
+            timestamp: Date.now(),
+            ruleId: rule.id,
+            rule: rule.name,
+            type,
+            message,
+            ...(pid ? { pid } : {})
+        };
+
+        this.entries.unshift(entry);
+        this.entries.length = Math.min(this.entries.length, MAX_LOG_ENTRIES);
+        console.log(`Watchdog ${type}: ${message}`);
+
+        this.writing = this.writing
+            .then(() => this.appendLog(JSON.stringify(entry) + '\n'))
+            .catch(error => console.error('Failed to write watchdog log:', error));
+
+        this.onEvent(entry);
+    }
+
+    async appendLog(line) {
+        const size = await fs.stat(this.logPath).then(stats => stats.size, () => 0);
+        if (size > 0 && size + Buffer.byteLength(line) > MAX_LOG_SIZE) {
+            await fs.rename(this.logPath, `${this.logPath}.1`);
+        }
+        await fs.appendFile(this.logPath, line, 'utf8');
+    }
+
+    /**
+     * Rule states for the UI plus the recent action log
+     */
+    getStatus() {
+        return {
+            rules: this.rules.map(rule => {
+                const state = this.getState(rule);
+                return {
+                    ...rule,
+                    status: state.gaveUp ? 'gave-up' : state.violations.size > 0 ? 'triggered' : 'ok',
+                    restarts: state.restarts,
+                    nextRestartAt: state.nextRestartAt || null
+                };
+            }),
+            log: this.entries.slice(0, 100)
+        };
+    }
+}
+
+module.exports = { ProcessWatchdog, normalizeRule, CONDITIONS, ACTIONS };
@@ -0,0 +1,168 @@
+/**
+ * PlayNexus Prometheus Exporter
+ * Serves the latest collector output in Prometheus text exposition format
+ */
+
+const http = require('http');
+
+function escapeLabel(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/"/g, '\\"')
+        .replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels || {});
+    if (entries.length === 0) return '';
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+/**
+ * Collects samples grouped by metric family so HELP/TYPE lines are written once
+ */
+class MetricWriter {
+    constructor() {
+        this.families = new Map();
+    }
+
+    add(name, type, help, value, labels) {
+        const number = Number(value);
+        if (!Number.isFinite(number)) return;
+
+        if (!this.families.has(name)) {
+            this.families.set(name, { type, help, samples: [] });
+        }
+        this.families.get(name).samples.push(`${name}${formatLabels(labels)} ${number}`);
+    }
+
+    toString() {
+        let output = '';
+        for (const [name, family] of this.families) {
+            output += `# HELP ${name} ${family.help}\n`;
+            output += `# TYPE ${name} ${family.type}\n`;
+            output += family.samples.join('\n') + '\n';
+        }
+        return output;
+    }
+}
+
+/**
+ * Render a system snapshot (as built from the collectors) as exposition text
+ */
+function formatMetrics(snapshot) {
+    const metrics = new MetricWriter();
+    if (!snapshot) return metrics.toString();
+
+    const { cpu, memory, disk, network, processes, sampling } = snapshot;
+
+    if (cpu) {
+        metrics.add('playnexus_cpu_load_percent', 'gauge', 'Total CPU load in percent.', cpu.load);
+        metrics.add('playnexus_cpu_cores', 'gauge', 'Number of logical CPU cores.', cpu.cores);
+        metrics.add('playnexus_cpu_temperature_celsius', 'gauge', 'Main CPU temperature in degrees Celsius.', cpu.temperature);
+        (cpu.perCore || []).forEach(core => {
+            const labels = { core: core.core };
+            metrics.add('playnexus_cpu_core_load_percent', 'gauge', 'Per-core CPU load in percent.', core.load, labels);
+            metrics.add('playnexus_cpu_core_iowait_percent', 'gauge', 'Per-core iowait in percent.', core.iowait, labels);
+        });
+    }
+
+    if (memory) {
+        metrics.add('playnexus_memory_total_bytes', 'gauge', 'Total physical memory in bytes.', memory.total);
+        metrics.add('playnexus_memory_used_bytes', 'gauge', 'Used physical memory in bytes.', memory.used);
+        metrics.add('playnexus_memory_available_bytes', 'gauge', 'Available physical memory in bytes.', memory.available);
+    }
+
+    (disk || []).forEach(d => {
+        const labels = { mount: d.mount || d.fs, device: d.fs, fstype: d.type || '' };
+        metrics.add('playnexus_filesystem_size_bytes', 'gauge', 'Filesystem size in bytes.', d.size, labels);
+        metrics.add('playnexus_filesystem_used_bytes', 'gauge', 'Filesystem space used in bytes.', d.used, labels);
+        metrics.add('playnexus_filesystem_available_bytes', 'gauge', 'Filesystem space available in bytes.', d.available, labels);
+        metrics.add('playnexus_filesystem_used_percent', 'gauge', 'Filesystem space used in percent.', d.percentage, labels);
+    });
+
+    (network?.interfaces || []).forEach(n => {
+        const labels = { interface: n.iface };
+        metrics.add('playnexus_network_receive_bytes_per_second', 'gauge', 'Receive rate in bytes per second.', n.rx_sec, labels);
+        metrics.add('playnexus_network_transmit_bytes_per_second', 'gauge', 'Transmit rate in bytes per second.', n.tx_sec, labels);
+        metrics.add('playnexus_network_receive_bytes_total', 'counter', 'Bytes received.', n.rx_bytes, labels);
+        metrics.add('playnexus_network_transmit_bytes_total', 'counter', 'Bytes transmitted.', n.tx_bytes, labels);
+        metrics.add('playnexus_network_receive_errors_total', 'counter', 'Receive errors.', n.rx_errors, labels);
+        metrics.add('playnexus_network_transmit_errors_total', 'counter', 'Transmit errors.', n.tx_errors, labels);
+        metrics.add('playnexus_network_receive_drop_total', 'counter', 'Received packets dropped.', n.rx_dropped, labels);
+        metrics.add('playnexus_network_transmit_drop_total', 'counter', 'Transmitted packets dropped.', n.tx_dropped, labels);
+    });
+
+    if (processes) {
+        metrics.add('playnexus_processes', 'gauge', 'Number of running processes.', processes.count);
+    }
+
+    Object.entries(sampling || {}).forEach(([collector, stats]) => {
+        const labels = { collector };
+        metrics.add('playnexus_collector_duration_milliseconds', 'gauge', 'Duration of the last collection.', stats.lastDuration, labels);
+        metrics.add('playnexus_collector_interval_milliseconds', 'gauge', 'Current collection interval after backoff.', stats.effectiveInterval, labels);
+        metrics.add('playnexus_collector_missed_samples_total', 'counter', 'Samples missed because collection fell behind.', stats.missed, labels);
+        metrics.add('playnexus_collector_late_samples_total', 'counter', 'Samples that started late.', stats.late, labels);
+    });
+
+    return metrics.toString();
+}
+
+class PrometheusExporter {
+    constructor(getSnapshot) {
+        this.getSnapshot = getSnapshot;
+        this.server = null;
+        this.address = null;
+    }
+
+    isRunning() {
+        return this.server !== null;
+    }
+
+    start({ host = '127.0.0.1', port = 9464 } = {}) {
+        return new Promise((resolve, reject) => {
+            const server = http.createServer((req, res) => this.handleRequest(req, res));
+
+            server.once('error', reject);
+            server.listen(port, host, () => {
+                server.removeListener('error', reject);
+                server.on('error', error => console.error('Prometheus exporter error:', error));
+                this.server = server;
+                this.address = `${host}:${port}`;
+                console.log(`Prometheus exporter listening on http://${this.address}/metrics`);
+                resolve();
+            });
+        });
+    }
+
+    stop() {
+        return new Promise((resolve) => {
+            if (!this.server) return resolve();
+            this.server.close(() => resolve());
+            this.server = null;
+            this.address = null;
+        });
+    }
+
+    handleRequest(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+
+        if (req.method !== 'GET' || url.pathname !== '/metrics') {
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            res.end('Not found. Metrics are served at /metrics\n');
+            return;
+        }
+
+        try {
+            const body = formatMetrics(this.getSnapshot());
+            res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+            res.end(body);
+        } catch (error) {
+            console.error('Failed to render metrics:', error);
+            res.writeHead(500, { 'Content-Type': 'text/plain' });
+            res.end('Failed to render metrics\n');
+        }
+    }
+}
+
+module.exports = { PrometheusExporter, formatMetrics };
@@ -0,0 +1,138 @@
+/**
+ * PlayNexus Sampling Scheduler
+ * Runs an async task on an interval without ever overlapping two runs,
+ * backing off when the task takes close to the interval to finish
+ */
+
+class SamplingScheduler {
+    constructor(task, options = {}) {
+        this.task = task;
+        this.interval = options.interval || 5000;
+        // Fraction of the interval a run may take before the scheduler backs off
+        this.backoffThreshold = options.backoffThreshold || 0.8;
+        this.maxInterval = this.interval * (options.maxBackoff || 8);
+        this.shouldSkip = options.shouldSkip || (() => false);
+        this.onResult = options.onResult || (() => {});
+        this.onError = options.onError || ((error) => console.error('Sampling error:', error));
+
+        this.timer = null;
+        this.running = false;
+        this.inFlight = false;
+        this.expectedAt = null;
+        this.lastStart = null;
+
+        this.stats = {
+            interval: this.interval,
+            effectiveInterval: this.interval,
+            lastDuration: 0,
+            averageDuration: 0,
+            runs: 0,
+            missed: 0,
+            late: 0,
+            skipped: 0,
+            errors: 0
+        };
+    }
+
+    start() {
+        if (this.running) return;
+        this.running = true;
+        this.scheduleNext(0);
+    }
+
+    stop() {
+        this.running = false;
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    scheduleNext(delay) {
+        if (!this.running) return;
+        this.expectedAt = Date.now() + delay;
+        this.timer = setTimeout(() => this.tick(), delay);
+    }
+
+    async tick() {
+        this.timer = null;
+        if (!this.running || this.inFlight) return;
+
+        const startedAt = Date.now();
+
+        // The event loop was blocked long enough that this tick fired well after its slot
+        if (startedAt - this.expectedAt > this.interval / 2) {
+            this.stats.late++;
+        }
+
+        if (this.shouldSkip()) {
+            this.stats.skipped++;
+            this.lastStart = null;
+            this.scheduleNext(this.stats.effectiveInterval);
+            return;
+        }
+
+        // Base-interval slots that passed since the previous run without producing a sample
+        if (this.lastStart !== null) {
+            const elapsedSlots = Math.floor((startedAt - this.lastStart) / this.interval);
+            if (elapsedSlots > 1) {
+                this.stats.missed += elapsedSlots - 1;
+            }
+        }
+        this.lastStart = startedAt;
+
+        this.inFlight = true;
+        let result;
+        let failed = false;
+        try {
+            result = await this.task();
+        } catch (error) {
+            failed = true;
+            this.stats.errors++;
+            this.onError(error);
+        } finally {
+            this.inFlight = false;
+        }
+
+        const duration = Date.now() - startedAt;
+        this.recordDuration(duration);
+
+        if (!failed) {
+            try {
+                this.onResult(result, this.getStats());
+            } catch (error) {
+                this.onError(error);
+            }
+        }
+
+        // Intervals are measured start to start, so a slow run eats into the wait
+        this.scheduleNext(Math.max(0, this.stats.effectiveInterval - duration));
+    }
+
+    recordDuration(duration) {
+        const stats = this.stats;
+        stats.runs++;
+        stats.lastDuration = duration;
+        stats.averageDuration = stats.runs === 1
+            ? duration
+            : stats.averageDuration * 0.8 + duration * 0.2;
+
+        if (duration >= stats.effectiveInterval * this.backoffThreshold) {
+            stats.effectiveInterval = Math.min(this.maxInterval, stats.effectiveInterval * 2);
+        } else if (stats.effectiveInterval > this.interval &&
+            stats.averageDuration < (stats.effectiveInterval / 2) * this.backoffThreshold) {
+            // Recover one step at a time once collection is comfortably fast again
+            stats.effectiveInterval = Math.max(this.interval, stats.effectiveInterval / 2);
+        }
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            averageDuration: Math.round(this.stats.averageDuration),
+            inFlight: this.inFlight
+        };
+    }
+}
+
+module.exports = { SamplingScheduler };
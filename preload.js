@@ -10,8 +10,29 @@ contextBridge.exposeInMainWorld('electronAPI', {
     // System monitoring
     getSystemData: () => ipcRenderer.invoke('get-system-data'),
     getProcesses: () => ipcRenderer.invoke('get-processes'),
+    getProcessSparklines: (points) => ipcRenderer.invoke('get-process-sparklines', points),
+    getTopProcesses: (options) => ipcRenderer.invoke('get-top-processes', options),
+    getProcessHistory: (query) => ipcRenderer.invoke('get-process-history', query),
+    signalProcess: (pid, signal, options) => ipcRenderer.invoke('signal-process', pid, signal, options),
+    inspectProcess: (pid) => ipcRenderer.invoke('inspect-process', pid),
+    getConnections: () => ipcRenderer.invoke('get-connections'),
+    getProcessPriority: (pid) => ipcRenderer.invoke('get-process-priority', pid),
+    setProcessPriority: (pid, priority) => ipcRenderer.invoke('set-process-priority', pid, priority),
+    getProcessEvents: (options) => ipcRenderer.invoke('get-process-events', options),
+    getLeakSuspects: () => ipcRenderer.invoke('get-leak-suspects'),
+    getWatchdogStatus: () => ipcRenderer.invoke('get-watchdog-status'),
+    saveWatchdogRules: (rules) => ipcRenderer.invoke('save-watchdog-rules', rules),
     startMonitoring: () => ipcRenderer.invoke('start-monitoring'),
     stopMonitoring: () => ipcRenderer.invoke('stop-monitoring'),
+    regenerateApiToken: () => ipcRenderer.invoke('regenerate-api-token'),
+    getCollectors: () => ipcRenderer.invoke('get-collectors'),
+    getMetricsHistory: (query) => ipcRenderer.invoke('get-metrics-history', query),
+    getMetricsList: () => ipcRenderer.invoke('get-metrics-list'),
+    
+    // Alerts
+    getAlertRules: () => ipcRenderer.invoke('get-alert-rules'),
+    saveAlertRules: (rules) => ipcRenderer.invoke('save-alert-rules', rules),
+    getAlerts: () => ipcRenderer.invoke('get-alerts'),
     
     // File operations
     takeScreenshot: () => ipcRenderer.invoke('take-screenshot'),
@@ -19,6 +40,20 @@ contextBridge.exposeInMainWorld('electronAPI', {
     selectDirectory: () => ipcRenderer.invoke('select-directory'),
     openExternal: (url) => ipcRenderer.invoke('open-external', url),
     startFileWatcher: () => ipcRenderer.invoke('start-file-watcher'),
+    getWatchRules: () => ipcRenderer.invoke('get-watch-rules'),
+    saveWatchRules: (rules) => ipcRenderer.invoke('save-watch-rules', rules),
+    queryFileEvents: (filters) => ipcRenderer.invoke('query-file-events', filters),
+    getFileEventHistogram: (filters) => ipcRenderer.invoke('get-file-event-histogram', filters),
+    exportFileEvents: (filters, format) => ipcRenderer.invoke('export-file-events', filters, format),
+    clearFileEvents: () => ipcRenderer.invoke('clear-file-events'),
+    getFileActionLog: () => ipcRenderer.invoke('get-file-action-log'),
+    previewFileActions: (rule, sample) => ipcRenderer.invoke('preview-file-actions', rule, sample),
+    getIntegrityStatus: () => ipcRenderer.invoke('get-integrity-status'),
+    verifyIntegrity: (ruleId) => ipcRenderer.invoke('verify-integrity', ruleId),
+    acceptIntegrityBaseline: (ruleId) => ipcRenderer.invoke('accept-integrity-baseline', ruleId),
+    exportIntegrityReport: (ruleId, format) => ipcRenderer.invoke('export-integrity-report', ruleId, format),
+    getDirectoryGrowth: () => ipcRenderer.invoke('get-directory-growth'),
+    measureDirectoryGrowth: () => ipcRenderer.invoke('measure-directory-growth'),
     
     // Plugin system file operations
     readFile: (filePath) => ipcRenderer.invoke('read-file', filePath),
@@ -33,16 +68,27 @@ contextBridge.exposeInMainWorld('electronAPI', {
     close: () => ipcRenderer.invoke('close-window'),
     
     // Event listeners
+    onSystemDataUpdate: (callback) => ipcRenderer.on('system-data-update', (event, data) => callback(data)),
+    onFileEvent: (callback) => ipcRenderer.on('file-event', (event, data) => callback(data)),
+    onAlertEvent: (callback) => ipcRenderer.on('alert-event', (event, data) => callback(data)),
+    onAnomalyEvent: (callback) => ipcRenderer.on('anomaly-event', (event, data) => callback(data)),
+    onWatchdogEvent: (callback) => ipcRenderer.on('watchdog-event', (event, data) => callback(data)),
+    onProcessLifecycle: (callback) => ipcRenderer.on('process-lifecycle', (event, data) => callback(data)),
+    onLeakEvent: (callback) => ipcRenderer.on('leak-event', (event, data) => callback(data)),
+    onFileAction: (callback) => ipcRenderer.on('file-action', (event, data) => callback(data)),
+    onIntegrityEvent: (callback) => ipcRenderer.on('integrity-event', (event, data) => callback(data)),
+    onGrowthEvent: (callback) => ipcRenderer.on('growth-event', (event, data) => callback(data)),
+    
     on: (channel, callback) => {
         // Whitelist channels
-        const validChannels = ['system-data-update', 'file-event'];
+        const validChannels = ['system-data-update', 'file-event', 'alert-event', 'anomaly-event', 'watchdog-event', 'process-lifecycle', 'leak-event', 'file-action', 'integrity-event', 'growth-event'];
         if (validChannels.includes(channel)) {
             ipcRenderer.on(channel, (event, ...args) => callback(...args));
         }
     },
     
     removeListener: (channel, callback) => {
-        const validChannels = ['system-data-update', 'file-event'];
+        const validChannels = ['system-data-update', 'file-event', 'alert-event', 'anomaly-event', 'watchdog-event', 'process-lifecycle', 'leak-event', 'file-action', 'integrity-event', 'growth-event'];
         if (validChannels.includes(channel)) {
             ipcRenderer.removeListener(channel, callback);
         }
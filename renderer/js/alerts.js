@@ -0,0 +1,256 @@
+// PlayNexus Alerts - live alert list on the dashboard and the rule editor in Settings
+class AlertManager {
+    constructor() {
+        this.rules = [];
+        this.states = [];
+        this.events = [];
+        this.metrics = [];
+        this.maxEvents = 20;
+
+        this.init();
+    }
+
+    async init() {
+        window.electronAPI.onAlertEvent((alert) => this.handleAlertEvent(alert));
+
+        document.getElementById('addAlertRuleBtn')?.addEventListener('click', () => this.addRule());
+        document.getElementById('saveAlertRulesBtn')?.addEventListener('click', () => this.saveRules());
+
+        try {
+            const [rules, metrics] = await Promise.all([
+                window.electronAPI.getAlertRules(),
+                window.electronAPI.getMetricsList()
+            ]);
+            this.rules = rules.map(rule => ({ ...rule }));
+            this.metrics = metrics || [];
+            this.renderRuleEditor();
+            await this.refresh();
+        } catch (error) {
+            console.error('Failed to load alerts:', error);
+        }
+
+        // Pending rules change state without emitting an event, so poll the states too
+        setInterval(() => this.refresh(), 5000);
+    }
+
+    async refresh() {
+        try {
+            const alerts = await window.electronAPI.getAlerts();
+            this.states = alerts.rules;
+            this.events = alerts.events.slice(0, this.maxEvents);
+            this.renderAlerts();
+        } catch (error) {
+            console.error('Failed to refresh alerts:', error);
+        }
+    }
+
+    handleAlertEvent(alert) {
+        this.events.unshift(alert);
+        this.events.length = Math.min(this.events.length, this.maxEvents);
+        this.refresh();
+
+        if (window.app?.config?.ui?.notifications === false) return;
+
+        const type = alert.type === 'resolved'
+            ? 'success'
+            : { critical: 'error', warning: 'warning' }[alert.severity] || 'info';
+        window.uiUtils?.showNotification(alert.message, type, alert.type === 'firing' ? 10000 : 5000);
+    }
+
+    // Dashboard list: active (pending/firing) rules first, then recent transitions
+    renderAlerts() {
+        const activeList = document.getElementById('activeAlerts');
+        const eventList = document.getElementById('alertEvents');
+        if (!activeList || !eventList) return;
+
+        const active = this.states.filter(rule => rule.state === 'firing' || rule.state === 'pending');
+        if (active.length === 0) {
+            activeList.replaceChildren(this.createEmptyRow('No active alerts'));
+        } else {
+            activeList.replaceChildren(...active.map(rule => this.createAlertRow(
+                rule.state,
+                rule.severity,
+                rule.name,
+                `${rule.metric} = ${this.formatValue(rule.value)} (${rule.operator} ${rule.threshold})`,
+                rule.since
+            )));
+        }
+
+        if (this.events.length === 0) {
+            eventList.replaceChildren(this.createEmptyRow('No alerts have fired yet'));
+        } else {
+            eventList.replaceChildren(...this.events.map(event => this.createAlertRow(
+                event.type,
+                event.severity,
+                event.name,
+                `${event.metric} = ${this.formatValue(event.value)}`,
+                event.timestamp
+            )));
+        }
+    }
+
+    createAlertRow(state, severity, name, detail, timestamp) {
+        const row = document.createElement('div');
+        row.className = `alert-item ${state} ${severity}`;
+
+        const badge = document.createElement('span');
+        badge.className = 'alert-state';
+        badge.textContent = state.toUpperCase();
+
+        const title = document.createElement('span');
+        title.className = 'alert-name';
+        title.textContent = name;
+
+        const info = document.createElement('span');
+        info.className = 'alert-detail';
+        info.textContent = detail;
+
+        const time = document.createElement('span');
+        time.className = 'alert-time';
+        time.textContent = timestamp ? new Date(timestamp).toLocaleTimeString() : '';
+
+        row.append(badge, title, info, time);
+        return row;
+    }
+
+    createEmptyRow(text) {
+        const row = document.createElement('div');
+        row.className = 'alert-empty';
+        row.textContent = text;
+        return row;
+    }
+
+    // Settings editor; durations are edited in seconds and stored in milliseconds
+    renderRuleEditor() {
+        const container = document.getElementById('alertRulesList');
+        if (!container) return;
+
+        const datalist = document.getElementById('alertMetricOptions');
+        if (datalist) {
+            datalist.replaceChildren(...this.metrics.map(metric => {
+                const option = document.createElement('option');
+                option.value = metric;
+                return option;
+            }));
+        }
+
+        if (this.rules.length === 0) {
+            container.replaceChildren(this.createEmptyRow('No alert rules defined'));
+            return;
+        }
+
+        container.replaceChildren(...this.rules.map((rule, index) => this.createRuleEditor(rule, index)));
+    }
+
+    createRuleEditor(rule, index) {
+        const editor = document.createElement('div');
+        editor.className = 'alert-rule';
+
+        const field = (label, input) => {
+            const wrapper = document.createElement('label');
+            wrapper.className = 'alert-rule-field';
+            const caption = document.createElement('span');
+            caption.textContent = label;
+            wrapper.append(caption, input);
+            return wrapper;
+        };
+
+        const input = (key, type, scale = 1) => {
+            const element = document.createElement('input');
+            element.type = type;
+            if (type === 'checkbox') {
+                element.checked = rule[key];
+                element.addEventListener('change', () => { rule[key] = element.checked; });
+            } else if (type === 'number') {
+                element.value = rule[key] / scale;
+                element.step = 'any';
+                element.min = key === 'threshold' ? '' : '0';
+                element.addEventListener('change', () => { rule[key] = Number(element.value) * scale; });
+            } else {
+                element.value = rule[key] || '';
+                element.addEventListener('change', () => { rule[key] = element.value.trim(); });
+            }
+            return element;
+        };
+
+        const select = (key, options) => {
+            const element = document.createElement('select');
+            options.forEach(value => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = value;
+                element.appendChild(option);
+            });
+            element.value = rule[key];
+            element.addEventListener('change', () => { rule[key] = element.value; });
+            return element;
+        };
+
+        const metric = input('metric', 'text');
+        metric.setAttribute('list', 'alertMetricOptions');
+
+        const remove = document.createElement('button');
+        remove.className = 'btn btn-secondary btn-sm';
+        remove.textContent = 'Remove';
+        remove.addEventListener('click', () => {
+            this.rules.splice(index, 1);
+            this.renderRuleEditor();
+        });
+
+        editor.append(
+            field('On', input('enabled', 'checkbox')),
+            field('Name', input('name', 'text')),
+            field('Metric', metric),
+            field('Condition', select('operator', ['>', '>=', '<', '<='])),
+            field('Threshold', input('threshold', 'number')),
+            field('For (s)', input('duration', 'number', 1000)),
+            field('Hysteresis', input('hysteresis', 'number')),
+            field('Cooldown (s)', input('cooldown', 'number', 1000)),
+            field('Severity', select('severity', ['info', 'warning', 'critical'])),
+            remove
+        );
+        return editor;
+    }
+
+    addRule() {
+        this.rules.push({
+            name: '',
+            metric: 'cpu.load',
+            operator: '>',
+            threshold: 80,
+            duration: 30000,
+            hysteresis: 5,
+            cooldown: 300000,
+            severity: 'warning',
+            enabled: true
+        });
+        this.renderRuleEditor();
+    }
+
+    async saveRules() {
+        try {
+            const result = await window.electronAPI.saveAlertRules(this.rules);
+            if (!result.success) {
+                window.uiUtils?.showNotification(`Invalid alert rule: ${result.error}`, 'error');
+                return;
+            }
+
+            this.rules = result.rules.map(rule => ({ ...rule }));
+            this.renderRuleEditor();
+            await this.refresh();
+            window.uiUtils?.showNotification('Alert rules saved', 'success');
+        } catch (error) {
+            console.error('Failed to save alert rules:', error);
+            window.uiUtils?.showNotification('Failed to save alert rules', 'error');
+        }
+    }
+
+    formatValue(value) {
+        if (value === null || value === undefined) return '-';
+        return Number.isInteger(value) ? String(value) : value.toFixed(1);
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    window.alertManager = new AlertManager();
+});
@@ -5,7 +5,14 @@ class PlayNexusApp {
         this.charts = {};
         this.systemData = null;
         this.processes = [];
+        this.processView = 'list';
         this.config = {};
+        this.selectedInterface = 'all';
+        this.pendingAnomalies = new Set();
+        this.anomalyNotifiedAt = {};
+        this.pendingReveal = null;
+        this.processQuery = null;
+        this.groupActionTarget = null;
         
         this.init();
     }
@@ -100,6 +107,9 @@ class PlayNexusApp {
             case 'processes':
                 this.loadProcesses();
                 break;
+            case 'connections':
+                window.connectionsView?.refresh();
+                break;
             case 'files':
                 this.loadFileWatcher();
                 break;
@@ -125,6 +135,11 @@ class PlayNexusApp {
             this.handleFileEvent(event);
         });
 
+        // Anomalies arrive just before the snapshot that contains them
+        window.electronAPI.onAnomalyEvent((anomaly) => {
+            this.handleAnomaly(anomaly);
+        });
+
         // Global keyboard shortcuts
         document.addEventListener('keydown', (e) => {
             this.handleKeyboardShortcuts(e);
@@ -305,7 +320,13 @@ class PlayNexusApp {
                         fill: true
                     }]
                 },
-                options: chartOptions
+                options: {
+                    ...chartOptions,
+                    scales: {
+                        ...chartOptions.scales,
+                        y: { ...chartOptions.scales.y, max: undefined }
+                    }
+                }
             });
         }
     }
@@ -321,63 +342,183 @@ class PlayNexusApp {
         exportBtn?.addEventListener('click', () => {
             this.exportSystemData();
         });
+
+        document.getElementById('networkInterfaceSelect')?.addEventListener('change', (e) => {
+            this.selectNetworkInterface(e.target.value);
+        });
     }
 
     updateDashboard(data) {
         if (!data) return;
 
+        // Every collector's result carries the whole snapshot; only sections sampled for it add a chart point
+        const isNew = (section) => !data.updated || data.updated.includes(section);
+
         // Update CPU
         if (data.cpu) {
             const cpuUsage = Math.round(data.cpu.load);
             document.getElementById('cpuUsage').textContent = `${cpuUsage}%`;
-            this.updateChart(this.charts.cpu, cpuUsage);
+            if (isNew('cpu')) {
+                this.updateChart(this.charts.cpu, cpuUsage, this.takeAnomaly('cpu.load'));
+            }
+            this.updateCoreBars(data.cpu.perCore);
         }
 
         // Update Memory
         if (data.memory) {
             const memoryUsage = Math.round((data.memory.used / data.memory.total) * 100);
             document.getElementById('memoryUsage').textContent = `${memoryUsage}%`;
-            this.updateChart(this.charts.memory, memoryUsage);
+            if (isNew('memory')) {
+                this.updateChart(this.charts.memory, memoryUsage, this.takeAnomaly('memory.percentage'));
+            }
         }
 
         // Update Disk
         if (data.disk && data.disk.length > 0) {
-            const mainDisk = data.disk[0];
-            const diskUsage = Math.round(mainDisk.use);
+            const mainDisk = data.disk.find(d => d.mount === '/') || data.disk[0];
+            const diskUsage = Math.round(mainDisk.percentage);
             document.getElementById('diskUsage').textContent = `${diskUsage}%`;
             this.updateDiskChart(diskUsage);
         }
 
         // Update Network
-        if (data.network && data.network.length > 0) {
-            const mainNetwork = data.network[0];
-            const networkSpeed = this.formatBytes(mainNetwork.rxSec + mainNetwork.txSec);
-            document.getElementById('networkSpeed').textContent = `${networkSpeed}/s`;
-            this.updateChart(this.charts.network, mainNetwork.rxSec + mainNetwork.txSec);
+        if (data.network) {
+            this.updateInterfacePicker(data.network.interfaces || []);
+            const selected = this.selectedInterface === 'all'
+                ? data.network
+                : data.network.interfaces?.find(n => n.iface === this.selectedInterface) || { rx_sec: 0, tx_sec: 0 };
+            const throughput = selected.rx_sec + selected.tx_sec;
+            const prefix = this.selectedInterface === 'all' ? 'network' : `network[${this.selectedInterface}]`;
+            document.getElementById('networkSpeed').textContent = `${this.formatBytes(throughput)}/s`;
+            if (isNew('network')) {
+                this.updateChart(this.charts.network, throughput, this.takeAnomaly(`${prefix}.rx_sec`, `${prefix}.tx_sec`));
+            }
         }
 
         // Update system info
         this.updateSystemInfo(data);
     }
 
-    updateChart(chart, value) {
+    updateCoreBars(perCore) {
+        const container = document.getElementById('cpuCoresBars');
+        if (!container || !perCore) return;
+
+        // Only rebuild when the core count changes so bars animate between samples
+        if (container.children.length !== perCore.length) {
+            container.innerHTML = perCore.map(() => `
+                <div class="core-bar">
+                    <div class="core-bar-fill"></div>
+                </div>
+            `).join('');
+        }
+
+        perCore.forEach((core, index) => {
+            const bar = container.children[index];
+            const load = Math.min(100, Math.max(0, core.load || 0));
+            bar.title = `Core ${core.core}: ${load.toFixed(1)}% ` +
+                `(user ${(core.user || 0).toFixed(1)}%, system ${(core.system || 0).toFixed(1)}%, ` +
+                `iowait ${(core.iowait || 0).toFixed(1)}%, idle ${(core.idle || 0).toFixed(1)}%)`;
+            bar.firstElementChild.style.height = `${load}%`;
+        });
+    }
+
+    updateInterfacePicker(interfaces) {
+        const select = document.getElementById('networkInterfaceSelect');
+        if (!select) return;
+
+        const names = interfaces.map(n => n.iface);
+        const current = Array.from(select.options).slice(1).map(option => option.value);
+        if (names.join('|') === current.join('|')) return;
+
+        // Interface names come from the system, so they are set as text rather than markup
+        const options = [{ value: 'all', label: 'All interfaces' }].concat(interfaces.map(n => ({
+            value: n.iface,
+            label: `${n.iface}${n.operstate === 'down' ? ' (down)' : ''}`
+        })));
+        select.replaceChildren(...options.map(({ value, label }) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            return option;
+        }));
+
+        if (this.selectedInterface !== 'all' && !names.includes(this.selectedInterface)) {
+            this.selectedInterface = 'all';
+        }
+        select.value = this.selectedInterface;
+    }
+
+    selectNetworkInterface(iface) {
+        this.selectedInterface = iface;
+
+        // Start a fresh series so rates from different interfaces are not mixed
+        const chart = this.charts.network;
+        if (chart) {
+            chart.data.labels = [];
+            chart.data.datasets[0].data = [];
+            chart.data.datasets[0].pointRadius = [];
+            chart.data.datasets[0].pointBackgroundColor = [];
+            chart.update('none');
+        }
+
+        if (this.systemData) {
+            this.updateDashboard(this.systemData);
+        }
+    }
+
+    updateChart(chart, value, anomalous = false) {
         if (!chart) return;
 
         const now = new Date();
         const timeString = now.toLocaleTimeString();
+        const dataset = chart.data.datasets[0];
+
+        // Anomalous samples are drawn as a visible point; everything else stays a plain line
+        dataset.pointRadius = dataset.pointRadius || [];
+        dataset.pointBackgroundColor = dataset.pointBackgroundColor || [];
 
         chart.data.labels.push(timeString);
-        chart.data.datasets[0].data.push(value);
+        dataset.data.push(value);
+        dataset.pointRadius.push(anomalous ? 5 : 0);
+        dataset.pointBackgroundColor.push(anomalous ? '#ffff00' : dataset.borderColor);
 
         // Keep only last 20 data points
         if (chart.data.labels.length > 20) {
             chart.data.labels.shift();
-            chart.data.datasets[0].data.shift();
+            dataset.data.shift();
+            dataset.pointRadius.shift();
+            dataset.pointBackgroundColor.shift();
         }
 
         chart.update('none');
     }
 
+    // Returns true (once) if any of the metrics was flagged since the last chart update
+    takeAnomaly(...metrics) {
+        let flagged = false;
+        metrics.forEach(metric => {
+            if (this.pendingAnomalies.delete(metric)) flagged = true;
+        });
+        return flagged;
+    }
+
+    handleAnomaly(anomaly) {
+        this.pendingAnomalies.add(anomaly.metric);
+
+        if (!this.config.anomaly?.notify || this.config.ui?.notifications === false) return;
+
+        // A sustained deviation flags every sample; notify at most once a minute per metric
+        const last = this.anomalyNotifiedAt[anomaly.metric] || 0;
+        if (anomaly.timestamp - last < 60000) return;
+        this.anomalyNotifiedAt[anomaly.metric] = anomaly.timestamp;
+
+        const direction = anomaly.score > 0 ? 'above' : 'below';
+        this.showNotification(
+            `Unusual ${anomaly.metric}: ${anomaly.value.toFixed(1)} is ${Math.abs(anomaly.score).toFixed(1)}σ ${direction} normal (${anomaly.expected.toFixed(1)})`,
+            'warning'
+        );
+    }
+
     updateDiskChart(usage) {
         if (!this.charts.disk) return;
 
@@ -392,11 +533,13 @@ class PlayNexusApp {
         const info = [
             { label: 'OS', value: 'Windows 10' },
             { label: 'Architecture', value: 'x64' },
-            { label: 'CPU Cores', value: data.cpu?.cores?.length || 'Unknown' },
+            { label: 'CPU Cores', value: data.cpu?.cores || 'Unknown' },
             { label: 'Total Memory', value: this.formatBytes(data.memory?.total || 0) },
             { label: 'Available Memory', value: this.formatBytes(data.memory?.available || 0) },
             { label: 'Disk Space', value: this.formatBytes(data.disk?.[0]?.size || 0) },
-            { label: 'Network Interfaces', value: data.network?.length || 0 }
+            { label: 'Filesystems', value: data.disk?.length || 0 },
+            { label: 'Network Interfaces', value: data.network?.interfaces?.length || 0 },
+            { label: 'Missed / Late Samples', value: this.formatSamplingStats(data.sampling) }
         ];
 
         systemInfo.innerHTML = info.map(item => `
@@ -407,6 +550,14 @@ class PlayNexusApp {
         `).join('');
     }
 
+    formatSamplingStats(sampling) {
+        const stats = Object.values(sampling || {});
+        const missed = stats.reduce((sum, entry) => sum + entry.missed, 0);
+        const late = stats.reduce((sum, entry) => sum + entry.late, 0);
+        const slowed = stats.filter(entry => entry.effectiveInterval > entry.interval).length;
+        return `${missed} / ${late}${slowed ? ` (${slowed} slowed)` : ''}`;
+    }
+
     // Processes
     initProcesses() {
         this.initProcessControls();
@@ -423,12 +574,19 @@ class PlayNexusApp {
         searchInput?.addEventListener('input', (e) => {
             this.filterProcesses(e.target.value);
         });
+
+        document.getElementById('processViewMode')?.addEventListener('change', (e) => {
+            this.processView = e.target.value;
+            this.renderProcesses();
+        });
     }
 
     async loadProcesses() {
         try {
             this.processes = await window.electronAPI.getProcesses();
             this.renderProcesses();
+            // Sparklines, top consumers and the drill-down only change with new samples
+            window.processInsights?.refresh();
         } catch (error) {
             console.error('Failed to load processes:', error);
             this.showNotification('Failed to load processes', 'error');
@@ -436,35 +594,269 @@ class PlayNexusApp {
     }
 
     renderProcesses() {
-        const tbody = document.getElementById('processesTableBody');
-        if (!tbody) return;
-
-        tbody.innerHTML = this.processes.map(process => `
-            <tr>
-                <td>${process.name}</td>
-                <td>${process.pid}</td>
-                <td>${process.cpu?.toFixed(1) || '0.0'}%</td>
-                <td>${this.formatBytes(process.memory || 0)}</td>
-                <td><span class="status-running">Running</span></td>
-                <td>
-                    <button class="btn btn-secondary btn-sm" onclick="app.killProcess(${process.pid})">
-                        Kill
-                    </button>
-                </td>
-            </tr>
-        `).join('');
+        const table = window.processTable;
+        if (!table) return;
+
+        const tree = this.processView === 'tree' && window.processTree;
+        const compare = (a, b) => table.compare(a, b);
+        let rows;
+
+        if (this.processView === 'groups' && window.processGroups) {
+            // Groups are built from the matching processes so their totals follow the filter
+            const processes = this.processQuery ? this.processes.filter(this.processQuery) : this.processes;
+            rows = window.processGroups.flatten(processes, compare);
+        } else {
+            rows = tree
+                ? window.processTree.flatten(this.processes, compare)
+                : this.processes.map(process => ({ process, depth: 0 })).sort(compare);
+
+            if (this.processQuery) {
+                rows = rows.filter(row => this.processQuery(row.process));
+            }
+        }
+
+        table.setRows(rows.map(row => ({ ...row, tree: Boolean(tree) })));
+
+        if (this.pendingReveal !== null) {
+            this.highlightProcess(this.pendingReveal);
+            this.pendingReveal = null;
+        }
     }
 
-    filterProcesses(searchTerm) {
-        const tbody = document.getElementById('processesTableBody');
-        if (!tbody) return;
+    // Open the Processes tab scrolled to one PID (used by links from other views)
+    revealProcess(pid) {
+        const searchInput = document.getElementById('processSearch');
+        if (searchInput) searchInput.value = '';
+        this.filterProcesses('');
 
-        const rows = tbody.querySelectorAll('tr');
-        rows.forEach(row => {
-            const processName = row.cells[0]?.textContent?.toLowerCase() || '';
-            const matches = processName.includes(searchTerm.toLowerCase());
-            row.style.display = matches ? '' : 'none';
+        // Expand collapsed ancestors (or the application group) so the row exists
+        window.processTree?.ancestors(this.processes, pid).forEach(process => {
+            if (process.pid !== pid) window.processTree.collapsed.delete(process.pid);
         });
+        const target = this.processes.find(process => process.pid === pid);
+        if (target && window.processGroups) {
+            window.processGroups.expanded.add(window.processGroups.identify(target));
+        }
+
+        this.pendingReveal = pid;
+        this.switchTab('processes');
+    }
+
+    highlightProcess(pid) {
+        if (!window.processTable?.scrollToProcess(pid)) {
+            this.showNotification(`Process ${pid} is no longer running`, 'warning');
+            return;
+        }
+
+        const row = document.querySelector(`#processesTableBody tr[data-pid="${pid}"]`);
+        row?.classList.add('process-highlight');
+        setTimeout(() => row?.classList.remove('process-highlight'), 2000);
+        window.processTable.select(pid);
+        window.processInsights?.showProcess(pid, row?.dataset.name);
+        window.processInspector?.open(pid);
+    }
+
+    // State comes from the main process; null means it could not be read
+    formatProcessState(state) {
+        const states = {
+            running: ['status-running', 'Running'],
+            sleeping: ['status-running', 'Sleeping'],
+            idle: ['status-running', 'Idle'],
+            'disk-sleep': ['status-warning', 'Waiting on I/O'],
+            stopped: ['status-stopped', 'Stopped'],
+            zombie: ['status-stopped', 'Zombie'],
+            dead: ['status-stopped', 'Dead']
+        };
+        const [className, label] = states[state] || ['status-unknown', state || '—'];
+        return `<span class="process-state ${className}">${label}</span>`;
+    }
+
+    toggleProcessNode(pid) {
+        window.processTree?.toggle(pid);
+        this.renderProcesses();
+    }
+
+    toggleProcessGroup(key) {
+        window.processGroups?.toggle(key);
+        this.renderProcesses();
+    }
+
+    // Names and command lines are chosen by the processes themselves, so they are escaped
+    showProcessAncestors(pid) {
+        const chain = window.processTree?.ancestors(this.processes, pid) || [];
+        if (chain.length === 0) {
+            this.showNotification('Process is no longer running', 'warning');
+            return;
+        }
+
+        this.showModal(`Ancestors of ${chain[chain.length - 1].name} (${pid})`, `
+            <div class="ancestor-chain">
+                ${chain.map((process, depth) => `
+                    <div class="ancestor" style="margin-left: ${depth * 16}px">
+                        <span class="ancestor-name">${escapeHtml(process.name)}</span>
+                        <span class="ancestor-meta">PID ${process.pid} · CPU ${(process.cpu || 0).toFixed(1)}% · Mem ${(process.memory || 0).toFixed(1)}%</span>
+                        <div class="ancestor-command">${escapeHtml(process.command)}</div>
+                    </div>
+                `).join('')}
+            </div>
+        `);
+    }
+
+    // Process control: every action goes through a confirmation step before it is sent
+    async showProcessControl(pid) {
+        const process = this.processes.find(p => p.pid === pid);
+        if (!process) {
+            this.showNotification('Process is no longer running', 'warning');
+            return;
+        }
+
+        const children = window.processTree?.descendantCount(this.processes, pid) || 0;
+        const priority = await window.electronAPI.getProcessPriority(pid);
+        const actions = [
+            ['TERM', 'Terminate'],
+            ['KILL', 'Force kill'],
+            ['STOP', 'Suspend'],
+            ['CONT', 'Resume']
+        ];
+
+        this.showModal(`${process.name} (${pid})`, `
+            <div class="process-control">
+                <div class="ancestor-command">${escapeHtml(process.command)}</div>
+                <label class="process-control-option">
+                    <input type="checkbox" id="processControlChildren" ${children === 0 ? 'disabled' : ''}>
+                    Include ${children} child process${children === 1 ? '' : 'es'}
+                </label>
+                <div class="process-control-actions">
+                    ${actions.map(([signal, label]) => `
+                        <button class="btn btn-secondary btn-sm" onclick="app.confirmProcessAction(${pid}, '${signal}')">${label}</button>
+                    `).join('')}
+                </div>
+                <div class="setting-item">
+                    <label>Priority (nice, -20 to 19)</label>
+                    <input type="number" id="processControlPriority" min="-20" max="19" value="${priority ?? 0}">
+                    <button class="btn btn-secondary btn-sm" onclick="app.confirmProcessAction(${pid}, 'PRIORITY')">Set</button>
+                </div>
+            </div>
+        `);
+    }
+
+    confirmProcessAction(pid, action) {
+        const process = this.processes.find(p => p.pid === pid);
+        const name = process ? escapeHtml(process.name) : 'process';
+        const withChildren = document.getElementById('processControlChildren')?.checked || false;
+        const priority = parseInt(document.getElementById('processControlPriority')?.value, 10);
+
+        const description = action === 'PRIORITY'
+            ? `Set the priority of ${name} (${pid}) to ${priority}?`
+            : `Send SIG${action} to ${name} (${pid})${withChildren ? ' and all of its child processes' : ''}?`;
+
+        this.showModal('Confirm', `
+            <p>${description}</p>
+            <div style="margin-top: 20px;">
+                <button class="btn btn-primary" onclick="app.runProcessAction(${pid}, '${action}', ${withChildren}, ${Number.isFinite(priority) ? priority : 0})">Confirm</button>
+                <button class="btn btn-secondary" onclick="app.showProcessControl(${pid})">Back</button>
+            </div>
+        `);
+    }
+
+    async runProcessAction(pid, action, withChildren, priority) {
+        this.closeModal();
+
+        const result = action === 'PRIORITY'
+            ? await window.electronAPI.setProcessPriority(pid, priority)
+            : await window.electronAPI.signalProcess(pid, action, { withChildren });
+
+        if (result.success) {
+            const message = action === 'PRIORITY'
+                ? `Priority set to ${result.priority}`
+                : `Sent SIG${action} to ${result.signalled.length} process${result.signalled.length === 1 ? '' : 'es'}`;
+            this.showNotification(message, 'success');
+        } else {
+            this.showNotification(result.error, 'error');
+        }
+
+        this.loadProcesses();
+    }
+
+    // Group control acts on every member of an application group at once
+    showGroupControl(key) {
+        const group = window.processGroups?.find(this.processes, key);
+        if (!group) {
+            this.showNotification('Application is no longer running', 'warning');
+            return;
+        }
+
+        this.groupActionTarget = { name: group.key, pids: group.processes.map(process => process.pid) };
+        const actions = [
+            ['TERM', 'Terminate all'],
+            ['KILL', 'Force kill all'],
+            ['STOP', 'Suspend all'],
+            ['CONT', 'Resume all']
+        ];
+
+        this.showModal(`${group.key} (${group.processes.length} processes)`, `
+            <div class="process-control">
+                <div class="ancestor-command">PIDs ${this.groupActionTarget.pids.join(', ')}</div>
+                <label class="process-control-option">
+                    <input type="checkbox" id="processControlChildren">
+                    Include child processes outside the group
+                </label>
+                <div class="process-control-actions">
+                    ${actions.map(([signal, label]) => `
+                        <button class="btn btn-secondary btn-sm" onclick="app.confirmGroupAction('${signal}')">${label}</button>
+                    `).join('')}
+                </div>
+            </div>
+        `);
+    }
+
+    confirmGroupAction(action) {
+        const target = this.groupActionTarget;
+        if (!target) return;
+        const withChildren = document.getElementById('processControlChildren')?.checked || false;
+
+        this.showModal('Confirm', `
+            <p>Send SIG${action} to ${target.pids.length} processes${withChildren ? ' and their child processes' : ''}?</p>
+            <div style="margin-top: 20px;">
+                <button class="btn btn-primary" onclick="app.runGroupAction('${action}', ${withChildren})">Confirm</button>
+                <button class="btn btn-secondary" onclick="app.showGroupControl(app.groupActionTarget.name)">Back</button>
+            </div>
+        `);
+    }
+
+    async runGroupAction(action, withChildren) {
+        this.closeModal();
+        const target = this.groupActionTarget;
+        if (!target) return;
+
+        // The main process refuses the whole group if any member is protected
+        const result = await window.electronAPI.signalProcess(target.pids, action, { withChildren });
+        if (result.success) {
+            this.showNotification(`Sent SIG${action} to ${result.signalled.length} processes of ${target.name}`, 'success');
+        } else {
+            this.showNotification(result.error, 'error');
+        }
+
+        this.loadProcesses();
+    }
+
+    // An invalid query is reported under the search box and the last valid one stays applied
+    filterProcesses(searchTerm) {
+        const error = document.getElementById('processSearchError');
+        const searchInput = document.getElementById('processSearch');
+
+        try {
+            this.processQuery = compileProcessQuery(searchTerm);
+        } catch (e) {
+            if (!(e instanceof ProcessQueryError)) throw e;
+            if (error) error.textContent = e.message;
+            searchInput?.classList.add('invalid');
+            return;
+        }
+
+        if (error) error.textContent = '';
+        searchInput?.classList.remove('invalid');
+        this.renderProcesses();
     }
 
     // Files
@@ -473,65 +865,28 @@ class PlayNexusApp {
     }
 
     initFileControls() {
-        const addPathBtn = document.getElementById('addWatchPathBtn');
         const clearLogsBtn = document.getElementById('clearLogsBtn');
 
-        addPathBtn?.addEventListener('click', () => {
-            this.addWatchPath();
-        });
-
         clearLogsBtn?.addEventListener('click', () => {
             this.clearFileLogs();
         });
     }
 
-    async addWatchPath() {
-        try {
-            const path = await window.electronAPI.selectDirectory();
-            if (path) {
-                // Add to config and restart file watcher
-                this.config.fileWatcher.paths.push(path);
-                await window.electronAPI.saveConfig(this.config);
-                this.loadFileWatcher();
-                this.showNotification('Path added to file watcher', 'success');
-            }
-        } catch (error) {
-            console.error('Failed to add watch path:', error);
-            this.showNotification('Failed to add watch path', 'error');
-        }
-    }
-
+    // Watch rules are edited in WatchRulesPanel (file-watcher.js), the event log is
+    // FileEventsView (file-events.js), and integrity and growth have their own panels
     loadFileWatcher() {
-        const pathsList = document.getElementById('watchPathsList');
-        if (!pathsList) return;
-
-        pathsList.innerHTML = this.config.fileWatcher?.paths?.map(path => `
-            <div class="path-item">
-                <span>${path}</span>
-                <button class="btn btn-secondary btn-sm" onclick="app.removeWatchPath('${path}')">
-                    Remove
-                </button>
-            </div>
-        `).join('') || '<p>No paths watched</p>';
+        window.watchRulesPanel?.refresh();
+        window.fileEventsView?.refresh();
+        window.fileIntegrityPanel?.refresh();
+        window.directoryGrowthView?.refresh();
     }
 
     handleFileEvent(event) {
-        const eventsLog = document.getElementById('fileEventsLog');
-        if (!eventsLog) return;
-
-        const eventItem = document.createElement('div');
-        eventItem.className = `event-item ${event.type}`;
-        eventItem.innerHTML = `
-            <strong>${event.type.toUpperCase()}</strong>: ${event.path}
-            <small>${new Date().toLocaleTimeString()}</small>
-        `;
-
-        eventsLog.insertBefore(eventItem, eventsLog.firstChild);
+        window.fileEventsView?.handleEvent(event);
+    }
 
-        // Keep only last 100 events
-        while (eventsLog.children.length > 100) {
-            eventsLog.removeChild(eventsLog.lastChild);
-        }
+    clearFileLogs() {
+        window.fileEventsView?.clear();
     }
 
     // Utilities
@@ -614,13 +969,79 @@ class PlayNexusApp {
 
     loadSettings() {
         // Load current settings into UI
-        document.getElementById('cpuMonitoring')?.checked = this.config.monitoring?.cpu || false;
-        document.getElementById('memoryMonitoring')?.checked = this.config.monitoring?.memory || false;
-        document.getElementById('diskMonitoring')?.checked = this.config.monitoring?.disk || false;
-        document.getElementById('networkMonitoring')?.checked = this.config.monitoring?.network || false;
-        document.getElementById('notificationsEnabled')?.checked = this.config.notifications?.enabled || false;
-        document.getElementById('soundEnabled')?.checked = this.config.notifications?.sound || false;
-        document.getElementById('autoStart')?.checked = this.config.autoStart || false;
+        const setChecked = (id, value) => {
+            const input = document.getElementById(id);
+            if (input) input.checked = value;
+        };
+
+        setChecked('notificationsEnabled', this.config.ui?.notifications !== false);
+        setChecked('soundEnabled', this.config.notifications?.sound || false);
+        setChecked('autoStart', this.config.autoStart || false);
+        setChecked('exporterEnabled', this.config.exporter?.enabled || false);
+
+        const setValue = (id, value) => {
+            const input = document.getElementById(id);
+            if (input && value !== undefined) input.value = value;
+        };
+
+        setValue('exporterHost', this.config.exporter?.host);
+        setValue('exporterPort', this.config.exporter?.port);
+
+        setChecked('apiEnabled', this.config.api?.enabled || false);
+        setValue('apiHost', this.config.api?.host);
+        setValue('apiPort', this.config.api?.port);
+
+        setChecked('anomalyEnabled', this.config.anomaly?.enabled !== false);
+        setChecked('anomalyNotify', this.config.anomaly?.notify || false);
+        setValue('anomalySensitivity', this.config.anomaly?.sensitivity);
+        setValue('anomalyWarmup', this.config.anomaly?.warmup);
+
+        // Stored in milliseconds and bytes; edited in minutes and megabytes
+        const leaks = this.config.leakDetection || {};
+        const MB = 1024 * 1024;
+        setChecked('leakDetectionEnabled', leaks.enabled !== false);
+        setChecked('leakDetectionNotify', leaks.notify || false);
+        setValue('leakDetectionWindow', leaks.window && leaks.window / 60000);
+        setValue('leakDetectionMinGrowth', leaks.minGrowth && leaks.minGrowth / MB);
+        setValue('leakDetectionMinR2', leaks.minR2);
+        setValue('leakDetectionLimit', leaks.limit !== undefined ? Math.round(leaks.limit / MB) : undefined);
+        const growth = this.config.directoryGrowth || {};
+        setChecked('directoryGrowthEnabled', growth.enabled !== false);
+        setChecked('directoryGrowthNotify', growth.notify !== false);
+        setValue('directoryGrowthInterval', growth.interval && growth.interval / 60000);
+        setValue('directoryGrowthWindow', growth.window && growth.window / 60000);
+        setValue('directoryGrowthAlertRate', growth.alertRate !== undefined ? Math.round(growth.alertRate / MB) : undefined);
+        setChecked('fileIntegrityNotify', this.config.fileIntegrity?.notify !== false);
+        setValue('fileIntegritySchedule', this.config.fileIntegrity?.schedule);
+        setValue('protectedProcesses', (this.config.processControl?.protected || []).join('\n'));
+
+        this.renderCollectorSettings();
+    }
+
+    async renderCollectorSettings() {
+        const container = document.getElementById('collectorSettings');
+        if (!container) return;
+
+        try {
+            const collectors = await window.electronAPI.getCollectors();
+            container.innerHTML = collectors.map(collector => `
+                <div class="setting-item" title="${collector.description}">
+                    <label>${collector.id.toUpperCase()} collector (every ${collector.interval / 1000}s)</label>
+                    <label class="toggle-switch">
+                        <input type="checkbox" data-collector="${collector.id}" ${collector.enabled ? 'checked' : ''}>
+                        <span class="slider"></span>
+                    </label>
+                </div>
+            `).join('');
+
+            container.querySelectorAll('[data-collector]').forEach(input => {
+                input.addEventListener('change', (e) => {
+                    this.updateSetting(`monitoring.${input.dataset.collector}`, e.target.checked);
+                });
+            });
+        } catch (error) {
+            console.error('Failed to load collectors:', error);
+        }
     }
 
     initSettingsControls() {
@@ -632,33 +1053,155 @@ class PlayNexusApp {
             });
         });
 
-        // Settings toggles
-        document.getElementById('cpuMonitoring')?.addEventListener('change', (e) => {
-            this.updateSetting('monitoring.cpu', e.target.checked);
+        // Settings toggles (collector toggles are wired in renderCollectorSettings)
+        document.getElementById('notificationsEnabled')?.addEventListener('change', (e) => {
+            this.updateSetting('ui.notifications', e.target.checked);
         });
 
-        document.getElementById('memoryMonitoring')?.addEventListener('change', (e) => {
-            this.updateSetting('monitoring.memory', e.target.checked);
+        document.getElementById('soundEnabled')?.addEventListener('change', (e) => {
+            this.updateSetting('notifications.sound', e.target.checked);
         });
 
-        document.getElementById('diskMonitoring')?.addEventListener('change', (e) => {
-            this.updateSetting('monitoring.disk', e.target.checked);
+        document.getElementById('autoStart')?.addEventListener('change', (e) => {
+            this.updateSetting('autoStart', e.target.checked);
         });
 
-        document.getElementById('networkMonitoring')?.addEventListener('change', (e) => {
-            this.updateSetting('monitoring.network', e.target.checked);
+        document.getElementById('exporterEnabled')?.addEventListener('change', (e) => {
+            this.updateSetting('exporter.enabled', e.target.checked);
         });
 
-        document.getElementById('notificationsEnabled')?.addEventListener('change', (e) => {
-            this.updateSetting('notifications.enabled', e.target.checked);
+        document.getElementById('exporterHost')?.addEventListener('change', (e) => {
+            this.updateSetting('exporter.host', e.target.value.trim() || '127.0.0.1');
         });
 
-        document.getElementById('soundEnabled')?.addEventListener('change', (e) => {
-            this.updateSetting('notifications.sound', e.target.checked);
+        document.getElementById('exporterPort')?.addEventListener('change', (e) => {
+            const port = parseInt(e.target.value, 10);
+            if (port > 0 && port < 65536) {
+                this.updateSetting('exporter.port', port);
+            }
         });
 
-        document.getElementById('autoStart')?.addEventListener('change', (e) => {
-            this.updateSetting('autoStart', e.target.checked);
+        document.getElementById('apiEnabled')?.addEventListener('change', (e) => {
+            this.updateSetting('api.enabled', e.target.checked);
+        });
+
+        document.getElementById('apiHost')?.addEventListener('change', (e) => {
+            this.updateSetting('api.host', e.target.value.trim() || '127.0.0.1');
+        });
+
+        document.getElementById('apiPort')?.addEventListener('change', (e) => {
+            const port = parseInt(e.target.value, 10);
+            if (port > 0 && port < 65536) {
+                this.updateSetting('api.port', port);
+            }
+        });
+
+        document.getElementById('anomalyEnabled')?.addEventListener('change', (e) => {
+            this.updateSetting('anomaly.enabled', e.target.checked);
+        });
+
+        document.getElementById('anomalyNotify')?.addEventListener('change', (e) => {
+            this.updateSetting('anomaly.notify', e.target.checked);
+        });
+
+        document.getElementById('anomalySensitivity')?.addEventListener('change', (e) => {
+            const sensitivity = parseFloat(e.target.value);
+            if (sensitivity > 0) {
+                this.updateSetting('anomaly.sensitivity', sensitivity);
+            }
+        });
+
+        document.getElementById('anomalyWarmup')?.addEventListener('change', (e) => {
+            const warmup = parseInt(e.target.value, 10);
+            if (warmup > 0) {
+                this.updateSetting('anomaly.warmup', warmup);
+            }
+        });
+
+        document.getElementById('leakDetectionEnabled')?.addEventListener('change', (e) => {
+            this.updateSetting('leakDetection.enabled', e.target.checked);
+        });
+
+        document.getElementById('leakDetectionNotify')?.addEventListener('change', (e) => {
+            this.updateSetting('leakDetection.notify', e.target.checked);
+        });
+
+        document.getElementById('leakDetectionWindow')?.addEventListener('change', (e) => {
+            const minutes = parseFloat(e.target.value);
+            if (minutes > 0) {
+                this.updateSetting('leakDetection.window', minutes * 60000);
+            }
+        });
+
+        document.getElementById('leakDetectionMinGrowth')?.addEventListener('change', (e) => {
+            const megabytes = parseFloat(e.target.value);
+            if (megabytes > 0) {
+                this.updateSetting('leakDetection.minGrowth', megabytes * 1024 * 1024);
+            }
+        });
+
+        document.getElementById('leakDetectionMinR2')?.addEventListener('change', (e) => {
+            const minR2 = parseFloat(e.target.value);
+            if (minR2 >= 0 && minR2 <= 1) {
+                this.updateSetting('leakDetection.minR2', minR2);
+            }
+        });
+
+        document.getElementById('leakDetectionLimit')?.addEventListener('change', (e) => {
+            const megabytes = parseFloat(e.target.value);
+            if (megabytes >= 0) {
+                this.updateSetting('leakDetection.limit', megabytes * 1024 * 1024);
+            }
+        });
+
+        document.getElementById('directoryGrowthEnabled')?.addEventListener('change', (e) => {
+            this.updateSetting('directoryGrowth.enabled', e.target.checked);
+        });
+
+        document.getElementById('directoryGrowthNotify')?.addEventListener('change', (e) => {
+            this.updateSetting('directoryGrowth.notify', e.target.checked);
+        });
+
+        document.getElementById('directoryGrowthInterval')?.addEventListener('change', (e) => {
+            const minutes = parseFloat(e.target.value);
+            if (minutes > 0) {
+                this.updateSetting('directoryGrowth.interval', minutes * 60000);
+            }
+        });
+
+        document.getElementById('directoryGrowthWindow')?.addEventListener('change', (e) => {
+            const minutes = parseFloat(e.target.value);
+            if (minutes > 0) {
+                this.updateSetting('directoryGrowth.window', minutes * 60000);
+            }
+        });
+
+        document.getElementById('directoryGrowthAlertRate')?.addEventListener('change', (e) => {
+            const megabytes = parseFloat(e.target.value);
+            if (megabytes >= 0) {
+                this.updateSetting('directoryGrowth.alertRate', megabytes * 1024 * 1024);
+            }
+        });
+
+        document.getElementById('fileIntegrityNotify')?.addEventListener('change', (e) => {
+            this.updateSetting('fileIntegrity.notify', e.target.checked);
+        });
+
+        document.getElementById('fileIntegritySchedule')?.addEventListener('change', (e) => {
+            this.updateSetting('fileIntegrity.schedule', e.target.value.trim());
+        });
+
+        document.getElementById('protectedProcesses')?.addEventListener('change', (e) => {
+            const names = e.target.value.split('\n').map(name => name.trim()).filter(Boolean);
+            this.updateSetting('processControl.protected', names);
+        });
+
+        document.getElementById('copyDashboardLinkBtn')?.addEventListener('click', () => {
+            this.copyDashboardLink();
+        });
+
+        document.getElementById('regenerateApiTokenBtn')?.addEventListener('click', () => {
+            this.regenerateApiToken();
         });
     }
 
@@ -684,6 +1227,24 @@ class PlayNexusApp {
         }
     }
 
+    async copyDashboardLink() {
+        const { host, port, token } = this.config.api || {};
+        // A wildcard bind is reachable locally through the loopback address
+        const address = host === '0.0.0.0' || host === '::' ? '127.0.0.1' : host;
+        const copied = await window.electronAPI.copyToClipboard(`http://${address}:${port}/?token=${token}`);
+        this.showNotification(copied ? 'Dashboard link copied' : 'Failed to copy dashboard link', copied ? 'success' : 'error');
+    }
+
+    async regenerateApiToken() {
+        try {
+            this.config.api.token = await window.electronAPI.regenerateApiToken();
+            this.showNotification('API token regenerated; existing clients must reconnect', 'success');
+        } catch (error) {
+            console.error('Failed to regenerate API token:', error);
+            this.showNotification('Failed to regenerate API token', 'error');
+        }
+    }
+
     changeTheme(theme) {
         document.body.className = `theme-${theme}`;
         
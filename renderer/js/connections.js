@@ -0,0 +1,133 @@
+// PlayNexus Connections - every TCP/UDP socket with its owning process, filterable, linked to the Processes tab
+class ConnectionsView {
+    constructor() {
+        this.connections = [];
+        this.refreshInterval = 10000;
+
+        this.init();
+    }
+
+    init() {
+        ['connectionStateFilter', 'connectionPortFilter', 'connectionProcessFilter'].forEach(id => {
+            document.getElementById(id)?.addEventListener('input', () => this.render());
+        });
+        document.getElementById('refreshConnectionsBtn')?.addEventListener('click', () => this.refresh());
+
+        document.getElementById('connectionsTableBody')?.addEventListener('click', (e) => {
+            const link = e.target.closest('[data-reveal-pid]');
+            if (link) {
+                e.preventDefault();
+                window.app?.revealProcess(Number(link.dataset.revealPid));
+            }
+        });
+
+        setInterval(() => {
+            if (window.app?.currentTab === 'connections') {
+                this.refresh();
+            }
+        }, this.refreshInterval);
+    }
+
+    async refresh() {
+        try {
+            this.connections = await window.electronAPI.getConnections();
+            this.render();
+        } catch (error) {
+            console.error('Failed to load connections:', error);
+            window.app?.showNotification('Failed to load connections', 'error');
+        }
+    }
+
+    getFilters() {
+        const port = document.getElementById('connectionPortFilter')?.value;
+        return {
+            state: document.getElementById('connectionStateFilter')?.value || 'all',
+            port: port === '' || port === undefined ? null : Number(port),
+            process: (document.getElementById('connectionProcessFilter')?.value || '').trim().toLowerCase()
+        };
+    }
+
+    /**
+     * A port filter matches either end; the process filter matches a name substring or an exact PID
+     */
+    matches(connection, filters) {
+        if (filters.state === 'listening' && !connection.listening) return false;
+        if (filters.state === 'established' && connection.state !== 'ESTABLISHED') return false;
+        if (filters.port !== null && connection.localPort !== filters.port && connection.peerPort !== filters.port) {
+            return false;
+        }
+        if (filters.process) {
+            const name = (connection.process || '').toLowerCase();
+            if (!name.includes(filters.process) && String(connection.pid) !== filters.process) return false;
+        }
+        return true;
+    }
+
+    render() {
+        const tbody = document.getElementById('connectionsTableBody');
+        if (!tbody) return;
+
+        const filters = this.getFilters();
+        const visible = this.connections.filter(connection => this.matches(connection, filters));
+
+        this.renderSummary(visible.length);
+
+        if (visible.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="6" class="process-detail-hint">No matching connections</td></tr>';
+            return;
+        }
+
+        tbody.replaceChildren(...visible.map(connection => {
+            const row = document.createElement('tr');
+            const cells = [
+                connection.protocol.toUpperCase(),
+                this.formatEndpoint(connection.localAddress, connection.localPort),
+                connection.listening ? '—' : this.formatEndpoint(connection.peerAddress, connection.peerPort),
+                connection.state || '—',
+                connection.pid ?? '—'
+            ].map(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                return cell;
+            });
+
+            const processCell = document.createElement('td');
+            if (connection.pid) {
+                const link = document.createElement('a');
+                link.href = '#';
+                link.className = 'connection-process-link';
+                link.dataset.revealPid = connection.pid;
+                link.title = 'Show in Processes';
+                link.textContent = connection.process || `PID ${connection.pid}`;
+                processCell.appendChild(link);
+            } else {
+                // Without root/administrator rights other users' sockets have no owner
+                processCell.textContent = 'Unknown';
+                processCell.className = 'connection-unknown';
+            }
+
+            row.append(...cells, processCell);
+            return row;
+        }));
+    }
+
+    renderSummary(visibleCount) {
+        const summary = document.getElementById('connectionsSummary');
+        if (!summary) return;
+
+        const listening = this.connections.filter(c => c.listening).length;
+        const established = this.connections.filter(c => c.state === 'ESTABLISHED').length;
+        summary.textContent = `${this.connections.length} sockets · ${listening} listening · ${established} established` +
+            (visibleCount !== this.connections.length ? ` · ${visibleCount} shown` : '');
+    }
+
+    formatEndpoint(address, port) {
+        // IPv6 addresses need brackets to keep the port readable
+        const host = address.includes(':') ? `[${address}]` : address;
+        return port === null ? host : `${host}:${port}`;
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    window.connectionsView = new ConnectionsView();
+});
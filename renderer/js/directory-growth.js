@@ -0,0 +1,240 @@
+// PlayNexus Directory Growth - size and file count of each watched path over time, and the
+// subdirectories that grew most, in the Files tab
+class DirectoryGrowthView {
+    constructor() {
+        this.paths = [];
+        this.selected = null;
+        this.chart = null;
+
+        this.init();
+    }
+
+    init() {
+        window.electronAPI.onGrowthEvent((alert) => this.handleAlert(alert));
+
+        document.getElementById('directoryGrowthPath')?.addEventListener('change', (e) => {
+            this.selected = e.target.value;
+            this.render();
+        });
+        document.getElementById('measureDirectoryGrowthBtn')?.addEventListener('click', () => this.measure());
+
+        this.refresh();
+        // Paths are measured in the background every few minutes
+        setInterval(() => {
+            if (window.app?.currentTab === 'files') {
+                this.refresh();
+            }
+        }, 60000);
+    }
+
+    async refresh() {
+        try {
+            this.paths = await window.electronAPI.getDirectoryGrowth();
+            this.render();
+        } catch (error) {
+            console.error('Failed to load directory growth:', error);
+        }
+    }
+
+    async measure() {
+        const button = document.getElementById('measureDirectoryGrowthBtn');
+        if (button) button.disabled = true;
+        try {
+            this.paths = await window.electronAPI.measureDirectoryGrowth();
+            this.render();
+        } catch (error) {
+            console.error('Failed to measure directory growth:', error);
+            window.uiUtils?.showNotification('Failed to measure watched paths', 'error');
+        } finally {
+            if (button) button.disabled = false;
+        }
+    }
+
+    handleAlert(alert) {
+        this.refresh();
+
+        const config = window.app?.config;
+        if (config?.directoryGrowth?.notify === false || config?.ui?.notifications === false) return;
+        const busiest = alert.top[0] ? `, mostly ${alert.top[0].path}` : '';
+        window.uiUtils?.showNotification(
+            `${alert.path} is growing ${this.formatBytes(alert.rate)}/h (alert above ${this.formatBytes(alert.alertRate)}/h)${busiest}`,
+            'warning'
+        );
+    }
+
+    formatBytes(bytes) {
+        const rounded = Math.round(Math.abs(bytes));
+        const text = window.app?.formatBytes(rounded) || `${rounded} B`;
+        return bytes < 0 ? `-${text}` : text;
+    }
+
+    formatGrowth(bytes) {
+        return bytes < 0 ? this.formatBytes(bytes) : `+${this.formatBytes(bytes)}`;
+    }
+
+    render() {
+        const select = document.getElementById('directoryGrowthPath');
+        if (!select) return;
+
+        if (!this.paths.some(entry => entry.ruleId === this.selected)) {
+            // Start with a path that is alerting, if any
+            this.selected = (this.paths.find(entry => entry.alerting) || this.paths[0])?.ruleId || null;
+        }
+        select.replaceChildren(...this.paths.map(entry => {
+            const option = document.createElement('option');
+            option.value = entry.ruleId;
+            option.textContent = `${entry.alerting ? '▲ ' : ''}${entry.path}`;
+            option.selected = entry.ruleId === this.selected;
+            return option;
+        }));
+
+        const entry = this.paths.find(item => item.ruleId === this.selected);
+        this.renderSummary(entry);
+        this.renderChart(entry?.samples || []);
+        this.renderTop(entry);
+    }
+
+    renderSummary(entry) {
+        const summary = document.getElementById('directoryGrowthSummary');
+        if (!summary) return;
+
+        summary.classList.toggle('directory-growth-alert', Boolean(entry?.alerting));
+        if (!entry) {
+            summary.textContent = 'No paths watched';
+            return;
+        }
+        if (entry.size === null) {
+            summary.textContent = entry.error || (entry.enabled ? 'Not measured yet' : 'Watch rule is disabled');
+            return;
+        }
+
+        const parts = [`${this.formatBytes(entry.size)} in ${entry.files.toLocaleString()} files`];
+        if (entry.growth) {
+            const minutes = Math.round(entry.growth.span / 60000);
+            parts.push(`${this.formatGrowth(entry.growth.rate)}/h over the last ${minutes}m (${this.formatGrowth(entry.growth.growth)}, ${entry.growth.files >= 0 ? '+' : ''}${entry.growth.files.toLocaleString()} files)`);
+        }
+        if (entry.alerting) {
+            parts.push(`above the ${this.formatBytes(entry.alertRate)}/h alert rate`);
+        }
+        parts.push(entry.error || `measured ${new Date(entry.measuredAt).toLocaleString()}`);
+        summary.textContent = parts.join(' · ');
+    }
+
+    renderChart(samples) {
+        const canvas = document.getElementById('directoryGrowthChart');
+        if (!canvas) return;
+
+        const labels = samples.map(sample => new Date(sample.timestamp).toLocaleString([], {
+            month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'
+        }));
+        const sizes = samples.map(sample => sample.size);
+        const files = samples.map(sample => sample.files);
+
+        if (this.chart) {
+            this.chart.data.labels = labels;
+            this.chart.data.datasets[0].data = sizes;
+            this.chart.data.datasets[1].data = files;
+            this.chart.update('none');
+            return;
+        }
+
+        this.chart = new Chart(canvas.getContext('2d'), {
+            type: 'line',
+            data: {
+                labels,
+                datasets: [{
+                    label: 'Size',
+                    data: sizes,
+                    borderColor: '#ff00ff',
+                    backgroundColor: 'rgba(255, 0, 255, 0.1)',
+                    borderWidth: 2,
+                    fill: true,
+                    yAxisID: 'y'
+                }, {
+                    label: 'Files',
+                    data: files,
+                    borderColor: '#00ffff',
+                    borderWidth: 2,
+                    fill: false,
+                    yAxisID: 'files'
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                animation: false,
+                scales: {
+                    x: {
+                        ticks: { color: '#cccccc', maxTicksLimit: 6 },
+                        grid: { display: false }
+                    },
+                    y: {
+                        beginAtZero: true,
+                        grid: { color: 'rgba(255, 0, 255, 0.1)' },
+                        ticks: { color: '#cccccc', callback: (value) => this.formatBytes(value) }
+                    },
+                    files: {
+                        position: 'right',
+                        beginAtZero: true,
+                        grid: { display: false },
+                        ticks: { color: '#cccccc' }
+                    }
+                },
+                plugins: {
+                    legend: {
+                        labels: { color: '#cccccc' }
+                    },
+                    tooltip: {
+                        callbacks: {
+                            label: (context) => context.dataset.yAxisID === 'y'
+                                ? `Size: ${this.formatBytes(context.parsed.y)}`
+                                : `Files: ${context.parsed.y.toLocaleString()}`
+                        }
+                    }
+                },
+                elements: {
+                    point: { radius: 0 }
+                }
+            }
+        });
+    }
+
+    renderTop(entry) {
+        const container = document.getElementById('directoryGrowthTop');
+        if (!container) return;
+
+        if (!entry || entry.top.length === 0) {
+            container.innerHTML = '<p>No subdirectory grew over the last window</p>';
+            return;
+        }
+
+        const fastest = entry.top[0].growth;
+        container.replaceChildren(...entry.top.map(item => {
+            const row = document.createElement('div');
+            row.className = 'histogram-row';
+            row.title = `${item.path}\nNow ${this.formatBytes(item.size)}`;
+
+            const label = document.createElement('span');
+            label.className = 'histogram-label';
+            label.textContent = item.name === '.' ? 'Files directly in the path' : item.name;
+
+            const bar = document.createElement('span');
+            bar.className = 'histogram-bar';
+            const fill = document.createElement('span');
+            fill.className = 'histogram-fill';
+            fill.style.width = `${(item.growth / fastest) * 100}%`;
+            bar.appendChild(fill);
+
+            const growth = document.createElement('span');
+            growth.className = 'histogram-count';
+            growth.textContent = this.formatGrowth(item.growth);
+
+            row.append(label, bar, growth);
+            return row;
+        }));
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    window.directoryGrowthView = new DirectoryGrowthView();
+});
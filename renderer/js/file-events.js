@@ -0,0 +1,190 @@
+// PlayNexus File Events - searchable on-disk file event log and per-directory activity in the Files tab
+class FileEventsView {
+    constructor() {
+        this.limit = 500;
+        this.refreshQueued = false;
+        this.filterTimer = null;
+
+        this.init();
+    }
+
+    init() {
+        const onFilterChange = () => {
+            clearTimeout(this.filterTimer);
+            this.filterTimer = setTimeout(() => this.refresh(), 300);
+        };
+        document.getElementById('fileEventsPath')?.addEventListener('input', onFilterChange);
+        ['fileEventsType', 'fileEventsFrom', 'fileEventsTo'].forEach(id => {
+            document.getElementById(id)?.addEventListener('change', () => this.refresh());
+        });
+
+        document.getElementById('exportFileEventsCsvBtn')?.addEventListener('click', () => this.export('csv'));
+        document.getElementById('exportFileEventsJsonBtn')?.addEventListener('click', () => this.export('json'));
+
+        document.getElementById('fileEventsHistogram')?.addEventListener('click', (e) => {
+            const row = e.target.closest('[data-directory]');
+            if (!row) return;
+            const input = document.getElementById('fileEventsPath');
+            if (input) input.value = row.dataset.directory;
+            this.refresh();
+        });
+
+        this.refresh();
+    }
+
+    getFilters() {
+        const value = (id) => document.getElementById(id)?.value || '';
+        const time = (id) => {
+            const parsed = Date.parse(value(id));
+            return Number.isFinite(parsed) ? parsed : null;
+        };
+
+        const type = value('fileEventsType') || 'all';
+        return {
+            path: value('fileEventsPath').trim(),
+            types: type === 'all' ? [] : [type],
+            from: time('fileEventsFrom'),
+            // The picker has minute precision, so "to" covers the whole minute
+            to: time('fileEventsTo') !== null ? time('fileEventsTo') + 59999 : null
+        };
+    }
+
+    async refresh() {
+        try {
+            const filters = this.getFilters();
+            const [result, histogram] = await Promise.all([
+                window.electronAPI.queryFileEvents({ ...filters, limit: this.limit }),
+                window.electronAPI.getFileEventHistogram(filters)
+            ]);
+            this.renderEvents(result);
+            this.renderHistogram(histogram);
+        } catch (error) {
+            console.error('Failed to load file events:', error);
+        }
+    }
+
+    handleEvent() {
+        // Busy directories produce events faster than the log needs redrawing
+        if (this.refreshQueued || window.app?.currentTab !== 'files') return;
+        this.refreshQueued = true;
+        setTimeout(() => {
+            this.refreshQueued = false;
+            this.refresh();
+        }, 1000);
+    }
+
+    renderEvents({ total, events }) {
+        const log = document.getElementById('fileEventsLog');
+        const summary = document.getElementById('fileEventsSummary');
+        if (summary) {
+            summary.textContent = total > events.length
+                ? `Showing the newest ${events.length} of ${total} events`
+                : `${total} event${total === 1 ? '' : 's'}`;
+        }
+        if (!log) return;
+
+        if (events.length === 0) {
+            log.innerHTML = '<p>No file events</p>';
+            return;
+        }
+        log.replaceChildren(...events.map(event => this.createRow(event)));
+    }
+
+    createRow(event) {
+        const row = document.createElement('div');
+        row.className = `event-item ${event.type}`;
+
+        const type = document.createElement('strong');
+        type.textContent = event.type.toUpperCase();
+
+        const details = [];
+        if (event.size !== null && event.size !== undefined) {
+            details.push(window.app?.formatBytes(event.size) || `${event.size} B`);
+        }
+        if (event.count > 1) details.push(`${event.count} events merged`);
+
+        const time = document.createElement('small');
+        time.textContent = new Date(event.timestamp).toLocaleString();
+
+        // File names come from disk, so they are never parsed as HTML
+        row.append(type, `: ${event.path}${details.length ? ` (${details.join(', ')})` : ''} `, time);
+        return row;
+    }
+
+    renderHistogram(directories) {
+        const container = document.getElementById('fileEventsHistogram');
+        if (!container) return;
+
+        if (directories.length === 0) {
+            container.innerHTML = '<p>No activity</p>';
+            return;
+        }
+
+        const busiest = directories[0].total;
+        container.replaceChildren(...directories.map(entry => {
+            const row = document.createElement('div');
+            row.className = 'histogram-row';
+            row.dataset.directory = entry.directory;
+            row.title = `${entry.directory}\n${Object.entries(entry.types).map(([type, count]) => `${type}: ${count}`).join(', ')}\nLast event ${new Date(entry.lastEvent).toLocaleString()}`;
+
+            const label = document.createElement('span');
+            label.className = 'histogram-label';
+            label.textContent = entry.directory;
+
+            const bar = document.createElement('span');
+            bar.className = 'histogram-bar';
+            const fill = document.createElement('span');
+            fill.className = 'histogram-fill';
+            fill.style.width = `${(entry.total / busiest) * 100}%`;
+            bar.appendChild(fill);
+
+            const count = document.createElement('span');
+            count.className = 'histogram-count';
+            count.textContent = entry.total;
+
+            row.append(label, bar, count);
+            return row;
+        }));
+    }
+
+    async export(format) {
+        try {
+            const result = await window.electronAPI.exportFileEvents(this.getFilters(), format);
+            if (!result.success) {
+                window.uiUtils?.showNotification(`Failed to export file events: ${result.error}`, 'error');
+                return;
+            }
+
+            const type = format === 'json' ? 'application/json' : 'text/csv';
+            const blob = new Blob([result.content], { type });
+            const url = URL.createObjectURL(blob);
+
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `file-events-${new Date().toISOString().split('T')[0]}.${format}`;
+            a.click();
+
+            URL.revokeObjectURL(url);
+            window.uiUtils?.showNotification('File events exported', 'success');
+        } catch (error) {
+            console.error('Failed to export file events:', error);
+            window.uiUtils?.showNotification('Failed to export file events', 'error');
+        }
+    }
+
+    async clear() {
+        if (!confirm('Delete every recorded file event?')) return;
+
+        try {
+            await window.electronAPI.clearFileEvents();
+            await this.refresh();
+        } catch (error) {
+            console.error('Failed to clear file events:', error);
+            window.uiUtils?.showNotification('Failed to clear file events', 'error');
+        }
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    window.fileEventsView = new FileEventsView();
+});
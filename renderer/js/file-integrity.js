@@ -0,0 +1,222 @@
+// PlayNexus File Integrity - watch rules with an integrity baseline and the files that differ from it
+const INTEGRITY_STATUS_LABELS = {
+    added: 'ADDED',
+    removed: 'REMOVED',
+    modified: 'MODIFIED'
+};
+
+class FileIntegrityPanel {
+    constructor() {
+        this.rules = [];
+
+        this.init();
+    }
+
+    init() {
+        window.electronAPI.onIntegrityEvent((report) => this.handleReport(report));
+
+        document.getElementById('exportIntegrityCsvBtn')?.addEventListener('click', () => this.export('csv'));
+        document.getElementById('exportIntegrityJsonBtn')?.addEventListener('click', () => this.export('json'));
+
+        document.getElementById('fileIntegrityList')?.addEventListener('click', (e) => {
+            const item = e.target.closest('[data-rule-id]');
+            if (!item) return;
+            if (e.target.closest('[data-verify]')) {
+                this.verify(item.dataset.ruleId);
+            } else if (e.target.closest('[data-accept]')) {
+                this.accept(item.dataset.ruleId);
+            }
+        });
+
+        this.refresh();
+        // Baselines finish building without an event
+        setInterval(() => {
+            if (window.app?.currentTab === 'files') {
+                this.refresh();
+            }
+        }, 10000);
+    }
+
+    async refresh() {
+        try {
+            this.rules = await window.electronAPI.getIntegrityStatus();
+            this.render();
+        } catch (error) {
+            console.error('Failed to load integrity status:', error);
+        }
+    }
+
+    handleReport(report) {
+        this.refresh();
+
+        const config = window.app?.config;
+        if (config?.fileIntegrity?.notify === false || config?.ui?.notifications === false) return;
+        const count = report.differences.length;
+        const first = report.differences[0];
+        window.uiUtils?.showNotification(
+            count === 1
+                ? `Integrity: ${first.path} was ${first.status}`
+                : `Integrity: ${count} files differ from the baseline under ${report.path}`,
+            'warning'
+        );
+    }
+
+    async verify(ruleId) {
+        const result = await window.electronAPI.verifyIntegrity(ruleId);
+        if (!result.success) {
+            window.uiUtils?.showNotification(`Integrity check failed: ${result.error}`, 'error');
+        } else if (result.status) {
+            const { added, removed, modified } = result.status;
+            window.uiUtils?.showNotification(
+                added + removed + modified === 0
+                    ? 'All files match the baseline'
+                    : `${added} added, ${removed} removed, ${modified} modified`,
+                added + removed + modified === 0 ? 'success' : 'warning'
+            );
+        }
+        await this.refresh();
+    }
+
+    async accept(ruleId) {
+        const rule = this.rules.find(r => r.ruleId === ruleId);
+        if (!rule || !confirm(`Accept the files under ${rule.path} as they are now as the new baseline?`)) return;
+
+        const result = await window.electronAPI.acceptIntegrityBaseline(ruleId);
+        if (result.success) {
+            window.uiUtils?.showNotification('New baseline accepted', 'success');
+        } else {
+            window.uiUtils?.showNotification(`Failed to accept baseline: ${result.error}`, 'error');
+        }
+        await this.refresh();
+    }
+
+    async export(format) {
+        try {
+            const result = await window.electronAPI.exportIntegrityReport(null, format);
+            if (!result.success) {
+                window.uiUtils?.showNotification(`Failed to export integrity report: ${result.error}`, 'error');
+                return;
+            }
+
+            const type = format === 'json' ? 'application/json' : 'text/csv';
+            const blob = new Blob([result.content], { type });
+            const url = URL.createObjectURL(blob);
+
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `integrity-report-${new Date().toISOString().split('T')[0]}.${format}`;
+            a.click();
+
+            URL.revokeObjectURL(url);
+            window.uiUtils?.showNotification('Integrity report exported', 'success');
+        } catch (error) {
+            console.error('Failed to export integrity report:', error);
+            window.uiUtils?.showNotification('Failed to export integrity report', 'error');
+        }
+    }
+
+    render() {
+        const list = document.getElementById('fileIntegrityList');
+        if (!list) return;
+
+        if (this.rules.length === 0) {
+            list.innerHTML = '<div class="alert-empty">Turn on "Integrity baseline" for a watched path to track its files</div>';
+            return;
+        }
+
+        list.replaceChildren(...this.rules.map(rule => this.createItem(rule)));
+    }
+
+    createItem(rule) {
+        const total = rule.added + rule.removed + rule.modified;
+        const item = document.createElement('div');
+        item.className = `path-item watch-rule integrity-rule integrity-${rule.state}${total > 0 ? ' integrity-changed' : ''}`;
+        item.dataset.ruleId = rule.ruleId;
+
+        const header = document.createElement('div');
+        header.className = 'watch-rule-header';
+
+        const path = document.createElement('span');
+        path.className = 'watch-rule-path';
+        path.textContent = rule.path;
+        path.title = rule.path;
+
+        const status = document.createElement('span');
+        status.className = 'watch-rule-status';
+        if (rule.state === 'ready') {
+            status.textContent = total > 0 ? `${total} CHANGED` : 'UNCHANGED';
+        } else {
+            status.textContent = rule.state.toUpperCase();
+        }
+        if (rule.error) status.title = rule.error;
+
+        const verify = document.createElement('button');
+        verify.className = 'btn btn-secondary btn-sm';
+        verify.dataset.verify = '';
+        verify.textContent = 'Verify';
+        verify.disabled = !rule.createdAt;
+
+        const accept = document.createElement('button');
+        accept.className = 'btn btn-secondary btn-sm';
+        accept.dataset.accept = '';
+        accept.textContent = 'Accept Baseline';
+
+        header.append(path, status, verify, accept);
+        item.appendChild(header);
+
+        const summary = document.createElement('div');
+        summary.className = 'integrity-summary';
+        summary.textContent = rule.error || [
+            `${rule.files} files`,
+            rule.createdAt ? `baseline ${new Date(rule.createdAt).toLocaleString()}` : 'no baseline yet',
+            rule.checkedAt ? `checked ${new Date(rule.checkedAt).toLocaleString()}` : null,
+            total > 0 ? `${rule.added} added, ${rule.removed} removed, ${rule.modified} modified` : null
+        ].filter(Boolean).join(' · ');
+        item.appendChild(summary);
+
+        if (rule.differences.length > 0) {
+            const differences = document.createElement('div');
+            differences.className = 'alert-list integrity-differences';
+            differences.replaceChildren(...rule.differences.map(difference => this.createDifference(difference)));
+            item.appendChild(differences);
+        }
+        return item;
+    }
+
+    createDifference(difference) {
+        const row = document.createElement('div');
+        row.className = `alert-item integrity-${difference.status}`;
+        row.title = difference.path;
+
+        [
+            ['alert-state', INTEGRITY_STATUS_LABELS[difference.status]],
+            ['alert-name', difference.path],
+            ['alert-detail', this.describeChanges(difference)],
+            ['alert-time', new Date(difference.detectedAt).toLocaleTimeString()]
+        ].forEach(([className, text]) => {
+            const cell = document.createElement('span');
+            cell.className = className;
+            cell.textContent = text;
+            row.appendChild(cell);
+        });
+        return row;
+    }
+
+    describeChanges({ status, changes, baseline, current }) {
+        const formatBytes = (bytes) => window.app?.formatBytes(bytes) || `${bytes} B`;
+        const entry = current || baseline;
+        if (status !== 'modified') {
+            return `${formatBytes(entry.size)}, mode ${entry.mode}`;
+        }
+
+        return changes.map(change => {
+            if (change === 'size') return `size ${formatBytes(baseline.size)} → ${formatBytes(current.size)}`;
+            if (change === 'permissions') return `mode ${baseline.mode} → ${current.mode}`;
+            return 'content';
+        }).join(', ');
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    window.fileIntegrityPanel = new FileIntegrityPanel();
+});
@@ -0,0 +1,403 @@
+// PlayNexus Watch Rules - per-path watch rules in the Files tab, saved as soon as a field changes;
+// each rule's actions are edited as JSON and saved explicitly, with a dry-run preview
+const WATCH_EVENT_TYPES = [
+    ['add', 'Added'],
+    ['change', 'Changed'],
+    ['unlink', 'Removed'],
+    ['addDir', 'Folder added'],
+    ['unlinkDir', 'Folder removed']
+];
+
+const ACTION_EXAMPLE = [
+    { type: 'hash', algorithm: 'sha256' },
+    { type: 'copy', destination: '/path/to/backup', overwrite: true },
+    { type: 'command', command: 'gzip', args: ['-k', '{path}'], onError: 'stop' },
+    { type: 'notify', message: '{type}: {name}' }
+];
+
+class WatchRulesPanel {
+    constructor() {
+        this.rules = [];
+        this.actionLog = [];
+        // Unsaved action edits and open action editors survive the periodic re-render
+        this.drafts = new Map();
+        this.openEditors = new Set();
+
+        this.init();
+    }
+
+    async init() {
+        document.getElementById('addWatchPathBtn')?.addEventListener('click', () => this.addPath());
+        document.getElementById('refreshWatchPathsBtn')?.addEventListener('click', () => this.refresh());
+
+        window.electronAPI.onFileAction((result) => this.handleActionResult(result));
+
+        const list = document.getElementById('watchPathsList');
+        list?.addEventListener('change', (e) => {
+            // Actions are only saved with their Save button, once they parse; the preview
+            // file is not part of the rule
+            if (e.target.matches('textarea, [data-field="samplePath"]')) return;
+            const item = e.target.closest('[data-rule-id]');
+            if (item) this.updateRule(item);
+        });
+        list?.addEventListener('input', (e) => {
+            const item = e.target.closest('[data-rule-id]');
+            if (item && e.target.matches('textarea')) this.drafts.set(item.dataset.ruleId, e.target.value);
+        });
+        // toggle does not bubble
+        list?.addEventListener('toggle', (e) => {
+            const item = e.target.closest('[data-rule-id]');
+            if (!item) return;
+            if (e.target.open) {
+                this.openEditors.add(item.dataset.ruleId);
+            } else {
+                this.openEditors.delete(item.dataset.ruleId);
+            }
+        }, true);
+        list?.addEventListener('click', (e) => {
+            const item = e.target.closest('[data-rule-id]');
+            if (!item) return;
+            if (e.target.closest('[data-remove-rule]')) {
+                this.removeRule(item.dataset.ruleId);
+            } else if (e.target.closest('[data-save-actions]')) {
+                this.saveActions(item);
+            } else if (e.target.closest('[data-preview-actions]')) {
+                this.previewActions(item);
+            }
+        });
+
+        await this.refresh();
+        this.loadActionLog();
+
+        // Status changes (a watcher becoming ready or failing) raise no event
+        setInterval(() => {
+            if (window.app?.currentTab === 'files') {
+                this.refresh();
+            }
+        }, 10000);
+    }
+
+    async refresh() {
+        try {
+            this.rules = await window.electronAPI.getWatchRules();
+            this.render();
+        } catch (error) {
+            console.error('Failed to load watch rules:', error);
+        }
+    }
+
+    async addPath() {
+        try {
+            const path = await window.electronAPI.selectDirectory();
+            if (!path) return;
+
+            if (this.rules.some(rule => rule.path === path)) {
+                window.uiUtils?.showNotification('That path is already watched', 'warning');
+                return;
+            }
+            if (await this.save([...this.rules.map(this.toRule), { path }])) {
+                window.uiUtils?.showNotification('Path added to file watcher', 'success');
+            }
+        } catch (error) {
+            console.error('Failed to add watch path:', error);
+            window.uiUtils?.showNotification('Failed to add watch path', 'error');
+        }
+    }
+
+    async removeRule(id) {
+        const rule = this.rules.find(r => r.id === id);
+        if (!rule) return;
+
+        if (await this.save(this.rules.filter(r => r.id !== id).map(this.toRule))) {
+            window.uiUtils?.showNotification(`Stopped watching ${rule.path}`, 'success');
+        }
+    }
+
+    updateRule(item, changes = {}) {
+        const id = item.dataset.ruleId;
+        const field = (name) => item.querySelector(`[data-field="${name}"]`);
+        const list = (name) => field(name).value.split(',').map(s => s.trim()).filter(Boolean);
+
+        const updated = {
+            ...this.toRule(this.rules.find(rule => rule.id === id)),
+            enabled: field('enabled').checked,
+            include: list('include'),
+            exclude: list('exclude'),
+            depth: field('depth').value === '' ? null : Number(field('depth').value),
+            followSymlinks: field('followSymlinks').checked,
+            events: Array.from(item.querySelectorAll('[data-event]:checked')).map(input => input.dataset.event),
+            dryRun: field('dryRun').checked,
+            integrity: field('integrity').checked,
+            ...changes
+        };
+
+        return this.save(this.rules.map(rule => rule.id === id ? updated : this.toRule(rule)));
+    }
+
+    readActions(item) {
+        const text = item.querySelector('[data-field="actions"]').value.trim();
+        try {
+            const actions = JSON.parse(text || '[]');
+            if (!Array.isArray(actions)) throw new Error('expected a list of actions');
+            return actions;
+        } catch (error) {
+            window.uiUtils?.showNotification(`Actions are not valid JSON: ${error.message}`, 'error');
+            return null;
+        }
+    }
+
+    async saveActions(item) {
+        const actions = this.readActions(item);
+        if (!actions) return;
+
+        const id = item.dataset.ruleId;
+        const draft = this.drafts.get(id);
+        // Let the list re-render with what was saved
+        this.drafts.delete(id);
+        if (await this.updateRule(item, { actions })) {
+            window.uiUtils?.showNotification('Actions saved', 'success');
+        } else if (draft !== undefined) {
+            this.drafts.set(id, draft);
+            this.render();
+        }
+    }
+
+    async previewActions(item) {
+        const actions = this.readActions(item);
+        const output = item.querySelector('.watch-rule-preview');
+        if (!actions || !output) return;
+
+        const rule = this.toRule(this.rules.find(r => r.id === item.dataset.ruleId));
+        const samplePath = item.querySelector('[data-field="samplePath"]').value.trim();
+        const result = await window.electronAPI.previewFileActions(
+            { ...rule, actions },
+            samplePath ? { path: samplePath, type: 'change' } : null
+        );
+
+        if (!result.success) {
+            output.textContent = result.error;
+            return;
+        }
+        output.textContent = [
+            `For ${result.event.type} ${result.event.path}:`,
+            ...result.steps.map((step, index) => `${index + 1}. ${step.status === 'skipped' ? `(skipped: ${step.message})` : step.message}${step.onError === 'stop' ? ' — stops here on failure' : ''}`)
+        ].join('\n');
+    }
+
+    // Runtime-only fields are left out of what is saved
+    toRule({ status, error, ...rule }) {
+        return rule;
+    }
+
+    async save(rules) {
+        try {
+            const result = await window.electronAPI.saveWatchRules(rules);
+            if (!result.success) {
+                window.uiUtils?.showNotification(`Invalid watch rule: ${result.error}`, 'error');
+            }
+            // Either way the list shows what the watcher is actually using
+            await this.refresh();
+            window.fileIntegrityPanel?.refresh();
+            return result.success;
+        } catch (error) {
+            console.error('Failed to save watch rules:', error);
+            window.uiUtils?.showNotification('Failed to save watch rules', 'error');
+            return false;
+        }
+    }
+
+    async loadActionLog() {
+        try {
+            this.actionLog = await window.electronAPI.getFileActionLog();
+            this.renderActionLog();
+        } catch (error) {
+            console.error('Failed to load file action log:', error);
+        }
+    }
+
+    handleActionResult(result) {
+        this.actionLog.unshift(result);
+        this.actionLog.splice(100);
+        this.renderActionLog();
+
+        if (window.app?.config?.ui?.notifications === false) return;
+        if (result.status === 'ok' && result.notify) {
+            window.uiUtils?.showNotification(result.message, 'info');
+        } else if (result.status === 'error') {
+            window.uiUtils?.showNotification(`File action failed: ${result.message}`, 'error');
+        }
+    }
+
+    renderActionLog() {
+        const log = document.getElementById('fileActionLog');
+        if (!log) return;
+
+        if (this.actionLog.length === 0) {
+            log.innerHTML = '<div class="alert-empty">No file actions have run yet</div>';
+            return;
+        }
+
+        log.replaceChildren(...this.actionLog.map(entry => {
+            const row = document.createElement('div');
+            row.className = `alert-item file-action-${entry.status}`;
+            [
+                ['alert-state', entry.status.toUpperCase()],
+                ['alert-name', `${entry.action} (${entry.event})`],
+                ['alert-detail', entry.message],
+                ['alert-time', new Date(entry.timestamp).toLocaleTimeString()]
+            ].forEach(([className, text]) => {
+                const cell = document.createElement('span');
+                cell.className = className;
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+            row.title = entry.path;
+            return row;
+        }));
+    }
+
+    render() {
+        const list = document.getElementById('watchPathsList');
+        if (!list) return;
+
+        // Do not rebuild a rule while one of its fields is being edited
+        if (list.contains(document.activeElement) && document.activeElement.matches('input[type="text"], input[type="number"], textarea')) {
+            return;
+        }
+
+        if (this.rules.length === 0) {
+            list.innerHTML = '<p>No paths watched</p>';
+            return;
+        }
+
+        list.replaceChildren(...this.rules.map(rule => this.createItem(rule)));
+    }
+
+    createItem(rule) {
+        const item = document.createElement('div');
+        item.className = `path-item watch-rule watch-rule-${rule.status}`;
+        item.dataset.ruleId = rule.id;
+
+        const header = document.createElement('div');
+        header.className = 'watch-rule-header';
+
+        const path = document.createElement('span');
+        path.className = 'watch-rule-path';
+        path.textContent = rule.path;
+        path.title = rule.path;
+
+        const status = document.createElement('span');
+        status.className = 'watch-rule-status';
+        status.textContent = rule.status.toUpperCase();
+        if (rule.error) status.title = rule.error;
+
+        const remove = document.createElement('button');
+        remove.className = 'btn btn-secondary btn-sm';
+        remove.dataset.removeRule = rule.id;
+        remove.textContent = 'Remove';
+
+        header.append(this.createCheckbox('enabled', rule.enabled, 'Enabled'), path, status, remove);
+        item.appendChild(header);
+
+        if (rule.error) {
+            const error = document.createElement('div');
+            error.className = 'watch-rule-message';
+            error.textContent = rule.error;
+            item.appendChild(error);
+        }
+
+        const fields = document.createElement('div');
+        fields.className = 'watch-rule-fields';
+        fields.append(
+            this.createInput('include', 'Include', rule.include.join(', '), 'all files, e.g. *.log, config/**'),
+            this.createInput('exclude', 'Exclude', rule.exclude.join(', '), 'nothing, e.g. node_modules, .*'),
+            this.createInput('depth', 'Depth', rule.depth ?? '', 'unlimited', 'number'),
+            this.createCheckbox('followSymlinks', rule.followSymlinks, 'Follow symlinks'),
+            this.createCheckbox('integrity', rule.integrity, 'Integrity baseline')
+        );
+        item.appendChild(fields);
+
+        const events = document.createElement('div');
+        events.className = 'watch-rule-events';
+        for (const [type, label] of WATCH_EVENT_TYPES) {
+            const checkbox = this.createCheckbox(null, rule.events.includes(type), label);
+            checkbox.querySelector('input').dataset.event = type;
+            events.appendChild(checkbox);
+        }
+        item.appendChild(events);
+
+        item.appendChild(this.createActionEditor(rule));
+        return item;
+    }
+
+    createActionEditor(rule) {
+        const details = document.createElement('details');
+        details.className = 'watch-rule-actions';
+        details.open = this.openEditors.has(rule.id);
+
+        const summary = document.createElement('summary');
+        summary.textContent = `Actions (${rule.actions.length})${rule.dryRun ? ' — dry run' : ''}`;
+
+        const editor = document.createElement('textarea');
+        editor.className = 'settings-textarea';
+        editor.dataset.field = 'actions';
+        editor.rows = 6;
+        editor.spellcheck = false;
+        editor.value = this.drafts.get(rule.id) ?? (rule.actions.length ? JSON.stringify(rule.actions, null, 2) : '');
+        editor.placeholder = JSON.stringify(ACTION_EXAMPLE, null, 2);
+
+        const sample = this.createInput('samplePath', 'Preview with file', '', 'the latest event, or an example file');
+
+        const buttons = document.createElement('div');
+        buttons.className = 'watch-rule-buttons';
+        const save = document.createElement('button');
+        save.className = 'btn btn-primary btn-sm';
+        save.dataset.saveActions = '';
+        save.textContent = 'Save Actions';
+        const preview = document.createElement('button');
+        preview.className = 'btn btn-secondary btn-sm';
+        preview.dataset.previewActions = '';
+        preview.textContent = 'Preview';
+        buttons.append(save, preview, this.createCheckbox('dryRun', rule.dryRun, 'Dry run (log only)'));
+
+        const output = document.createElement('pre');
+        output.className = 'watch-rule-preview';
+
+        details.append(summary, editor, sample, buttons, output);
+        return details;
+    }
+
+    createInput(field, labelText, value, placeholder, type = 'text') {
+        const label = document.createElement('label');
+        label.className = 'watch-rule-field';
+        label.textContent = labelText;
+
+        const input = document.createElement('input');
+        input.type = type;
+        input.className = 'search-input';
+        input.dataset.field = field;
+        input.value = value;
+        input.placeholder = placeholder;
+        if (type === 'number') input.min = 0;
+
+        label.appendChild(input);
+        return label;
+    }
+
+    createCheckbox(field, checked, labelText) {
+        const label = document.createElement('label');
+        label.className = 'watch-rule-check';
+
+        const input = document.createElement('input');
+        input.type = 'checkbox';
+        input.checked = checked;
+        if (field) input.dataset.field = field;
+
+        label.append(input, ` ${labelText}`);
+        return label;
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    window.watchRulesPanel = new WatchRulesPanel();
+});
@@ -0,0 +1,108 @@
+// PlayNexus Leak Suspects - processes whose memory has grown steadily, fastest growing first
+class LeakSuspects {
+    constructor() {
+        this.suspects = [];
+        // Suspects fall away when they stop growing or exit, which raises no event
+        this.refreshInterval = 60000;
+
+        this.init();
+    }
+
+    init() {
+        window.electronAPI.onLeakEvent((suspect) => this.handleSuspect(suspect));
+
+        document.getElementById('leakSuspectsList')?.addEventListener('click', (e) => {
+            const row = e.target.closest('[data-pid]');
+            if (row) {
+                window.app?.revealProcess(Number(row.dataset.pid));
+            }
+        });
+
+        this.refresh();
+        setInterval(() => this.refresh(), this.refreshInterval);
+    }
+
+    async refresh() {
+        try {
+            this.suspects = await window.electronAPI.getLeakSuspects();
+            this.render();
+        } catch (error) {
+            console.error('Failed to load leak suspects:', error);
+        }
+    }
+
+    handleSuspect(suspect) {
+        this.suspects = this.suspects.filter(s => s.pid !== suspect.pid);
+        this.suspects.push(suspect);
+        this.suspects.sort((a, b) => b.growthPerHour - a.growthPerHour);
+        this.render();
+
+        const app = window.app;
+        if (!app?.config?.leakDetection?.notify || app.config.ui?.notifications === false) return;
+        app.showNotification(
+            `Possible memory leak: ${suspect.name} (${suspect.pid}) grows ${app.formatBytes(suspect.growthPerHour)}/h, now ${app.formatBytes(suspect.rss)}`,
+            'warning'
+        );
+    }
+
+    render() {
+        const list = document.getElementById('leakSuspectsList');
+        if (!list) return;
+
+        if (this.suspects.length === 0) {
+            list.innerHTML = '<div class="alert-empty">No processes with steadily growing memory</div>';
+            return;
+        }
+
+        list.replaceChildren(...this.suspects.map(suspect => this.createRow(suspect)));
+    }
+
+    createRow(suspect) {
+        const formatBytes = (bytes) => window.app?.formatBytes(bytes) || `${Math.round(bytes)} B`;
+        const row = document.createElement('div');
+        row.className = 'alert-item leak-suspect';
+        row.dataset.pid = suspect.pid;
+        row.title = 'Show in the process table';
+
+        const detail = [
+            `${formatBytes(suspect.rss)} RSS`,
+            `+${formatBytes(Math.max(suspect.growth, 0))} in ${this.formatDuration(suspect.span)}`,
+            `R² ${suspect.r2.toFixed(2)}`,
+            this.describeLimit(suspect, formatBytes)
+        ].join(' · ');
+
+        [
+            ['alert-state', `+${formatBytes(suspect.growthPerHour)}/h`],
+            ['alert-name', `${suspect.name} (${suspect.pid})`],
+            ['alert-detail', detail],
+            ['alert-time', new Date(suspect.since).toLocaleTimeString()]
+        ].forEach(([className, text]) => {
+            const cell = document.createElement('span');
+            cell.className = className;
+            cell.textContent = text;
+            row.appendChild(cell);
+        });
+        return row;
+    }
+
+    describeLimit(suspect, formatBytes) {
+        const remaining = suspect.limitAt - Date.now();
+        if (suspect.rss >= suspect.limit || remaining <= 0) {
+            return `over the ${formatBytes(suspect.limit)} limit`;
+        }
+        return `reaches ${formatBytes(suspect.limit)} in ~${this.formatDuration(remaining)}`;
+    }
+
+    formatDuration(ms) {
+        const minutes = Math.round(ms / 60000);
+        if (minutes < 60) return `${minutes}m`;
+        const hours = Math.floor(minutes / 60);
+        if (hours < 24) return `${hours}h ${minutes % 60}m`;
+        const days = Math.floor(hours / 24);
+        return days < 30 ? `${days}d ${hours % 24}h` : `${days}d`;
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    window.leakSuspects = new LeakSuspects();
+});
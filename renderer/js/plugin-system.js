@@ -705,7 +705,7 @@ function updateNetworkStats(networkData) {
     
     if (downloadSpeed) downloadSpeed.textContent = \`\${networkData.rx_sec || 0} Mbps\`;
     if (uploadSpeed) uploadSpeed.textContent = \`\${networkData.tx_sec || 0} Mbps\`;
-    if (activeConnections) activeConnections.textContent = networkData.connections || 0;
+    if (activeConnections) activeConnections.textContent = window.app?.systemData?.connections?.established || 0;
     
     // Update chart
     if (networkChart) {
@@ -0,0 +1,130 @@
+// PlayNexus Process Events - searchable log of processes starting and exiting, newest first
+class ProcessEventLog {
+    constructor() {
+        this.events = [];
+        this.limit = 500;
+        this.renderQueued = false;
+
+        this.init();
+    }
+
+    async init() {
+        window.electronAPI.onProcessLifecycle((event) => this.handleEvent(event));
+
+        document.getElementById('processEventsSearch')?.addEventListener('input', () => this.render());
+        document.getElementById('processEventsType')?.addEventListener('change', () => this.render());
+        document.getElementById('processEventsLog')?.addEventListener('click', (e) => {
+            const row = e.target.closest('[data-pid]');
+            if (row && row.dataset.type === 'process-started') {
+                window.app?.revealProcess(Number(row.dataset.pid));
+            }
+        });
+
+        try {
+            this.events = await window.electronAPI.getProcessEvents();
+            this.render();
+        } catch (error) {
+            console.error('Failed to load process events:', error);
+        }
+    }
+
+    handleEvent(event) {
+        this.events.unshift(event);
+        this.events.splice(this.limit);
+
+        // A sample can start or end dozens of processes at once; draw them in one pass
+        if (this.renderQueued) return;
+        this.renderQueued = true;
+        requestAnimationFrame(() => {
+            this.renderQueued = false;
+            this.render();
+        });
+    }
+
+    matches(event, search, type) {
+        if (type !== 'all' && event.type !== type) return false;
+        if (!search) return true;
+        return [event.name, event.pid, event.command]
+            .some(value => String(value ?? '').toLowerCase().includes(search));
+    }
+
+    render() {
+        const log = document.getElementById('processEventsLog');
+        if (!log) return;
+
+        const search = (document.getElementById('processEventsSearch')?.value || '').trim().toLowerCase();
+        const type = document.getElementById('processEventsType')?.value || 'all';
+        const visible = this.events.filter(event => this.matches(event, search, type));
+
+        if (visible.length === 0) {
+            log.innerHTML = `<div class="alert-empty">${this.events.length === 0 ? 'No processes have started or exited yet' : 'No matching events'}</div>`;
+            return;
+        }
+
+        // Keep the reader's place when new events arrive above it
+        const previousHeight = log.scrollHeight;
+        const keepPosition = log.scrollTop > 0;
+
+        log.replaceChildren(...visible.map(event => this.createRow(event)));
+
+        if (keepPosition) {
+            log.scrollTop += log.scrollHeight - previousHeight;
+        }
+    }
+
+    createRow(event) {
+        const started = event.type === 'process-started';
+        const row = document.createElement('div');
+        row.className = `alert-item process-event ${started ? 'process-event-started' : 'process-event-exited'}`;
+        row.dataset.pid = event.pid;
+        row.dataset.type = event.type;
+        if (started) row.title = 'Show in the process table';
+
+        const detail = started
+            ? event.command || ''
+            : this.describeExit(event);
+
+        [
+            ['alert-state', started ? 'STARTED' : 'EXITED'],
+            ['alert-name', `${event.name} (${event.pid})`],
+            ['alert-detail', detail],
+            ['alert-time', new Date(event.timestamp).toLocaleTimeString()]
+        ].forEach(([className, text]) => {
+            const cell = document.createElement('span');
+            cell.className = className;
+            cell.textContent = text;
+            row.appendChild(cell);
+        });
+
+        if (!started && event.command) {
+            row.querySelector('.alert-detail').title = event.command;
+        }
+        return row;
+    }
+
+    describeExit(event) {
+        const lifetime = `${event.lifetimeIsMinimum ? 'ran over ' : 'ran '}${this.formatDuration(event.lifetime)}`;
+        const peaks = [
+            `peak CPU ${(event.peak?.cpu || 0).toFixed(1)}%`,
+            `peak memory ${(event.peak?.memory || 0).toFixed(1)}%`
+        ];
+        if (event.peak?.rss) {
+            peaks.push(window.app?.formatBytes(event.peak.rss) || `${event.peak.rss} B`);
+        }
+        return `${lifetime} · ${peaks.join(' · ')}`;
+    }
+
+    formatDuration(ms) {
+        const seconds = Math.round(ms / 1000);
+        if (seconds < 60) return `${seconds}s`;
+        const minutes = Math.floor(seconds / 60);
+        if (minutes < 60) return `${minutes}m ${seconds % 60}s`;
+        const hours = Math.floor(minutes / 60);
+        if (hours < 24) return `${hours}h ${minutes % 60}m`;
+        return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    window.processEventLog = new ProcessEventLog();
+});
@@ -0,0 +1,114 @@
+// PlayNexus Process Groups - processes grouped by application with their combined usage
+
+// Interpreters run many unrelated programs, so their script decides the application
+const INTERPRETERS = /^(node|nodejs|python[\d.]*|pythonw|java|javaw|ruby|perl|php|bun|deno|dotnet|pwsh|powershell)$/i;
+
+// Groups processes that belong to one application (all browser helpers, every instance of a
+// language server) so their combined usage is visible; expanded state survives refreshes
+class ProcessGroups {
+    constructor() {
+        this.expanded = new Set();
+    }
+
+    /**
+     * Application identity: the outermost .app bundle on macOS, otherwise the executable name
+     * (plus the script for interpreters), falling back to the process name
+     */
+    identify(process) {
+        const command = process.command || '';
+
+        const bundle = /([^/]+)\.app\//.exec(command);
+        if (bundle) return bundle[1];
+
+        const [executable, ...args] = this.splitCommand(command);
+        const base = executable ? this.basename(executable).replace(/\.exe$/i, '') : '';
+        if (!base || base.startsWith('[')) {
+            // Kernel threads and processes that hide their command line
+            return (process.name || '').replace(/\.exe$/i, '');
+        }
+
+        if (INTERPRETERS.test(base)) {
+            const script = args.find((arg, index) => !arg.startsWith('-') && !/^-(cp|classpath|-class-path)$/.test(args[index - 1] || ''));
+            return script ? `${base} ${this.basename(script)}` : base;
+        }
+        return base;
+    }
+
+    splitCommand(command) {
+        const parts = [];
+        const pattern = /"([^"]*)"|'([^']*)'|(\S+)/g;
+        let match;
+        while ((match = pattern.exec(command)) !== null) {
+            parts.push(match[1] ?? match[2] ?? match[3]);
+        }
+        return parts;
+    }
+
+    basename(path) {
+        return path.split(/[\\/]/).pop();
+    }
+
+    /**
+     * Groups with aggregate usage; the aggregate looks like a process so the table can sort it
+     */
+    group(processes) {
+        const groups = new Map();
+        for (const process of processes) {
+            const key = this.identify(process);
+            if (!groups.has(key)) groups.set(key, { key, processes: [] });
+            groups.get(key).processes.push(process);
+        }
+
+        return Array.from(groups.values()).map(group => {
+            const sum = field => group.processes.reduce((total, process) => total + (process[field] || 0), 0);
+            const users = Array.from(new Set(group.processes.map(process => process.user).filter(Boolean)));
+            const started = group.processes.map(process => process.started).filter(Boolean).sort();
+
+            group.aggregate = {
+                pid: null,
+                ppid: null,
+                name: group.key,
+                user: users.length > 1 ? `${users.length} users` : users[0] || null,
+                cpu: sum('cpu'),
+                memory: sum('memory'),
+                rss: group.processes.some(process => process.rss !== undefined) ? sum('rss') : undefined,
+                threads: group.processes.some(process => process.threads) ? sum('threads') : null,
+                state: null,
+                started: started[0] || null,
+                command: group.processes[0].command
+            };
+            return group;
+        });
+    }
+
+    /**
+     * Rows in display order: one row per group, followed by its members when expanded
+     * Applications with a single process are shown as a plain process row
+     */
+    flatten(processes, compare) {
+        const rows = this.group(processes).map(group => group.processes.length === 1
+            ? { process: group.processes[0], depth: 0 }
+            : { process: group.aggregate, group, depth: 0, hasChildren: true, collapsed: !this.expanded.has(group.key) });
+        rows.sort(compare);
+
+        return rows.flatMap(row => {
+            if (!row.group || row.collapsed) return [row];
+            const members = row.group.processes.map(process => ({ process, depth: 1 })).sort(compare);
+            return [row, ...members];
+        });
+    }
+
+    toggle(key) {
+        if (!this.expanded.delete(key)) {
+            this.expanded.add(key);
+        }
+    }
+
+    find(processes, key) {
+        return this.group(processes).find(group => group.key === key) || null;
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    window.processGroups = new ProcessGroups();
+});
@@ -0,0 +1,243 @@
+// PlayNexus Process Insights - per-process sparklines, top consumers and drill-down history
+class ProcessInsights {
+    constructor() {
+        this.chart = null;
+        this.selected = null;
+        this.sparklines = {};
+        this.sparklinePoints = 30;
+        this.refreshInterval = 10000;
+
+        this.init();
+    }
+
+    init() {
+        document.getElementById('processesTableBody')?.addEventListener('click', (e) => {
+            if (e.target.closest('button')) return;
+            const row = e.target.closest('tr[data-pid]');
+            if (row) {
+                window.processTable?.select(Number(row.dataset.pid));
+                this.showProcess(Number(row.dataset.pid), row.dataset.name);
+                window.processInspector?.open(Number(row.dataset.pid));
+            }
+        });
+
+        document.getElementById('topProcessesMetric')?.addEventListener('change', () => this.loadTopProcesses());
+        document.getElementById('topProcessesWindow')?.addEventListener('change', () => this.loadTopProcesses());
+
+        // History is sampled in the main process; keep the visible tab in step with it
+        setInterval(() => {
+            if (window.app?.currentTab === 'processes') {
+                window.app.loadProcesses();
+            }
+        }, this.refreshInterval);
+    }
+
+    // Called when new process data has been loaded; filtering only redraws the cached sparklines
+    async refresh() {
+        await Promise.all([
+            this.drawSparklines(),
+            this.loadTopProcesses(),
+            this.selected ? this.showProcess(this.selected.pid, this.selected.name) : null
+        ]);
+    }
+
+    async drawSparklines() {
+        try {
+            this.sparklines = await window.electronAPI.getProcessSparklines(this.sparklinePoints);
+            this.drawVisibleSparklines();
+        } catch (error) {
+            console.error('Failed to load process sparklines:', error);
+        }
+    }
+
+    // The process table is virtualized, so this runs again whenever other rows scroll into view
+    drawVisibleSparklines() {
+        document.querySelectorAll('#processesTableBody tr[data-pid]').forEach(row => {
+            const values = this.sparklines[`${row.dataset.pid}:${row.dataset.name}`];
+            const canvas = row.querySelector('.process-sparkline');
+            if (canvas && values) {
+                this.drawSparkline(canvas, values);
+            }
+        });
+
+        // Application groups show the sum of their members, aligned on the latest sample
+        document.querySelectorAll('#processesTableBody tr[data-group]').forEach(row => {
+            const canvas = row.querySelector('.process-sparkline');
+            const series = (row.dataset.members || '').split(',')
+                .map(member => this.sparklines[member])
+                .filter(Boolean);
+            if (!canvas || series.length === 0) return;
+
+            const length = Math.max(...series.map(values => values.length));
+            const total = Array.from({ length }, (_, index) => series.reduce((sum, values) => {
+                const offset = index - (length - values.length);
+                return sum + (offset >= 0 ? values[offset] : 0);
+            }, 0));
+            this.drawSparkline(canvas, total);
+        });
+    }
+
+    drawSparkline(canvas, values) {
+        const ctx = canvas.getContext('2d');
+        // A fixed 100% scale keeps idle processes flat instead of magnifying noise
+        const max = Math.max(100, ...values);
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        ctx.strokeStyle = '#00ffff';
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        values.forEach((value, index) => {
+            const x = (index / Math.max(this.sparklinePoints - 1, 1)) * canvas.width;
+            const y = canvas.height - (value / max) * (canvas.height - 2) - 1;
+            if (index === 0) ctx.moveTo(x, y);
+            else ctx.lineTo(x, y);
+        });
+        ctx.stroke();
+    }
+
+    async loadTopProcesses() {
+        const list = document.getElementById('topProcessesList');
+        if (!list) return;
+
+        const metric = document.getElementById('topProcessesMetric')?.value || 'cpu';
+        const minutes = parseInt(document.getElementById('topProcessesWindow')?.value, 10) || 10;
+
+        try {
+            const top = await window.electronAPI.getTopProcesses({
+                window: minutes * 60 * 1000,
+                metric,
+                limit: 10
+            });
+
+            if (top.length === 0) {
+                list.innerHTML = '<div class="process-detail-hint">No samples recorded yet</div>';
+                return;
+            }
+
+            list.replaceChildren(...top.map(entry => {
+                const row = document.createElement('div');
+                row.className = 'top-process';
+                row.title = `PIDs: ${entry.pids.join(', ')}`;
+                row.addEventListener('click', () => {
+                    // A name covers several PIDs, so there is no single process to inspect
+                    window.processInspector?.clear();
+                    this.showProcess(null, entry.name);
+                });
+
+                const name = document.createElement('span');
+                name.className = 'top-process-name';
+                name.textContent = entry.pids.length > 1 ? `${entry.name} (${entry.pids.length})` : entry.name;
+
+                const usage = document.createElement('span');
+                usage.className = 'top-process-usage';
+                usage.textContent = `avg ${entry.average.toFixed(1)}% · peak ${entry.peak.toFixed(1)}%`;
+
+                const activity = document.createElement('span');
+                activity.className = 'top-process-activity';
+                activity.textContent = `${entry.activeSamples}/${entry.samples} samples`;
+
+                row.append(name, usage, activity);
+                return row;
+            }));
+        } catch (error) {
+            console.error('Failed to load top processes:', error);
+        }
+    }
+
+    /**
+     * Chart one PID, or every instance of a name when pid is null
+     */
+    async showProcess(pid, name) {
+        this.selected = { pid, name };
+
+        try {
+            const history = await window.electronAPI.getProcessHistory(
+                pid === null ? { name } : { pid, name }
+            );
+
+            const title = document.getElementById('processDetailTitle');
+            const hint = document.getElementById('processDetailHint');
+
+            if (!history) {
+                if (hint) hint.textContent = `No history for ${name}${pid === null ? '' : ` (PID ${pid})`}; it may have exited`;
+                return;
+            }
+
+            if (title) {
+                title.textContent = pid === null ? `${name} (all instances)` : `${name} (PID ${pid})`;
+            }
+            if (hint) {
+                hint.textContent = history.command || '';
+            }
+
+            this.renderChart(history.points);
+        } catch (error) {
+            console.error('Failed to load process history:', error);
+        }
+    }
+
+    renderChart(points) {
+        const canvas = document.getElementById('processHistoryChart');
+        if (!canvas) return;
+
+        const labels = points.map(point => new Date(point.t).toLocaleTimeString());
+        const cpu = points.map(point => point.cpu);
+        const memory = points.map(point => point.memory);
+
+        if (this.chart) {
+            this.chart.data.labels = labels;
+            this.chart.data.datasets[0].data = cpu;
+            this.chart.data.datasets[1].data = memory;
+            this.chart.update('none');
+            return;
+        }
+
+        this.chart = new Chart(canvas.getContext('2d'), {
+            type: 'line',
+            data: {
+                labels,
+                datasets: [{
+                    label: 'CPU %',
+                    data: cpu,
+                    borderColor: '#00ffff',
+                    backgroundColor: 'rgba(0, 255, 255, 0.1)',
+                    borderWidth: 2,
+                    fill: true
+                }, {
+                    label: 'Memory %',
+                    data: memory,
+                    borderColor: '#00ff00',
+                    borderWidth: 2,
+                    fill: false
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                animation: false,
+                scales: {
+                    x: {
+                        ticks: { color: '#cccccc', maxTicksLimit: 6 },
+                        grid: { display: false }
+                    },
+                    y: {
+                        beginAtZero: true,
+                        grid: { color: 'rgba(0, 255, 255, 0.1)' },
+                        ticks: { color: '#cccccc' }
+                    }
+                },
+                plugins: {
+                    legend: {
+                        labels: { color: '#cccccc' }
+                    }
+                },
+                elements: {
+                    point: { radius: 0 }
+                }
+            }
+        });
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    window.processInsights = new ProcessInsights();
+});
@@ -0,0 +1,158 @@
+// PlayNexus Process Inspector - full details for the selected PID, shown under its history in the
+// process detail panel; every field can be copied to the clipboard
+class ProcessInspector {
+    constructor() {
+        this.pid = null;
+    }
+
+    async open(pid) {
+        this.pid = pid;
+        try {
+            const result = await window.electronAPI.inspectProcess(pid);
+            // Another row may have been selected while this one was being read
+            if (this.pid !== pid) return;
+            if (!result.success) {
+                this.clear();
+                window.app?.showNotification(result.error, 'warning');
+                return;
+            }
+            this.render(result.details);
+        } catch (error) {
+            console.error('Failed to inspect process:', error);
+            window.app?.showNotification('Failed to inspect process', 'error');
+        }
+    }
+
+    clear() {
+        this.pid = null;
+        document.getElementById('processInspector')?.replaceChildren();
+    }
+
+    render(details) {
+        const bytes = (value) => value === null ? null : window.app?.formatBytes(value) || `${value} B`;
+        const user = details.user !== null && details.uid !== null
+            ? `${details.user} (uid ${details.uid})`
+            : details.user ?? (details.uid !== null ? `uid ${details.uid}` : null);
+
+        const container = document.createElement('div');
+        container.className = 'process-inspector';
+
+        const overview = document.createElement('div');
+        overview.className = 'inspector-section';
+        overview.append(...[
+            ['Command line', details.command],
+            ['Executable', details.path],
+            ['Working directory', details.cwd],
+            ['User', user],
+            ['Started', details.started],
+            ['State', details.state],
+            ['Parent PID', details.ppid],
+            ['Threads', details.threads],
+            ['Priority', details.nice !== null ? `nice ${details.nice}` : null],
+            ['Resident memory', bytes(details.rss)],
+            ['Virtual memory', bytes(details.vsz)]
+        ].map(([label, value]) => this.createField(label, value)));
+
+        const environment = details.environment
+            ? Object.entries(details.environment).sort(([a], [b]) => a.localeCompare(b))
+            : null;
+        const fds = details.fds;
+
+        container.append(
+            overview,
+            this.createSection(
+                environment ? `Environment (${environment.length} variables)` : 'Environment',
+                environment && environment.map(([key, value]) => this.createField(key, value)),
+                environment && environment.map(([key, value]) => `${key}=${value}`).join('\n')
+            ),
+            this.createSection(
+                fds ? `Open file descriptors (${details.fdCount})` : 'Open file descriptors',
+                fds && [
+                    ...fds.map(entry => this.createField(String(entry.fd), entry.target)),
+                    ...(details.fdCount > fds.length ? [this.createHint(`Showing the first ${fds.length}`)] : [])
+                ],
+                fds && fds.map(entry => `${entry.fd} ${entry.target}`).join('\n')
+            ),
+            this.createSection(
+                `Sockets (${details.sockets.length})`,
+                details.sockets.length > 0
+                    ? details.sockets.map(socket => this.createField(socket.protocol.toUpperCase(), this.describeSocket(socket)))
+                    : [this.createHint('No listening or connected sockets')],
+                details.sockets.map(socket => `${socket.protocol} ${this.describeSocket(socket)}`).join('\n')
+            )
+        );
+
+        document.getElementById('processInspector')?.replaceChildren(container);
+    }
+
+    describeSocket(socket) {
+        const local = `${socket.localAddress}:${socket.localPort}`;
+        const peer = socket.peerAddress && socket.peerAddress !== '*'
+            ? ` → ${socket.peerAddress}:${socket.peerPort}`
+            : '';
+        return `${local}${peer}${socket.state ? ` (${socket.state})` : ''}`;
+    }
+
+    /**
+     * Collapsible list; `items` null means the data could not be read
+     */
+    createSection(title, items, copyText) {
+        const section = document.createElement('details');
+        section.className = 'inspector-section';
+
+        const summary = document.createElement('summary');
+        summary.textContent = title;
+        if (items && copyText) {
+            summary.appendChild(this.createCopyButton(copyText, 'Copy all'));
+        }
+
+        section.appendChild(summary);
+        section.append(...(items || [this.createHint('Not available: needs permission to read this process, or not supported on this platform')]));
+        return section;
+    }
+
+    createField(label, value) {
+        const row = document.createElement('div');
+        row.className = 'inspector-field';
+
+        const name = document.createElement('span');
+        name.className = 'inspector-label';
+        name.textContent = label;
+
+        const text = document.createElement('span');
+        text.className = 'inspector-value';
+        const available = value !== null && value !== undefined && value !== '';
+        text.textContent = available ? String(value) : 'Not available';
+        if (!available) text.classList.add('unavailable');
+
+        row.append(name, text);
+        if (available) {
+            row.appendChild(this.createCopyButton(String(value), 'Copy'));
+        }
+        return row;
+    }
+
+    createCopyButton(text, label) {
+        const button = document.createElement('button');
+        button.className = 'btn btn-secondary btn-sm inspector-copy';
+        button.textContent = label;
+        button.addEventListener('click', async (e) => {
+            // Keep the surrounding <details> from toggling
+            e.preventDefault();
+            const copied = await window.electronAPI.copyToClipboard(text);
+            window.app?.showNotification(copied ? 'Copied to clipboard' : 'Failed to copy to clipboard', copied ? 'success' : 'error');
+        });
+        return button;
+    }
+
+    createHint(text) {
+        const hint = document.createElement('div');
+        hint.className = 'process-detail-hint';
+        hint.textContent = text;
+        return hint;
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    window.processInspector = new ProcessInspector();
+});
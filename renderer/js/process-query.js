@@ -0,0 +1,429 @@
+// PlayNexus Process Query - filter expressions for the process table, e.g.
+//   cpu>10 mem>500MB user=root name~"chrome" cmd:/--type=renderer/
+// Terms next to each other are and-ed; `and`, `or`, `not` and parentheses combine them.
+// A bare word matches the process name, so plain searches keep working.
+class ProcessQueryError extends Error {
+    constructor(message, position) {
+        super(message);
+        this.name = 'ProcessQueryError';
+        this.position = position;
+    }
+}
+
+// 1024-based, matching formatBytes
+const QUERY_SIZE_UNITS = {
+    b: 1,
+    k: 1024,
+    kb: 1024,
+    m: 1024 ** 2,
+    mb: 1024 ** 2,
+    g: 1024 ** 3,
+    gb: 1024 ** 3,
+    t: 1024 ** 4,
+    tb: 1024 ** 4
+};
+
+// `memory` fields compare resident bytes when the value has a size unit, otherwise percent
+const QUERY_FIELDS = {
+    name: { type: 'string', get: process => process.name },
+    cmd: { type: 'string', get: process => process.command },
+    command: { type: 'string', get: process => process.command },
+    user: { type: 'string', get: process => process.user },
+    state: { type: 'string', get: process => process.state },
+    pid: { type: 'number', get: process => process.pid },
+    ppid: { type: 'number', get: process => process.ppid },
+    threads: { type: 'number', get: process => process.threads },
+    cpu: { type: 'number', get: process => process.cpu },
+    mem: { type: 'memory' },
+    memory: { type: 'memory' },
+    rss: { type: 'size', get: process => process.rss }
+};
+
+const QUERY_OPERATORS = ['>=', '<=', '!=', '>', '<', '=', '~', ':'];
+const QUERY_KEYWORDS = ['and', 'or', 'not'];
+
+/**
+ * Split a query into parentheses, keywords, field terms and bare words
+ */
+function tokenizeProcessQuery(text) {
+    const tokens = [];
+    let position = 0;
+
+    const readQuoted = () => {
+        const quote = text[position];
+        const start = position;
+        let value = '';
+        position++;
+        while (position < text.length && text[position] !== quote) {
+            if (text[position] === '\\' && position + 1 < text.length) position++;
+            value += text[position++];
+        }
+        if (position >= text.length) {
+            throw new ProcessQueryError(`Unterminated string starting at column ${start + 1}`, start);
+        }
+        position++;
+        return value;
+    };
+
+    const readRegex = () => {
+        const start = position;
+        let source = '';
+        position++;
+        while (position < text.length && text[position] !== '/') {
+            if (text[position] === '\\' && position + 1 < text.length) source += text[position++];
+            source += text[position++];
+        }
+        if (position >= text.length) {
+            throw new ProcessQueryError(`Unterminated regular expression starting at column ${start + 1}`, start);
+        }
+        position++;
+        const flags = /^[a-z]*/.exec(text.slice(position))[0];
+        position += flags.length;
+        try {
+            // Matching is case-insensitive unless the query says otherwise; g and y would make test() stateful
+            return new RegExp(source, flags.replace(/[gy]/g, '') || 'i');
+        } catch (error) {
+            throw new ProcessQueryError(`Invalid regular expression at column ${start + 1}: ${error.message}`, start);
+        }
+    };
+
+    while (position < text.length) {
+        const char = text[position];
+        const start = position;
+
+        if (/\s/.test(char)) {
+            position++;
+        } else if (char === '(' || char === ')') {
+            tokens.push({ type: char, position });
+            position++;
+        } else if (char === '!') {
+            tokens.push({ type: 'not', position });
+            position++;
+        } else if (char === '"' || char === "'") {
+            tokens.push({ type: 'word', value: readQuoted(), position: start });
+        } else {
+            const identifier = /^[A-Za-z_]\w*/.exec(text.slice(position));
+            const afterIdentifier = identifier ? position + identifier[0].length : position;
+            const operator = identifier && QUERY_OPERATORS.find(op => text.startsWith(op, afterIdentifier));
+
+            if (operator) {
+                const field = identifier[0].toLowerCase();
+                if (!QUERY_FIELDS[field]) {
+                    throw new ProcessQueryError(
+                        `Unknown field "${identifier[0]}" at column ${start + 1}. Known fields: ${Object.keys(QUERY_FIELDS).join(', ')}`,
+                        start
+                    );
+                }
+
+                position = afterIdentifier + operator.length;
+                let value;
+                if (text[position] === '"' || text[position] === "'") {
+                    value = readQuoted();
+                } else if (text[position] === '/' && (operator === ':' || operator === '~')) {
+                    value = readRegex();
+                } else {
+                    value = /^[^\s()]*/.exec(text.slice(position))[0];
+                    position += value.length;
+                }
+                if (value === '') {
+                    throw new ProcessQueryError(`Missing value after "${field}${operator}" at column ${position + 1}`, position);
+                }
+                tokens.push({ type: 'term', field, operator, value, position: start });
+            } else {
+                const word = /^[^\s()]+/.exec(text.slice(position))[0];
+                position += word.length;
+                const keyword = word.toLowerCase();
+                tokens.push(QUERY_KEYWORDS.includes(keyword)
+                    ? { type: keyword, position: start }
+                    : { type: 'word', value: word, position: start });
+            }
+        }
+    }
+
+    return tokens;
+}
+
+function parseQueryNumber(token, allowed) {
+    const match = /^(-?\d+(?:\.\d+)?)\s*([a-z%]*)$/i.exec(token.value);
+    const unit = match && match[2].toLowerCase();
+    if (!match || (unit && !allowed.includes(unit))) {
+        const units = allowed.length > 0 ? ` (units: ${allowed.join(', ')})` : '';
+        throw new ProcessQueryError(
+            `Expected a number for "${token.field}" at column ${token.position + 1}, got "${token.value}"${units}`,
+            token.position
+        );
+    }
+    return { number: parseFloat(match[1]), unit };
+}
+
+function compareNumbers(actual, operator, expected) {
+    if (typeof actual !== 'number' || Number.isNaN(actual)) return false;
+    switch (operator) {
+        case '>': return actual > expected;
+        case '>=': return actual >= expected;
+        case '<': return actual < expected;
+        case '<=': return actual <= expected;
+        case '=': return actual === expected;
+        case '!=': return actual !== expected;
+    }
+    return false;
+}
+
+/**
+ * Predicate for one `field op value` term
+ */
+function compileQueryTerm(token) {
+    const field = QUERY_FIELDS[token.field];
+    const { operator } = token;
+
+    if (field.type === 'string') {
+        if (!['=', '!=', '~', ':'].includes(operator)) {
+            throw new ProcessQueryError(
+                `"${token.field}" is text and cannot be compared with ${operator} (column ${token.position + 1}); use =, !=, ~ or :`,
+                token.position
+            );
+        }
+        const get = process => String(field.get(process) ?? '').toLowerCase();
+        if (token.value instanceof RegExp) {
+            const regex = token.value;
+            return process => regex.test(String(field.get(process) ?? ''));
+        }
+        const expected = token.value.toLowerCase();
+        if (operator === '=') return process => get(process) === expected;
+        if (operator === '!=') return process => get(process) !== expected;
+        return process => get(process).includes(expected);
+    }
+
+    if (token.value instanceof RegExp || operator === '~' || operator === ':') {
+        throw new ProcessQueryError(
+            `"${token.field}" is numeric and cannot be compared with ${operator} (column ${token.position + 1}); use >, >=, <, <=, = or !=`,
+            token.position
+        );
+    }
+
+    if (field.type === 'number') {
+        const { number } = parseQueryNumber(token, token.field === 'cpu' ? ['%'] : []);
+        return process => compareNumbers(field.get(process), operator, number);
+    }
+
+    if (field.type === 'size') {
+        const { number, unit } = parseQueryNumber(token, Object.keys(QUERY_SIZE_UNITS));
+        const bytes = number * (unit ? QUERY_SIZE_UNITS[unit] : 1);
+        return process => compareNumbers(field.get(process), operator, bytes);
+    }
+
+    // memory: a size unit compares resident bytes, a bare number or % compares percent
+    const { number, unit } = parseQueryNumber(token, ['%', ...Object.keys(QUERY_SIZE_UNITS)]);
+    if (unit && unit !== '%') {
+        const bytes = number * QUERY_SIZE_UNITS[unit];
+        return process => compareNumbers(process.rss, operator, bytes);
+    }
+    return process => compareNumbers(process.memory, operator, number);
+}
+
+/**
+ * Compile a query into a predicate over processes; an empty query returns null (match everything)
+ * Throws ProcessQueryError with the column of the problem
+ */
+function compileProcessQuery(text) {
+    const tokens = tokenizeProcessQuery(text || '');
+    if (tokens.length === 0) return null;
+
+    let index = 0;
+    const peek = () => tokens[index];
+    const describe = token => token.type === 'word' ? `"${token.value}"` : `"${token.type}"`;
+    const unexpected = (token) => token
+        ? new ProcessQueryError(`Unexpected ${describe(token)} at column ${token.position + 1}`, token.position)
+        : new ProcessQueryError('Query ends too early', text.length);
+
+    const parseOr = () => {
+        let left = parseAnd();
+        while (peek()?.type === 'or') {
+            index++;
+            const right = parseAnd();
+            const first = left;
+            left = process => first(process) || right(process);
+        }
+        return left;
+    };
+
+    const parseAnd = () => {
+        let left = parseUnary();
+        // `and` is optional between terms
+        while (peek() && peek().type !== 'or' && peek().type !== ')') {
+            if (peek().type === 'and') index++;
+            const right = parseUnary();
+            const first = left;
+            left = process => first(process) && right(process);
+        }
+        return left;
+    };
+
+    const parseUnary = () => {
+        const token = tokens[index++];
+        if (!token) throw unexpected(token);
+
+        switch (token.type) {
+            case 'not': {
+                const inner = parseUnary();
+                return process => !inner(process);
+            }
+            case '(': {
+                const inner = parseOr();
+                if (peek()?.type !== ')') {
+                    throw new ProcessQueryError(`Missing ")" for "(" at column ${token.position + 1}`, token.position);
+                }
+                index++;
+                return inner;
+            }
+            case 'term':
+                return compileQueryTerm(token);
+            case 'word': {
+                const expected = token.value.toLowerCase();
+                return process => (process.name || '').toLowerCase().includes(expected);
+            }
+            default:
+                throw unexpected(token);
+        }
+    };
+
+    const predicate = parseOr();
+    if (index < tokens.length) {
+        throw unexpected(tokens[index]);
+    }
+    return predicate;
+}
+
+// Named queries kept in localStorage and offered next to the search box
+class ProcessFilters {
+    constructor() {
+        this.storageKey = 'processFilters';
+        this.filters = this.load();
+
+        this.init();
+    }
+
+    init() {
+        const select = document.getElementById('savedProcessFilters');
+        select?.addEventListener('change', () => {
+            const filter = this.filters.find(entry => entry.name === select.value);
+            if (filter) this.apply(filter.query);
+        });
+
+        document.getElementById('saveProcessFilterBtn')?.addEventListener('click', () => this.promptSave());
+        document.getElementById('deleteProcessFilterBtn')?.addEventListener('click', () => this.remove(select?.value));
+
+        this.render();
+    }
+
+    load() {
+        try {
+            const filters = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+            return Array.isArray(filters) ? filters : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    persist() {
+        localStorage.setItem(this.storageKey, JSON.stringify(this.filters));
+        this.render();
+    }
+
+    render(selected = '') {
+        const select = document.getElementById('savedProcessFilters');
+        if (!select) return;
+
+        const placeholder = document.createElement('option');
+        placeholder.value = '';
+        placeholder.textContent = this.filters.length > 0 ? 'Saved filters…' : 'No saved filters';
+
+        select.replaceChildren(placeholder, ...this.filters.map(filter => {
+            const option = document.createElement('option');
+            option.value = filter.name;
+            option.textContent = filter.name;
+            option.title = filter.query;
+            return option;
+        }));
+        select.value = selected;
+    }
+
+    apply(query) {
+        const searchInput = document.getElementById('processSearch');
+        if (searchInput) searchInput.value = query;
+        window.app?.filterProcesses(query);
+    }
+
+    promptSave() {
+        const query = document.getElementById('processSearch')?.value.trim();
+        if (!query) {
+            window.app?.showNotification('Type a filter before saving it', 'warning');
+            return;
+        }
+
+        try {
+            compileProcessQuery(query);
+        } catch (error) {
+            window.app?.showNotification(`Fix the filter before saving it: ${error.message}`, 'error');
+            return;
+        }
+
+        window.app?.showModal('Save Filter', '');
+        const content = document.getElementById('modalContent');
+        if (!content) return;
+
+        const preview = document.createElement('div');
+        preview.className = 'ancestor-command';
+        preview.textContent = query;
+
+        const name = document.createElement('input');
+        name.type = 'text';
+        name.className = 'search-input';
+        name.placeholder = 'Filter name, e.g. Heavy root processes';
+
+        const save = document.createElement('button');
+        save.className = 'btn btn-primary';
+        save.textContent = 'Save';
+
+        const submit = () => {
+            const label = name.value.trim();
+            if (!label) {
+                name.focus();
+                return;
+            }
+            // Saving under an existing name replaces it
+            this.filters = this.filters.filter(entry => entry.name !== label);
+            this.filters.push({ name: label, query });
+            this.filters.sort((a, b) => a.name.localeCompare(b.name));
+            this.persist();
+            this.render(label);
+            window.app?.closeModal();
+            window.app?.showNotification(`Saved filter "${label}"`, 'success');
+        };
+
+        save.addEventListener('click', submit);
+        name.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') submit();
+        });
+
+        const form = document.createElement('div');
+        form.className = 'save-filter-form';
+        form.append(preview, name, save);
+        content.appendChild(form);
+        name.focus();
+    }
+
+    remove(name) {
+        if (!name) {
+            window.app?.showNotification('Choose a saved filter to delete', 'warning');
+            return;
+        }
+        this.filters = this.filters.filter(entry => entry.name !== name);
+        this.persist();
+        window.app?.showNotification(`Deleted filter "${name}"`, 'success');
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    window.processFilters = new ProcessFilters();
+});
@@ -0,0 +1,385 @@
+// PlayNexus Process Table - sortable, virtualized process table with a column chooser
+
+// Columns of the process table; `content` is plain text unless `html` is set
+const PROCESS_COLUMNS = [
+    {
+        key: 'name',
+        label: 'Process Name',
+        fixed: true,
+        html: true,
+        sortValue: row => (row.process.name || '').toLowerCase(),
+        content: row => {
+            if (row.group) {
+                const toggle = `<button class="tree-toggle" data-group-toggle>${row.collapsed ? '▸' : '▾'}</button>`;
+                return `${toggle}${escapeHtml(row.process.name)} <span class="group-count">×${row.group.processes.length}</span>`;
+            }
+            if (!row.tree) return escapeHtml(row.process.name);
+            const toggle = row.hasChildren
+                ? `<button class="tree-toggle" onclick="app.toggleProcessNode(${row.process.pid})">${row.collapsed ? '▸' : '▾'}</button>`
+                : '<span class="tree-toggle"></span>';
+            return `${toggle}${escapeHtml(row.process.name)}`;
+        }
+    },
+    {
+        key: 'pid',
+        label: 'PID',
+        sortValue: row => row.process.pid,
+        content: row => row.group ? `${row.group.processes.length} processes` : row.process.pid
+    },
+    { key: 'ppid', label: 'PPID', sortValue: row => row.process.ppid, content: row => row.process.ppid ?? '—' },
+    { key: 'user', label: 'User', sortValue: row => row.process.user?.toLowerCase(), content: row => row.process.user || '—' },
+    {
+        key: 'cpu',
+        label: 'CPU %',
+        html: true,
+        // In tree view parents sort by their whole subtree
+        sortValue: row => row.totals ? row.totals.cpu : row.process.cpu,
+        content: row => formatPercent(row, 'cpu')
+    },
+    {
+        key: 'memory',
+        label: 'Memory %',
+        html: true,
+        sortValue: row => row.totals ? row.totals.memory : row.process.memory,
+        content: row => formatPercent(row, 'memory')
+    },
+    { key: 'threads', label: 'Threads', sortValue: row => row.process.threads, content: row => row.process.threads ?? '—' },
+    {
+        key: 'trend',
+        label: 'CPU Trend',
+        html: true,
+        content: () => '<canvas class="process-sparkline" width="80" height="20"></canvas>'
+    },
+    {
+        key: 'state',
+        label: 'State',
+        html: true,
+        sortValue: row => row.process.state,
+        content: row => window.app?.formatProcessState(row.process.state) || escapeHtml(row.process.state)
+    },
+    { key: 'started', label: 'Started', sortValue: row => row.process.started, content: row => row.process.started || '—' },
+    { key: 'command', label: 'Command', sortValue: row => row.process.command, content: row => row.process.command || '' },
+    {
+        key: 'actions',
+        label: 'Actions',
+        fixed: true,
+        html: true,
+        content: row => row.group ? `
+            <button class="btn btn-secondary btn-sm" data-group-control>Control group</button>
+        ` : `
+            <button class="btn btn-secondary btn-sm" onclick="app.showProcessAncestors(${row.process.pid})">Ancestors</button>
+            <button class="btn btn-secondary btn-sm" onclick="app.showProcessControl(${row.process.pid})">Control</button>
+        `
+    }
+];
+
+const NUMERIC_COLUMNS = ['pid', 'ppid', 'cpu', 'memory', 'threads'];
+const PROCESS_TABLE_SETTINGS_KEY = 'processTable';
+
+function formatPercent(row, key) {
+    const value = `${(row.process[key] || 0).toFixed(1)}%`;
+    // In tree mode each node also shows the total of its whole subtree
+    return row.tree && row.hasChildren && !row.group
+        ? `${value} <span class="subtree-total">Σ ${row.totals[key].toFixed(1)}%</span>`
+        : value;
+}
+
+// Sortable, virtualized process table; only the rows in view exist in the DOM and they are
+// updated in place, so refreshes keep the scroll position and selection
+class ProcessTable {
+    constructor() {
+        this.rows = [];
+        this.index = new Map();
+        this.elements = new Map();
+        this.selectedPid = null;
+        this.rowHeight = 41;
+        this.overscan = 10;
+        this.renderQueued = false;
+        this.settings = this.loadSettings();
+
+        this.init();
+    }
+
+    init() {
+        this.container = document.querySelector('#processes .processes-table');
+        this.tbody = document.getElementById('processesTableBody');
+        this.headRow = document.getElementById('processesTableHead');
+
+        this.topSpacer = this.createSpacer();
+        this.bottomSpacer = this.createSpacer();
+
+        this.container?.addEventListener('scroll', () => this.queueRender());
+        window.addEventListener('resize', () => this.queueRender());
+
+        // Group rows have no PID; they expand on click and act on every member
+        this.tbody?.addEventListener('click', (e) => {
+            const row = e.target.closest('tr[data-group]');
+            if (!row) return;
+            if (e.target.closest('[data-group-control]')) {
+                window.app?.showGroupControl(row.dataset.group);
+            } else if (!e.target.closest('button') || e.target.closest('[data-group-toggle]')) {
+                window.app?.toggleProcessGroup(row.dataset.group);
+            }
+        });
+
+        this.headRow?.addEventListener('click', (e) => {
+            const header = e.target.closest('th[data-sort]');
+            if (header) this.sortBy(header.dataset.sort);
+        });
+
+        const chooser = document.getElementById('processColumnChooser');
+        document.getElementById('processColumnsBtn')?.addEventListener('click', (e) => {
+            e.stopPropagation();
+            chooser?.classList.toggle('active');
+        });
+        document.addEventListener('click', (e) => {
+            if (!e.target.closest('#processColumnChooser')) chooser?.classList.remove('active');
+        });
+
+        this.renderColumnChooser();
+        this.renderHeader();
+    }
+
+    loadSettings() {
+        const defaults = {
+            sort: { key: 'cpu', direction: 'desc' },
+            hidden: ['ppid', 'threads', 'started', 'command']
+        };
+        try {
+            return { ...defaults, ...JSON.parse(localStorage.getItem(PROCESS_TABLE_SETTINGS_KEY) || '{}') };
+        } catch (error) {
+            return defaults;
+        }
+    }
+
+    saveSettings() {
+        localStorage.setItem(PROCESS_TABLE_SETTINGS_KEY, JSON.stringify(this.settings));
+    }
+
+    get columns() {
+        return PROCESS_COLUMNS.filter(column => column.fixed || !this.settings.hidden.includes(column.key));
+    }
+
+    /**
+     * Row comparator for the current sort; missing values go last in either direction
+     */
+    compare(a, b) {
+        const { key, direction } = this.settings.sort;
+        const column = PROCESS_COLUMNS.find(c => c.key === key && c.sortValue);
+        if (!column) return 0;
+
+        const first = column.sortValue(a);
+        const second = column.sortValue(b);
+        if (first === null || first === undefined) return second === null || second === undefined ? 0 : 1;
+        if (second === null || second === undefined) return -1;
+
+        const order = typeof first === 'string' ? first.localeCompare(second) : first - second;
+        return direction === 'asc' ? order : -order;
+    }
+
+    sortBy(key) {
+        const sort = this.settings.sort;
+        if (sort.key === key) {
+            sort.direction = sort.direction === 'asc' ? 'desc' : 'asc';
+        } else {
+            this.settings.sort = { key, direction: NUMERIC_COLUMNS.includes(key) ? 'desc' : 'asc' };
+        }
+        this.saveSettings();
+        this.renderHeader();
+        window.app?.renderProcesses();
+    }
+
+    setColumnVisible(key, visible) {
+        const hidden = new Set(this.settings.hidden);
+        if (visible) hidden.delete(key);
+        else hidden.add(key);
+        this.settings.hidden = Array.from(hidden);
+        this.saveSettings();
+
+        // Existing rows have the old cells, so they are rebuilt
+        this.elements.clear();
+        this.renderHeader();
+        this.render();
+    }
+
+    renderHeader() {
+        if (!this.headRow) return;
+
+        const { key, direction } = this.settings.sort;
+        this.headRow.replaceChildren(...this.columns.map(column => {
+            const header = document.createElement('th');
+            header.textContent = column.label;
+            if (column.sortValue) {
+                header.dataset.sort = column.key;
+                header.classList.add('sortable');
+                if (column.key === key) {
+                    header.classList.add(`sorted-${direction}`);
+                }
+            }
+            return header;
+        }));
+
+        [this.topSpacer, this.bottomSpacer].forEach(spacer => {
+            spacer.firstChild.colSpan = this.columns.length;
+        });
+    }
+
+    renderColumnChooser() {
+        const chooser = document.getElementById('processColumnChooser');
+        if (!chooser) return;
+
+        chooser.replaceChildren(...PROCESS_COLUMNS.filter(column => !column.fixed).map(column => {
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = !this.settings.hidden.includes(column.key);
+            checkbox.addEventListener('change', () => this.setColumnVisible(column.key, checkbox.checked));
+            label.append(checkbox, ` ${column.label}`);
+            return label;
+        }));
+    }
+
+    /**
+     * Replace the row data (already sorted and filtered) and redraw the rows in view
+     */
+    setRows(rows) {
+        this.rows = rows;
+        this.index = new Map(rows.map((row, position) => [this.rowKey(row), position]));
+        this.render();
+    }
+
+    queueRender() {
+        if (this.renderQueued) return;
+        this.renderQueued = true;
+        requestAnimationFrame(() => {
+            this.renderQueued = false;
+            this.render();
+        });
+    }
+
+    render() {
+        if (!this.tbody || !this.container) return;
+
+        if (this.rows.length === 0) {
+            this.elements.clear();
+            this.tbody.innerHTML = `<tr><td colspan="${this.columns.length}" class="process-detail-hint">No matching processes</td></tr>`;
+            return;
+        }
+
+        const viewport = this.container.clientHeight || window.innerHeight;
+        const scrollTop = this.container.scrollTop;
+        const first = Math.max(0, Math.floor(scrollTop / this.rowHeight) - this.overscan);
+        const last = Math.min(this.rows.length, Math.ceil((scrollTop + viewport) / this.rowHeight) + this.overscan);
+        const visible = this.rows.slice(first, last);
+
+        const visibleKeys = new Set(visible.map(row => this.rowKey(row)));
+        for (const key of this.elements.keys()) {
+            if (!visibleKeys.has(key)) this.elements.delete(key);
+        }
+
+        const elements = visible.map(row => {
+            const key = this.rowKey(row);
+            let element = this.elements.get(key);
+            if (!element) {
+                element = this.createRow(row);
+                this.elements.set(key, element);
+            }
+            this.updateRow(element, row);
+            return element;
+        });
+
+        this.topSpacer.firstChild.style.height = `${first * this.rowHeight}px`;
+        this.bottomSpacer.firstChild.style.height = `${(this.rows.length - last) * this.rowHeight}px`;
+
+        // Only reorder the DOM when the sequence changed, so hover and focus survive refreshes
+        const wanted = [this.topSpacer, ...elements, this.bottomSpacer];
+        const current = this.tbody.children;
+        if (current.length !== wanted.length || wanted.some((element, position) => current[position] !== element)) {
+            this.tbody.replaceChildren(...wanted);
+        }
+
+        // Row height depends on the theme's font and padding; measure it once rows exist
+        const measured = elements[0]?.offsetHeight;
+        if (measured && measured !== this.rowHeight) {
+            this.rowHeight = measured;
+            this.queueRender();
+        }
+
+        window.processInsights?.drawVisibleSparklines();
+    }
+
+    createSpacer() {
+        const spacer = document.createElement('tr');
+        spacer.className = 'virtual-spacer';
+        spacer.appendChild(document.createElement('td'));
+        return spacer;
+    }
+
+    // Process rows are keyed by PID, application group rows by "group:<name>"
+    rowKey(row) {
+        return row.group ? `group:${row.group.key}` : row.process.pid;
+    }
+
+    createRow(row) {
+        const element = document.createElement('tr');
+        if (row.group) {
+            element.dataset.group = row.group.key;
+            element.classList.add('process-group');
+        } else {
+            element.dataset.pid = row.process.pid;
+        }
+        this.columns.forEach(column => {
+            const cell = document.createElement('td');
+            cell.dataset.column = column.key;
+            element.appendChild(cell);
+        });
+        return element;
+    }
+
+    /**
+     * Rewrite only the cells whose content changed; untouched cells keep their canvas and focus
+     */
+    updateRow(element, row) {
+        element.dataset.name = row.process.name;
+        element.classList.toggle('selected', !row.group && row.process.pid === this.selectedPid);
+        if (row.group) {
+            element.dataset.members = row.group.processes.map(process => `${process.pid}:${process.name}`).join(',');
+        }
+
+        this.columns.forEach((column, position) => {
+            const cell = element.cells[position];
+            const content = String(column.content(row));
+            if (cell.dataset.content === content) return;
+
+            cell.dataset.content = content;
+            if (column.html) cell.innerHTML = content;
+            else cell.textContent = content;
+
+            if (column.key === 'name') cell.style.paddingLeft = `${16 + row.depth * 16}px`;
+            if (column.key === 'command') cell.title = content;
+        });
+    }
+
+    select(pid) {
+        this.selectedPid = pid;
+        for (const [key, element] of this.elements) {
+            element.classList.toggle('selected', key === pid);
+        }
+    }
+
+    /**
+     * Scroll a process into the middle of the view; false when it is not in the table
+     */
+    scrollToProcess(pid) {
+        const position = this.index.get(pid);
+        if (position === undefined || !this.container) return false;
+
+        this.container.scrollTop = Math.max(0, position * this.rowHeight - this.container.clientHeight / 2);
+        this.render();
+        return true;
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    window.processTable = new ProcessTable();
+});
@@ -0,0 +1,105 @@
+// PlayNexus Process Tree - parent/child view of the process list; collapsed state survives refreshes
+class ProcessTree {
+    constructor() {
+        this.collapsed = new Set();
+    }
+
+    /**
+     * Build nodes with subtree totals; processes whose parent is not listed become roots
+     * Siblings are ordered by `compare`, which receives nodes ({ process, totals })
+     */
+    build(processes, compare = (a, b) => b.totals.cpu - a.totals.cpu) {
+        const nodes = new Map(processes.map(process => [process.pid, {
+            process,
+            children: [],
+            totals: { cpu: 0, memory: 0 }
+        }]));
+        const roots = [];
+
+        for (const node of nodes.values()) {
+            const { pid, ppid } = node.process;
+            const parent = ppid !== pid ? nodes.get(ppid) : null;
+            if (parent) parent.children.push(node);
+            else roots.push(node);
+        }
+
+        const total = (node) => {
+            node.totals.cpu = node.process.cpu || 0;
+            node.totals.memory = node.process.memory || 0;
+            node.children.forEach(child => {
+                total(child);
+                node.totals.cpu += child.totals.cpu;
+                node.totals.memory += child.totals.memory;
+            });
+            node.children.sort(compare);
+        };
+        roots.forEach(total);
+        roots.sort(compare);
+
+        return roots;
+    }
+
+    /**
+     * Visible rows in display order, skipping the children of collapsed nodes
+     */
+    flatten(processes, compare) {
+        const rows = [];
+        const visit = (node, depth) => {
+            const collapsed = this.collapsed.has(node.process.pid);
+            rows.push({
+                process: node.process,
+                depth,
+                hasChildren: node.children.length > 0,
+                collapsed,
+                totals: node.totals
+            });
+            if (!collapsed) {
+                node.children.forEach(child => visit(child, depth + 1));
+            }
+        };
+        this.build(processes, compare).forEach(root => visit(root, 0));
+        return rows;
+    }
+
+    toggle(pid) {
+        if (!this.collapsed.delete(pid)) {
+            this.collapsed.add(pid);
+        }
+    }
+
+    descendantCount(processes, pid) {
+        const node = this.findNode(this.build(processes), pid);
+        const count = (current) => current.children.reduce((sum, child) => sum + 1 + count(child), 0);
+        return node ? count(node) : 0;
+    }
+
+    findNode(nodes, pid) {
+        for (const node of nodes) {
+            if (node.process.pid === pid) return node;
+            const found = this.findNode(node.children, pid);
+            if (found) return found;
+        }
+        return null;
+    }
+
+    /**
+     * Chain from the top-most known ancestor down to the process itself
+     */
+    ancestors(processes, pid) {
+        const byPid = new Map(processes.map(process => [process.pid, process]));
+        const chain = [];
+        const seen = new Set();
+        let current = byPid.get(pid);
+
+        while (current && !seen.has(current.pid)) {
+            chain.unshift(current);
+            seen.add(current.pid);
+            current = byPid.get(current.ppid);
+        }
+        return chain;
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    window.processTree = new ProcessTree();
+});
@@ -1,5 +1,16 @@
 // UI Utilities for PlayNexus System Monitor
 
+// Escape text taken from the system (process names, paths, command lines) for innerHTML templates
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => ({
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#39;'
+    })[char]);
+}
+
 class UIUtils {
     constructor() {
         this.init();
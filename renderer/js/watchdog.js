@@ -0,0 +1,152 @@
+// PlayNexus Watchdog - rule status and action log in the Processes tab, JSON rule editor in Settings
+class WatchdogPanel {
+    constructor() {
+        this.status = { rules: [], log: [] };
+
+        this.init();
+    }
+
+    async init() {
+        window.electronAPI.onWatchdogEvent((entry) => this.handleEvent(entry));
+
+        document.getElementById('saveWatchdogRulesBtn')?.addEventListener('click', () => this.saveRules());
+
+        await this.refresh();
+        this.loadEditor();
+
+        setInterval(() => {
+            if (window.app?.currentTab === 'processes') {
+                this.refresh();
+            }
+        }, 10000);
+    }
+
+    async refresh() {
+        try {
+            this.status = await window.electronAPI.getWatchdogStatus();
+            this.render();
+        } catch (error) {
+            console.error('Failed to load watchdog status:', error);
+        }
+    }
+
+    loadEditor() {
+        const editor = document.getElementById('watchdogRulesEditor');
+        if (!editor) return;
+
+        // Runtime-only fields are left out so the editor shows what the user wrote
+        const rules = this.status.rules.map(({ status, restarts, nextRestartAt, ...rule }) => rule);
+        editor.value = JSON.stringify(rules, null, 2);
+    }
+
+    handleEvent(entry) {
+        this.status.log.unshift(entry);
+        this.refresh();
+
+        if (window.app?.config?.ui?.notifications === false) return;
+
+        const types = {
+            notify: 'warning',
+            restart: 'info',
+            terminate: 'warning',
+            kill: 'warning',
+            'gave-up': 'error',
+            error: 'error',
+            stable: 'success'
+        };
+        window.uiUtils?.showNotification(entry.message, types[entry.type] || 'info');
+    }
+
+    render() {
+        const rulesList = document.getElementById('watchdogRules');
+        const log = document.getElementById('watchdogLog');
+
+        if (rulesList) {
+            if (this.status.rules.length === 0) {
+                rulesList.innerHTML = '<div class="alert-empty">No watchdog rules. Add them in Settings → Watchdog Rules.</div>';
+            } else {
+                rulesList.replaceChildren(...this.status.rules.map(rule => this.createRow(
+                    rule.enabled ? rule.status : 'disabled',
+                    rule.name,
+                    this.describeRule(rule),
+                    rule.action === 'restart' ? `${rule.restarts}/${rule.maxRestarts} restarts` : ''
+                )));
+            }
+        }
+
+        if (log) {
+            if (this.status.log.length === 0) {
+                log.innerHTML = '<div class="alert-empty">No watchdog actions yet</div>';
+            } else {
+                log.replaceChildren(...this.status.log.slice(0, 50).map(entry => this.createRow(
+                    entry.type,
+                    entry.rule,
+                    entry.message,
+                    new Date(entry.timestamp).toLocaleTimeString()
+                )));
+            }
+        }
+    }
+
+    describeRule(rule) {
+        const target = [rule.match.name, rule.match.command && `/${rule.match.command}/`].filter(Boolean).join(' ');
+        const conditions = {
+            exited: 'is not running',
+            instances: `has more than ${rule.threshold} instances`,
+            memory: `uses more than ${window.app?.formatBytes(rule.threshold) || rule.threshold} RSS`,
+            cpu: `uses more than ${rule.threshold}% CPU`
+        };
+        const duration = rule.duration ? ` for ${Math.round(rule.duration / 1000)}s` : '';
+        return `${target} ${conditions[rule.condition]}${duration} → ${rule.action}`;
+    }
+
+    createRow(state, name, detail, meta) {
+        const row = document.createElement('div');
+        row.className = `alert-item watchdog-${state}`;
+
+        [
+            ['alert-state', state.toUpperCase()],
+            ['alert-name', name],
+            ['alert-detail', detail],
+            ['alert-time', meta]
+        ].forEach(([className, text]) => {
+            const cell = document.createElement('span');
+            cell.className = className;
+            cell.textContent = text;
+            row.appendChild(cell);
+        });
+        return row;
+    }
+
+    async saveRules() {
+        const editor = document.getElementById('watchdogRulesEditor');
+        if (!editor) return;
+
+        let rules;
+        try {
+            rules = JSON.parse(editor.value || '[]');
+        } catch (error) {
+            window.uiUtils?.showNotification(`Watchdog rules are not valid JSON: ${error.message}`, 'error');
+            return;
+        }
+
+        try {
+            const result = await window.electronAPI.saveWatchdogRules(rules);
+            if (!result.success) {
+                window.uiUtils?.showNotification(`Invalid watchdog rule: ${result.error}`, 'error');
+                return;
+            }
+
+            await this.refresh();
+            this.loadEditor();
+            window.uiUtils?.showNotification('Watchdog rules saved', 'success');
+        } catch (error) {
+            console.error('Failed to save watchdog rules:', error);
+            window.uiUtils?.showNotification('Failed to save watchdog rules', 'error');
+        }
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    window.watchdogPanel = new WatchdogPanel();
+});
@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const { AlertEngine, normalizeRule } = require('../main/alert-engine');
+
+// Any realistic start time; timestamps are compared relative to it
+const T = Date.UTC(2024, 0, 1);
+
+const RULE = {
+    id: 'cpu',
+    name: 'CPU high',
+    metric: 'cpu.load',
+    operator: '>',
+    threshold: 90,
+    duration: 60000,
+    hysteresis: 5,
+    cooldown: 300000
+};
+
+function createEngine(rule = RULE) {
+    const events = [];
+    const engine = new AlertEngine(os.tmpdir(), { onEvent: (event) => events.push(event) });
+    engine.setRules([rule]);
+    const state = () => engine.getAlerts().rules[0].state;
+    return { engine, events, state };
+}
+
+test('a breach is pending until it has held for the duration, then fires once', () => {
+    const { engine, events, state } = createEngine();
+
+    engine.evaluate({ 'cpu.load': 95 }, T);
+    assert.strictEqual(state(), 'pending');
+    engine.evaluate({ 'cpu.load': 95 }, T + 30000);
+    assert.strictEqual(state(), 'pending');
+    engine.evaluate({ 'cpu.load': 95 }, T + 60000);
+    assert.strictEqual(state(), 'firing');
+    engine.evaluate({ 'cpu.load': 97 }, T + 90000);
+
+    assert.deepStrictEqual(events.map(event => event.type), ['firing']);
+    assert.strictEqual(events[0].value, 95);
+    assert.strictEqual(events[0].timestamp, T + 60000);
+});
+
+test('a breach that clears before the duration goes back to ok without an event', () => {
+    const { engine, events, state } = createEngine();
+
+    engine.evaluate({ 'cpu.load': 95 }, T);
+    engine.evaluate({ 'cpu.load': 50 }, T + 30000);
+    assert.strictEqual(state(), 'ok');
+
+    // The duration starts over with the next breach
+    engine.evaluate({ 'cpu.load': 95 }, T + 40000);
+    engine.evaluate({ 'cpu.load': 95 }, T + 90000);
+    assert.strictEqual(state(), 'pending');
+    assert.deepStrictEqual(events, []);
+});
+
+test('a firing alert only resolves once the value is past the hysteresis margin', () => {
+    const { engine, events, state } = createEngine({ ...RULE, duration: 0 });
+
+    engine.evaluate({ 'cpu.load': 95 }, T);
+    engine.evaluate({ 'cpu.load': 88 }, T + 1000);
+    assert.strictEqual(state(), 'firing');
+    engine.evaluate({ 'cpu.load': 84 }, T + 2000);
+    assert.strictEqual(state(), 'resolved');
+
+    assert.deepStrictEqual(events.map(event => event.type), ['firing', 'resolved']);
+});
+
+test('hysteresis works the other way for below-threshold rules', () => {
+    const { engine, state } = createEngine({ ...RULE, operator: '<', threshold: 10, duration: 0 });
+
+    engine.evaluate({ 'cpu.load': 5 }, T);
+    assert.strictEqual(state(), 'firing');
+    engine.evaluate({ 'cpu.load': 12 }, T + 1000);
+    assert.strictEqual(state(), 'firing');
+    engine.evaluate({ 'cpu.load': 16 }, T + 2000);
+    assert.strictEqual(state(), 'resolved');
+});
+
+test('the cooldown holds a rule in pending after it resolves', () => {
+    const { engine, events, state } = createEngine({ ...RULE, duration: 0 });
+
+    engine.evaluate({ 'cpu.load': 95 }, T);
+    engine.evaluate({ 'cpu.load': 50 }, T + 1000);
+    engine.evaluate({ 'cpu.load': 95 }, T + 2000);
+    assert.strictEqual(state(), 'pending');
+    engine.evaluate({ 'cpu.load': 95 }, T + 300000);
+    assert.strictEqual(state(), 'firing');
+
+    assert.deepStrictEqual(events.map(event => event.type), ['firing', 'resolved', 'firing']);
+});
+
+test('disabled rules and samples without the metric are ignored', () => {
+    const { engine, events, state } = createEngine({ ...RULE, duration: 0, enabled: false });
+    engine.evaluate({ 'cpu.load': 95 }, T);
+    assert.strictEqual(state(), 'ok');
+
+    engine.setRules([{ ...RULE, duration: 0 }]);
+    engine.evaluate({ 'memory.percentage': 95 }, T);
+    assert.strictEqual(state(), 'ok');
+    assert.deepStrictEqual(events, []);
+});
+
+test('state survives setRules for rules that keep their id', () => {
+    const { engine, state } = createEngine({ ...RULE, duration: 0 });
+    engine.evaluate({ 'cpu.load': 95 }, T);
+
+    engine.setRules([{ ...RULE, duration: 0, threshold: 92 }]);
+    assert.strictEqual(state(), 'firing');
+    engine.setRules([{ ...RULE, id: 'other', duration: 0 }]);
+    assert.strictEqual(state(), 'ok');
+});
+
+test('normalizeRule rejects invalid rules with a readable message', () => {
+    assert.throws(() => normalizeRule({ operator: '>', threshold: 1 }), /metric is required/);
+    assert.throws(() => normalizeRule({ metric: 'cpu.load', operator: '==', threshold: 1 }), /Unknown operator "=="/);
+    assert.throws(() => normalizeRule({ metric: 'cpu.load', operator: '>', threshold: 'high' }), /Threshold must be a number/);
+
+    const rule = normalizeRule({ metric: ' cpu.load ', operator: '>', threshold: '90', duration: -5, severity: 'loud' });
+    assert.strictEqual(rule.metric, 'cpu.load');
+    assert.strictEqual(rule.threshold, 90);
+    assert.strictEqual(rule.duration, 0);
+    assert.strictEqual(rule.severity, 'warning');
+    assert.strictEqual(rule.enabled, true);
+});
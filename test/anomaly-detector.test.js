@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { replay } = require('../main/anomaly-detector');
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Samples in the shape metrics-history.json stores them ({ t, values }), one every `step` ms
+ * from local midnight of 1 March 2024; `value(date, index)` gives cpu.load for each
+ */
+function record(days, step, value) {
+    const start = new Date(2024, 2, 1).getTime();
+    const samples = [];
+    for (let t = start, index = 0; t < start + days * 24 * 60 * MINUTE; t += step, index++) {
+        samples.push({ t, values: { 'cpu.load': value(new Date(t), index) } });
+    }
+    return samples;
+}
+
+// Small deterministic wobble so the baselines have some variance
+const noise = (index) => Math.sin(index) * 2;
+
+test('nothing is flagged while the baseline warms up', () => {
+    const samples = record(1, MINUTE, (date, index) => 20 + noise(index)).slice(0, 40);
+    samples[10].values['cpu.load'] = 95;
+
+    assert.deepStrictEqual(replay(samples.slice(0, 30), { warmup: 30 }), []);
+});
+
+test('a spike after the warm-up is flagged', () => {
+    const samples = record(1, MINUTE, (date, index) => 20 + noise(index)).slice(0, 40);
+    samples[35].values['cpu.load'] = 95;
+
+    const anomalies = replay(samples, { warmup: 30 });
+    assert.strictEqual(anomalies.length, 1);
+    assert.strictEqual(anomalies[0].metric, 'cpu.load');
+    assert.strictEqual(anomalies[0].timestamp, samples[35].t);
+    assert.ok(anomalies[0].score > 3);
+    assert.ok(Math.abs(anomalies[0].expected - 20) < 2);
+});
+
+test('sensitivity sets how far from the baseline a sample must be', () => {
+    const samples = record(1, MINUTE, (date, index) => 20 + noise(index)).slice(0, 40);
+    samples[35].values['cpu.load'] = 28;
+
+    const [anomaly] = replay(samples, { warmup: 30, sensitivity: 3 });
+    assert.ok(anomaly, 'flagged at sensitivity 3');
+    assert.ok(anomaly.score > 3 && anomaly.score < 10);
+    assert.deepStrictEqual(replay(samples, { warmup: 30, sensitivity: 10 }), []);
+});
+
+test('drops below the baseline are flagged with a negative score', () => {
+    const samples = record(1, MINUTE, (date, index) => 50 + noise(index)).slice(0, 40);
+    samples[35].values['cpu.load'] = 5;
+
+    const [anomaly] = replay(samples, { warmup: 30 });
+    assert.ok(anomaly.score < -3);
+});
+
+test('a value normal for its hour of day is not flagged, the same value at another hour is', () => {
+    // Busy every afternoon at 14:00, quiet the rest of the day; every 2 minutes fills the
+    // hourly baseline's warm-up of 30 samples in one day
+    const busy = (date) => date.getHours() === 14;
+    const samples = record(3, 2 * MINUTE, (date, index) => (busy(date) ? 80 : 20) + noise(index));
+
+    // On the third day the busy hour is expected, but a burst at 03:00 is not
+    const thirdDay = new Date(2024, 2, 3).getTime();
+    const burst = samples.find(sample => sample.t === new Date(2024, 2, 3, 3, 0).getTime());
+    burst.values['cpu.load'] = 80;
+
+    const anomalies = replay(samples, { warmup: 30 }).filter(anomaly => anomaly.timestamp >= thirdDay);
+    assert.strictEqual(anomalies.length, 1);
+    assert.strictEqual(anomalies[0].timestamp, burst.t);
+    assert.strictEqual(anomalies[0].baseline, 'hour');
+    assert.ok(Math.abs(anomalies[0].expected - 20) < 2);
+});
+
+test('the first busy hour is flagged until its own baseline is warm', () => {
+    const busy = (date) => date.getHours() === 14;
+    const samples = record(1, 2 * MINUTE, (date, index) => (busy(date) ? 80 : 20) + noise(index));
+
+    const anomalies = replay(samples, { warmup: 30 });
+    assert.ok(anomalies.length > 0);
+    assert.ok(anomalies.every(anomaly => new Date(anomaly.timestamp).getHours() === 14));
+    assert.ok(anomalies.every(anomaly => anomaly.baseline === 'global'));
+});
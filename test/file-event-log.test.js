@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FileEventLog } = require('../main/file-event-log');
+
+const MINUTE = 60 * 1000;
+
+function createDirectory(t) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'file-event-log-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    return directory;
+}
+
+function readLines(directory) {
+    const content = fs.readFileSync(path.join(directory, 'file-events.log'), 'utf8');
+    return content.split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
+
+test('events are appended to the file and queried newest first', async (t) => {
+    const directory = createDirectory(t);
+    const log = new FileEventLog(directory);
+    const now = Date.now();
+
+    log.record({ type: 'add', path: '/data/a.txt', size: 10, rule: 'r1', timestamp: now - 2000 });
+    log.record({ type: 'change', path: '/data/b.txt', size: 20, rule: 'r1', timestamp: now - 1000 });
+    log.record({ type: 'unlink', path: '/other/c.txt', rule: 'r2', timestamp: now });
+    await log.flush();
+
+    assert.deepStrictEqual(readLines(directory).map(event => event.path), ['/data/a.txt', '/data/b.txt', '/other/c.txt']);
+
+    const result = log.query({ path: 'DATA' });
+    assert.strictEqual(result.total, 2);
+    assert.deepStrictEqual(result.events.map(event => event.type), ['change', 'add']);
+    assert.strictEqual(log.query({ types: ['unlink'] }).total, 1);
+    assert.strictEqual(log.query({ rule: 'r1', from: now - 1500 }).total, 1);
+    assert.deepStrictEqual(log.query({ limit: 1, offset: 1 }).events.map(event => event.path), ['/data/b.txt']);
+});
+
+test('expired events are dropped from memory on every flush and read', async (t) => {
+    const directory = createDirectory(t);
+    const log = new FileEventLog(directory, { retention: 10 * MINUTE, maxEvents: 1000 });
+    const now = Date.now();
+
+    log.record({ type: 'add', path: '/old.txt', timestamp: now - 20 * MINUTE });
+    log.record({ type: 'add', path: '/new.txt', timestamp: now });
+
+    // Not yet flushed, but a read never returns what is past the retention
+    assert.deepStrictEqual(log.query().events.map(event => event.path), ['/new.txt']);
+    assert.ok(!log.export({}, 'csv').includes('/old.txt'));
+    assert.deepStrictEqual(log.histogram().map(entry => entry.directory), ['/']);
+
+    await log.flush();
+    assert.strictEqual(log.events.length, 1);
+    // Too little of the file is stale to rewrite it yet
+    assert.strictEqual(readLines(directory).length, 2);
+    assert.strictEqual(log.stale, 1);
+});
+
+test('the file is compacted once more than a tenth of maxEvents is stale', async (t) => {
+    const directory = createDirectory(t);
+    const log = new FileEventLog(directory, { maxEvents: 20 });
+    const now = Date.now();
+
+    for (let i = 0; i < 22; i++) {
+        log.record({ type: 'add', path: `/f${i}`, timestamp: now + i });
+    }
+    await log.flush();
+    // Two over the cap is not more than the slack of two
+    assert.strictEqual(log.events.length, 20);
+    assert.strictEqual(readLines(directory).length, 22);
+
+    log.record({ type: 'add', path: '/f22', timestamp: now + 22 });
+    await log.flush();
+    const lines = readLines(directory);
+    assert.strictEqual(lines.length, 20);
+    assert.strictEqual(lines[0].path, '/f3');
+    assert.strictEqual(lines[19].path, '/f22');
+    assert.strictEqual(log.stale, 0);
+
+    // Appends carry on after the rewrite without duplicating anything
+    log.record({ type: 'add', path: '/f23', timestamp: now + 23 });
+    await log.flush();
+    assert.deepStrictEqual(readLines(directory).map(event => event.path).slice(-2), ['/f22', '/f23']);
+});
+
+test('loading drops expired events and lines cut short, and rewrites the file', async (t) => {
+    const directory = createDirectory(t);
+    const now = Date.now();
+    const lines = [
+        { timestamp: now - 40 * 24 * 60 * MINUTE, type: 'add', path: '/expired', size: null, count: 1, rule: null },
+        { timestamp: now - MINUTE, type: 'add', path: '/kept', size: 1, count: 1, rule: null }
+    ].map(event => JSON.stringify(event)).join('\n');
+    fs.writeFileSync(path.join(directory, 'file-events.log'), `${lines}\n{"timestamp":`);
+
+    const log = new FileEventLog(directory);
+    await log.load();
+
+    assert.deepStrictEqual(log.events.map(event => event.path), ['/kept']);
+    assert.deepStrictEqual(readLines(directory).map(event => event.path), ['/kept']);
+});
+
+test('clear empties the log and the file', async (t) => {
+    const directory = createDirectory(t);
+    const log = new FileEventLog(directory);
+    log.record({ type: 'add', path: '/a' });
+    await log.flush();
+
+    await log.clear();
+    assert.strictEqual(log.query().total, 0);
+    assert.deepStrictEqual(readLines(directory), []);
+});
+
+test('exports quote CSV fields and give ISO timestamps', async (t) => {
+    const directory = createDirectory(t);
+    const log = new FileEventLog(directory);
+    const timestamp = Date.now();
+    log.record({ type: 'add', path: '/data/a, "b".txt', size: 5, rule: 'r1', timestamp });
+    await log.flush();
+
+    const iso = new Date(timestamp).toISOString();
+    assert.strictEqual(log.export({}, 'csv'), `timestamp,type,path,size,count,rule\n${iso},add,"/data/a, ""b"".txt",5,1,r1\n`);
+    assert.deepStrictEqual(JSON.parse(log.export({}, 'json')), [
+        { timestamp: iso, type: 'add', path: '/data/a, "b".txt', size: 5, count: 1, rule: 'r1' }
+    ]);
+});
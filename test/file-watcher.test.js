@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const { FileWatcher } = require('../main/file-watcher');
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// A watcher entry as openWatcher() would register it, without starting chokidar
+function createWatcher(debounce) {
+    const events = [];
+    const watcher = new FileWatcher(os.tmpdir(), { debounce, onEvent: (event) => events.push(event) });
+    const entry = { rule: { id: 'rule', path: '/data', events: ['add', 'change', 'unlink'] }, include: null };
+    watcher.watchers.set('rule', entry);
+    return { watcher, entry, events };
+}
+
+test('a burst on one path is reported once with the raw event count', async () => {
+    const { watcher, entry, events } = createWatcher(30);
+    watcher.queue(entry, 'add', '/data/a');
+    watcher.queue(entry, 'change', '/data/a');
+    watcher.queue(entry, 'change', '/data/a');
+    await wait(100);
+
+    assert.deepStrictEqual(events.map(event => [event.path, event.type, event.count]), [['/data/a', 'add', 3]]);
+});
+
+test('a file created and deleted within the debounce is not reported', async () => {
+    const { watcher, entry, events } = createWatcher(30);
+    watcher.queue(entry, 'add', '/data/a');
+    watcher.queue(entry, 'unlink', '/data/a');
+    await wait(100);
+
+    assert.deepStrictEqual(events, []);
+    assert.strictEqual(watcher.pending.size, 0);
+});
+
+test('a path that keeps changing does not hold back events on other paths', async () => {
+    const { watcher, entry, events } = createWatcher(50);
+    const busy = setInterval(() => watcher.queue(entry, 'change', '/data/busy'), 10);
+    watcher.queue(entry, 'add', '/data/quiet');
+
+    await wait(200);
+    assert.deepStrictEqual(events.map(event => event.path), ['/data/quiet']);
+
+    // The busy path is still reported once it reaches MAX_WAIT_FACTOR debounce periods
+    await wait(500);
+    clearInterval(busy);
+    await watcher.flush();
+    assert.ok(events.filter(event => event.path === '/data/busy').length >= 2);
+});
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { LeakDetector, linearFit } = require('../main/leak-detector');
+
+const MINUTE = 60 * 1000;
+const MB = 1024 * 1024;
+const T = Date.UTC(2024, 0, 1);
+
+/**
+ * Feed one process-list snapshot per minute; `rss(minute)` gives the process's size
+ */
+function replay(detector, minutes, rss, process = { pid: 42, name: 'leaky' }) {
+    const found = [];
+    for (let minute = 0; minute < minutes; minute++) {
+        found.push(...detector.record(T + minute * MINUTE, [{ ...process, rss: rss(minute) }]));
+    }
+    return found;
+}
+
+test('linearFit recovers a straight line exactly', () => {
+    const fit = linearFit([0, 1, 2, 3].map(x => ({ x, y: 5 + 2 * x })));
+    assert.strictEqual(fit.slope, 2);
+    assert.strictEqual(fit.intercept, 5);
+    assert.strictEqual(fit.r2, 1);
+});
+
+test('linearFit reports no trend for flat and single-point series', () => {
+    assert.deepStrictEqual(linearFit([{ x: 0, y: 7 }, { x: 1, y: 7 }]), { slope: 0, intercept: 7, r2: 0 });
+    assert.deepStrictEqual(linearFit([{ x: 3, y: 9 }]), { slope: 0, intercept: 9, r2: 0 });
+});
+
+test('steady growth is flagged once the samples cover half the window', () => {
+    const detector = new LeakDetector({ limit: 4096 * MB });
+    // 2 MB a minute is 120 MB an hour, well above the 10 MB/h minimum
+    const found = replay(detector, 20, minute => 500 * MB + minute * 2 * MB);
+
+    assert.strictEqual(found.length, 1);
+    const [suspect] = detector.getSuspects();
+    assert.strictEqual(suspect.pid, 42);
+    assert.strictEqual(suspect.since, T + 15 * MINUTE);
+    assert.ok(Math.abs(suspect.growthPerHour - 120 * MB) < 1);
+    assert.ok(suspect.r2 > 0.999);
+    // (4096 - 538) MB at 120 MB/h
+    assert.ok(Math.abs(suspect.limitAt - (T + 19 * MINUTE + (3558 / 120) * 60 * MINUTE)) < 1000);
+});
+
+test('growth slower than minGrowth is not flagged', () => {
+    const detector = new LeakDetector();
+    replay(detector, 20, minute => 500 * MB + minute * 0.1 * MB);
+    assert.deepStrictEqual(detector.getSuspects(), []);
+});
+
+test('a sawtooth garbage-collection pattern is not flagged', () => {
+    const detector = new LeakDetector();
+    // Grows 20 MB a minute and drops back every 5 minutes
+    replay(detector, 30, minute => 500 * MB + (minute % 5) * 20 * MB);
+    assert.deepStrictEqual(detector.getSuspects(), []);
+});
+
+test('samples closer together than sampleInterval are skipped', () => {
+    const detector = new LeakDetector({ sampleInterval: 5 * MINUTE });
+    replay(detector, 20, minute => 500 * MB + minute * 2 * MB);
+
+    const [series] = detector.series.values();
+    assert.deepStrictEqual(series.points.map(point => point.t), [0, 5, 10, 15].map(minute => T + minute * MINUTE));
+});
+
+test('processes that exit, or only report no size, are dropped', () => {
+    const detector = new LeakDetector();
+    replay(detector, 20, minute => 500 * MB + minute * 2 * MB);
+    assert.strictEqual(detector.getSuspects().length, 1);
+
+    detector.record(T + 20 * MINUTE, [{ pid: 42, name: 'leaky', rss: undefined }]);
+    assert.deepStrictEqual(detector.getSuspects(), []);
+    assert.strictEqual(detector.series.size, 0);
+});
+
+test('a reused PID under a new name starts a new series', () => {
+    const detector = new LeakDetector();
+    replay(detector, 10, minute => 500 * MB + minute * 2 * MB);
+    detector.record(T + 10 * MINUTE, [{ pid: 42, name: 'other', rss: 100 * MB }]);
+
+    assert.deepStrictEqual(Array.from(detector.series.keys()), ['42:other']);
+});
@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MetricsHistory, extractMetrics } = require('../main/metrics-history');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Start of an hour in the past, so a replay never runs into the future
+function hourStart(hoursAgo) {
+    return Math.floor(Date.now() / HOUR) * HOUR - hoursAgo * HOUR;
+}
+
+test('samples roll up into minute and hour buckets with min, avg and max', () => {
+    const history = new MetricsHistory(os.tmpdir());
+    const start = hourStart(2);
+    // 0..9 in the first minute, 100..109 in the second, every 6 seconds
+    for (let i = 0; i < 20; i++) {
+        history.record(start + i * 6000, { 'cpu.load': i < 10 ? i : 90 + i });
+    }
+
+    const [first, second] = history.rollups.minute;
+    assert.strictEqual(history.rollups.minute.length, 2);
+    assert.strictEqual(first.t, start);
+    assert.deepStrictEqual(first.stats['cpu.load'], { min: 0, max: 9, sum: 45, count: 10 });
+    assert.deepStrictEqual(second.stats['cpu.load'], { min: 100, max: 109, sum: 1045, count: 10 });
+
+    assert.strictEqual(history.rollups.hour.length, 1);
+    assert.deepStrictEqual(history.rollups.hour[0].stats['cpu.load'], { min: 0, max: 109, sum: 1090, count: 20 });
+
+    const { resolution, points } = history.query({ metric: 'cpu.load', from: start, to: start + HOUR, resolution: 'minute' });
+    assert.strictEqual(resolution, 'minute');
+    assert.deepStrictEqual(points, [
+        { t: start, min: 0, avg: 4.5, max: 9 },
+        { t: start + MINUTE, min: 100, avg: 104.5, max: 109 }
+    ]);
+});
+
+test('metrics missing from a sample do not create empty stats', () => {
+    const history = new MetricsHistory(os.tmpdir());
+    const start = hourStart(1);
+    history.record(start, { 'cpu.load': 10 });
+    history.record(start + 1000, { 'memory.percentage': 40 });
+    history.record(start + 2000, {});
+
+    assert.strictEqual(history.raw.length, 2);
+    assert.deepStrictEqual(Object.keys(history.rollups.minute[0].stats).sort(), ['cpu.load', 'memory.percentage']);
+    assert.deepStrictEqual(history.listMetrics(), ['cpu.load', 'memory.percentage']);
+    assert.deepStrictEqual(history.query({ metric: 'cpu.load', from: start, resolution: 'raw' }).points, [
+        { t: start, min: 10, avg: 10, max: 10 }
+    ]);
+});
+
+test('the auto resolution is the finest one still covering the start of the range', () => {
+    const history = new MetricsHistory(os.tmpdir());
+    const now = Date.now();
+
+    assert.strictEqual(history.resolveResolution(now - 30 * MINUTE, now), 'raw');
+    assert.strictEqual(history.resolveResolution(now - 6 * HOUR, now), 'minute');
+    assert.strictEqual(history.resolveResolution(now - 7 * DAY, now), 'hour');
+    assert.strictEqual(history.query({ metric: 'cpu.load', from: now - 2 * DAY }).resolution, 'hour');
+});
+
+test('each resolution is pruned to its own retention', () => {
+    const history = new MetricsHistory(os.tmpdir(), {
+        retention: { raw: 10 * MINUTE, minute: HOUR, hour: DAY }
+    });
+    const start = hourStart(3);
+    for (let minute = 0; minute <= 3 * 60; minute++) {
+        history.record(start + minute * MINUTE, { 'cpu.load': minute });
+    }
+    const last = start + 3 * HOUR;
+
+    assert.strictEqual(history.raw[0].t, last - 10 * MINUTE);
+    assert.strictEqual(history.rollups.minute[0].t, last - HOUR);
+    assert.strictEqual(history.rollups.hour[0].t, start);
+
+    // Shrinking a retention prunes straight away
+    history.setRetention({ raw: 10 * MINUTE, minute: HOUR, hour: HOUR });
+    assert.ok(history.rollups.hour.every(bucket => bucket.t >= Date.now() - HOUR));
+});
+
+test('history survives a save and load', async (t) => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'metrics-history-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+    const history = new MetricsHistory(directory);
+    const now = Date.now();
+    history.record(now - 1000, { 'cpu.load': 12 });
+    await history.save();
+
+    const loaded = new MetricsHistory(directory);
+    await loaded.load();
+    assert.deepStrictEqual(loaded.raw, history.raw);
+    assert.deepStrictEqual(loaded.rollups, history.rollups);
+});
+
+test('extractMetrics flattens a system data payload', () => {
+    const metrics = extractMetrics({
+        cpu: { load: 42, perCore: [{ core: 0, load: 40, iowait: 1 }] },
+        memory: { used: 4096, available: 2048, percentage: 66.7 },
+        disk: [{ mount: '/', used: 100, percentage: 50 }, { fs: 'C:', used: 10, percentage: 'n/a' }],
+        network: { rx_sec: 1, tx_sec: 2, interfaces: [{ iface: 'eth0', rx_sec: 1, tx_sec: 2 }] },
+        connections: { total: 9, listening: 3, established: 6 }
+    });
+
+    assert.deepStrictEqual(metrics, {
+        'cpu.load': 42,
+        'cpu.core[0].load': 40,
+        'cpu.core[0].iowait': 1,
+        'memory.used': 4096,
+        'memory.available': 2048,
+        'memory.percentage': 66.7,
+        'disk[/].used': 100,
+        'disk[/].percentage': 50,
+        'disk[C:].used': 10,
+        'network.rx_sec': 1,
+        'network.tx_sec': 2,
+        'network[eth0].rx_sec': 1,
+        'network[eth0].tx_sec': 2,
+        'connections.total': 9,
+        'connections.listening': 3,
+        'connections.established': 6
+    });
+    assert.deepStrictEqual(extractMetrics(null), {});
+});
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// process-query.js is a renderer script, so it runs in a context of its own; the
+// ProcessFilters UI is only created on DOMContentLoaded, which never fires here
+const source = fs.readFileSync(path.join(__dirname, '../renderer/js/process-query.js'), 'utf8');
+const { compileProcessQuery } = vm.runInNewContext(`${source}\n({ compileProcessQuery });`, {
+    document: { addEventListener() {} }
+});
+
+const MB = 1024 * 1024;
+const PROCESSES = [
+    { pid: 1, ppid: 0, name: 'systemd', user: 'root', state: 'sleeping', cpu: 0.1, memory: 0.2, rss: 12 * MB, threads: 1, command: '/sbin/init' },
+    { pid: 200, ppid: 1, name: 'chrome', user: 'alice', state: 'running', cpu: 35, memory: 8, rss: 900 * MB, threads: 40, command: '/opt/chrome/chrome' },
+    { pid: 201, ppid: 200, name: 'chrome', user: 'alice', state: 'sleeping', cpu: 4, memory: 3, rss: 300 * MB, threads: 12, command: '/opt/chrome/chrome --type=renderer' },
+    { pid: 300, ppid: 1, name: 'node', user: 'root', state: 'running', cpu: 12, memory: 1.5, rss: 150 * MB, threads: 8, command: 'node server.js' }
+];
+
+function matches(query) {
+    const predicate = compileProcessQuery(query);
+    return PROCESSES.filter(process => predicate(process)).map(process => process.pid);
+}
+
+function assertQueryError(query, message, position) {
+    assert.throws(() => compileProcessQuery(query), (error) => {
+        assert.strictEqual(error.name, 'ProcessQueryError');
+        assert.match(error.message, message);
+        assert.strictEqual(error.position, position);
+        return true;
+    });
+}
+
+test('an empty query matches everything', () => {
+    assert.strictEqual(compileProcessQuery(''), null);
+    assert.strictEqual(compileProcessQuery('   '), null);
+});
+
+test('a bare word matches the process name, case-insensitively', () => {
+    assert.deepStrictEqual(matches('CHROME'), [200, 201]);
+    assert.deepStrictEqual(matches('"sys"'), [1]);
+});
+
+test('numeric fields compare with every operator', () => {
+    assert.deepStrictEqual(matches('cpu>10'), [200, 300]);
+    assert.deepStrictEqual(matches('cpu>=12'), [200, 300]);
+    assert.deepStrictEqual(matches('cpu<1'), [1]);
+    assert.deepStrictEqual(matches('pid=201'), [201]);
+    assert.deepStrictEqual(matches('ppid!=1'), [1, 201]);
+    assert.deepStrictEqual(matches('cpu>30%'), [200]);
+});
+
+test('memory compares percent without a unit and resident bytes with one', () => {
+    assert.deepStrictEqual(matches('mem>2'), [200, 201]);
+    assert.deepStrictEqual(matches('mem>500MB'), [200]);
+    assert.deepStrictEqual(matches('memory<=150mb'), [1, 300]);
+    assert.deepStrictEqual(matches('rss>0.25g'), [200, 201]);
+});
+
+test('text fields match exactly, by substring or by regular expression', () => {
+    assert.deepStrictEqual(matches('user=root'), [1, 300]);
+    assert.deepStrictEqual(matches('user!=root'), [200, 201]);
+    assert.deepStrictEqual(matches('name~"chr"'), [200, 201]);
+    assert.deepStrictEqual(matches('cmd:/--type=renderer/'), [201]);
+    assert.deepStrictEqual(matches('cmd:/SERVER\\.JS$/'), [300]);
+    // Any flag given replaces the default i, so matching becomes case-sensitive
+    assert.deepStrictEqual(matches('cmd:/SERVER/s'), []);
+});
+
+test('terms are and-ed, and and/or/not/parentheses combine them', () => {
+    assert.deepStrictEqual(matches('chrome cpu>10'), [200]);
+    assert.deepStrictEqual(matches('chrome and cpu>10'), [200]);
+    assert.deepStrictEqual(matches('systemd or node'), [1, 300]);
+    assert.deepStrictEqual(matches('not chrome'), [1, 300]);
+    assert.deepStrictEqual(matches('!user=root'), [200, 201]);
+    assert.deepStrictEqual(matches('(chrome or node) and state=running'), [200, 300]);
+    // and binds tighter than or
+    assert.deepStrictEqual(matches('systemd or chrome cpu>10'), [1, 200]);
+});
+
+test('mistakes are reported with the column they are at', () => {
+    assertQueryError('cpu>10 colour=red', /Unknown field "colour" at column 8/, 7);
+    assertQueryError('name="chrome', /Unterminated string starting at column 6/, 5);
+    assertQueryError('cmd:/chrome', /Unterminated regular expression starting at column 5/, 4);
+    assertQueryError('(chrome or node', /Missing "\)" for "\(" at column 1/, 0);
+    assertQueryError('cpu>lots', /Expected a number for "cpu" at column 1, got "lots"/, 0);
+    assertQueryError('cpu~10', /"cpu" is numeric and cannot be compared with ~/, 0);
+    assertQueryError('name>chrome', /"name" is text and cannot be compared with >/, 0);
+    assertQueryError('chrome or', /Query ends too early/, 9);
+    assertQueryError('chrome )', /Unexpected "\)" at column 8/, 7);
+});
@@ -0,0 +1,230 @@
+// PlayNexus Remote Dashboard - read-only client for the local API
+class RemoteDashboard {
+    constructor() {
+        this.token = this.resolveToken();
+        this.socket = null;
+        this.reconnectDelay = 1000;
+        this.series = { cpu: [], memory: [], network: [] };
+        this.maxPoints = 60;
+
+        this.init();
+    }
+
+    // Token comes from ?token= on first visit and is remembered afterwards
+    resolveToken() {
+        const params = new URLSearchParams(window.location.search);
+        const token = params.get('token');
+        if (token) {
+            localStorage.setItem('playnexus-token', token);
+            window.history.replaceState(null, '', window.location.pathname);
+            return token;
+        }
+        return localStorage.getItem('playnexus-token');
+    }
+
+    init() {
+        document.getElementById('tokenForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.token = document.getElementById('tokenInput').value.trim();
+            localStorage.setItem('playnexus-token', this.token);
+            this.connect();
+        });
+
+        if (!this.token) {
+            this.showTokenForm();
+            return;
+        }
+        this.connect();
+    }
+
+    showTokenForm() {
+        document.getElementById('tokenForm').hidden = false;
+        this.setStatus('Token required', 'offline');
+    }
+
+    async connect() {
+        document.getElementById('tokenForm').hidden = true;
+
+        try {
+            const [system, processes, fileEvents] = await Promise.all([
+                this.fetchJson('/api/system'),
+                this.fetchJson('/api/processes'),
+                this.fetchJson('/api/file-events')
+            ]);
+            this.updateSystem(system);
+            this.updateProcesses(processes);
+            fileEvents.slice().reverse().forEach(event => this.addFileEvent(event));
+        } catch (error) {
+            if (error.status === 401) {
+                this.showTokenForm();
+                return;
+            }
+            this.setStatus('Unable to reach API', 'offline');
+        }
+
+        this.openSocket();
+        this.startProcessPolling();
+    }
+
+    async fetchJson(pathname) {
+        const response = await fetch(pathname, {
+            headers: { Authorization: `Bearer ${this.token}` }
+        });
+        if (!response.ok) {
+            const error = new Error(`Request failed: ${response.status}`);
+            error.status = response.status;
+            throw error;
+        }
+        return response.json();
+    }
+
+    openSocket() {
+        if (this.socket) this.socket.close();
+
+        const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+        const url = `${protocol}//${window.location.host}/api/stream?token=${encodeURIComponent(this.token)}`;
+        const socket = new WebSocket(url);
+        this.socket = socket;
+
+        socket.addEventListener('open', () => {
+            this.reconnectDelay = 1000;
+            this.setStatus('Live', 'online');
+        });
+
+        socket.addEventListener('message', (event) => {
+            const message = JSON.parse(event.data);
+            if (message.channel === 'system-data-update') {
+                this.updateSystem(message.data);
+            } else if (message.channel === 'file-event') {
+                this.addFileEvent(message.data);
+            }
+        });
+
+        socket.addEventListener('close', () => {
+            if (this.socket !== socket) return;
+            this.setStatus('Disconnected, retrying...', 'offline');
+            setTimeout(() => this.openSocket(), this.reconnectDelay);
+            this.reconnectDelay = Math.min(this.reconnectDelay * 2, 30000);
+        });
+    }
+
+    startProcessPolling() {
+        if (this.processTimer) return;
+        this.processTimer = setInterval(async () => {
+            try {
+                this.updateProcesses(await this.fetchJson('/api/processes'));
+            } catch (error) {
+                // The socket status already reports connectivity problems
+            }
+        }, 10000);
+    }
+
+    setStatus(text, state) {
+        const status = document.getElementById('connectionStatus');
+        status.textContent = text;
+        status.className = `connection ${state}`;
+    }
+
+    updateSystem(data) {
+        if (!data) return;
+
+        // Every collector's result carries the whole snapshot; only sections sampled for it add a point
+        const isNew = (section) => !data.updated || data.updated.includes(section);
+
+        if (data.cpu) {
+            document.getElementById('cpuValue').textContent = `${Math.round(data.cpu.load)}%`;
+            if (isNew('cpu')) this.pushPoint('cpu', data.cpu.load);
+        }
+
+        if (data.memory) {
+            const percentage = (data.memory.used / data.memory.total) * 100;
+            document.getElementById('memoryValue').textContent =
+                `${Math.round(percentage)}% of ${this.formatBytes(data.memory.total)}`;
+            if (isNew('memory')) this.pushPoint('memory', percentage);
+        }
+
+        if (data.network) {
+            const throughput = data.network.rx_sec + data.network.tx_sec;
+            document.getElementById('networkValue').textContent = `${this.formatBytes(throughput)}/s`;
+            if (isNew('network')) this.pushPoint('network', throughput);
+        }
+
+        if (data.disk) {
+            const list = document.getElementById('diskList');
+            list.replaceChildren(...data.disk.map(d => {
+                const row = document.createElement('div');
+                row.className = 'disk-row';
+                const mount = document.createElement('span');
+                mount.textContent = d.mount || d.fs;
+                const usage = document.createElement('span');
+                usage.textContent = `${Math.round(d.percentage)}% of ${this.formatBytes(d.size)}`;
+                row.append(mount, usage);
+                return row;
+            }));
+        }
+    }
+
+    pushPoint(name, value) {
+        const series = this.series[name];
+        series.push(value);
+        if (series.length > this.maxPoints) series.shift();
+        this.drawSparkline(document.getElementById(`${name}Sparkline`), series);
+    }
+
+    drawSparkline(canvas, values) {
+        const ctx = canvas.getContext('2d');
+        const max = Math.max(...values, 1);
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        ctx.strokeStyle = '#00ffff';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        values.forEach((value, index) => {
+            const x = (index / Math.max(this.maxPoints - 1, 1)) * canvas.width;
+            const y = canvas.height - (value / max) * (canvas.height - 4) - 2;
+            if (index === 0) ctx.moveTo(x, y);
+            else ctx.lineTo(x, y);
+        });
+        ctx.stroke();
+    }
+
+    updateProcesses(processes) {
+        const top = processes
+            .slice()
+            .sort((a, b) => (b.cpu || 0) - (a.cpu || 0))
+            .slice(0, 20);
+
+        document.getElementById('processesBody').replaceChildren(...top.map(p => {
+            const row = document.createElement('tr');
+            [p.name, p.pid, (p.cpu || 0).toFixed(1), (p.memory || 0).toFixed(1)].forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+            return row;
+        }));
+    }
+
+    addFileEvent(event) {
+        const log = document.getElementById('fileEvents');
+        const item = document.createElement('div');
+        item.className = `event ${event.type}`;
+        item.textContent = `${new Date(event.timestamp).toLocaleTimeString()} ${event.type.toUpperCase()} ${event.path}`;
+        log.insertBefore(item, log.firstChild);
+
+        while (log.children.length > 100) {
+            log.removeChild(log.lastChild);
+        }
+    }
+
+    formatBytes(bytes) {
+        if (!bytes) return '0 B';
+        const k = 1024;
+        const sizes = ['B', 'KB', 'MB', 'GB', 'TB'];
+        const i = Math.floor(Math.log(bytes) / Math.log(k));
+        return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    window.dashboard = new RemoteDashboard();
+});